@@ -1,455 +1,648 @@
 import React from 'react'
 import { motion } from 'framer-motion'
-import { Upload, Play, Pause, SkipBack, SkipForward, Volume2, Shuffle, Repeat } from 'lucide-react'
+import { Download, Keyboard, Upload } from 'lucide-react'
 import { Button } from './components/ui/button'
-import { Progress } from './components/ui/progress'
-import { Slider } from './components/ui/slider'
 import { Card, CardContent } from './components/ui/card'
 import { ScrollArea } from './components/ui/scroll-area'
-import { Separator } from './components/ui/separator'
+import { SidebarProvider, SidebarInset, SidebarTrigger } from './components/ui/sidebar'
 import { toast } from 'sonner'
+import { Toaster } from './components/ui/sonner'
+import AudioPlayer from './components/AudioPlayer'
+import Visualizer from './components/Visualizer'
+import CommandPalette from './components/CommandPalette'
+import FileUpload from './components/FileUpload'
+import QueuePanel from './components/QueuePanel'
+import EqualizerPanel from './components/EqualizerPanel'
+import PlaylistSidebar from './components/PlaylistSidebar'
+import ShortcutsDialog from './components/ShortcutsDialog'
+import TrackList from './components/TrackList'
+import LibraryTable from './components/LibraryTable'
+import PlaylistImportDialog from './components/PlaylistImportDialog'
+import LibraryRestoreDialog from './components/LibraryRestoreDialog'
+import { useLibrary } from './hooks/useLibrary'
+import { usePlaylists, LIBRARY_VIEW } from './hooks/usePlaylists'
+import { useAudioContext } from './hooks/useAudioContext'
+import { useMediaSession } from './hooks/useMediaSession'
+import { useKeyboardShortcuts } from './hooks/useKeyboardShortcuts'
+import { useSearchIndex } from './hooks/useSearchIndex'
+import { resolvePlaylistTracks } from './utils/audioUtils'
+import { SHORTCUT_SEEK_STEP, SHORTCUT_VOLUME_STEP } from './utils/shortcuts'
+import { exportPlaylist, matchPlaylistEntries, parsePlaylistFile } from './utils/playlistFiles'
+import { exportLibraryBackup, readLibraryBackup } from './utils/libraryBackup'
+
+const BACKGROUND_BANDS = 32
 
 const App = () => {
-  const [tracks, setTracks] = React.useState([])
-  const [currentTrack, setCurrentTrack] = React.useState(null)
-  const [isPlaying, setIsPlaying] = React.useState(false)
-  const [currentTime, setCurrentTime] = React.useState(0)
-  const [duration, setDuration] = React.useState(0)
-  const [volume, setVolume] = React.useState([70])
-  const [isShuffling, setIsShuffling] = React.useState(false)
-  const [repeatMode, setRepeatMode] = React.useState('none')
-  const [audioData, setAudioData] = React.useState(new Array(32).fill(0))
-  
-  const audioRef = React.useRef(null)
-  const fileInputRef = React.useRef(null)
-  const audioContextRef = React.useRef(null)
-  const analyserRef = React.useRef(null)
-  const dataArrayRef = React.useRef(null)
+  const { tracks, isLoading, addTracks, updateTrack, removeTrack: removeLibraryTrack, reloadLibrary } = useLibrary()
+  const {
+    currentTrack,
+    isPlaying,
+    currentTime,
+    volume,
+    isFavorite,
+    error,
+    playTrack,
+    togglePlay,
+    next,
+    previous,
+    seek,
+    setVolume,
+    toggleMute,
+    toggleShuffle,
+    cycleRepeatMode,
+    stepPlaybackRate,
+    stop,
+    playlistSource,
+    setPlaylist,
+    setPlaylistSource,
+    playNext,
+    addToQueue,
+    syncLibrary,
+    getFrequencyData,
+    clearError
+  } = useAudioContext()
+  const {
+    playlists,
+    createPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    deletePlaylist,
+    addTracksToPlaylist,
+    removeTrackFromPlaylist,
+    moveTrackInPlaylist,
+    removeTrackFromAllPlaylists,
+    replacePlaylists
+  } = usePlaylists()
+  useMediaSession()
+  const searchTracks = useSearchIndex(tracks)
+  const [isShortcutsOpen, setIsShortcutsOpen] = React.useState(false)
+  const [visualizerType, setVisualizerType] = React.useState('bars')
+  // Open settings popover of the player, and whether the equalizer is expanded
+  const [settingsPanel, setSettingsPanel] = React.useState(null)
+  const [isEqualizerOpen, setIsEqualizerOpen] = React.useState(false)
+  const playerRef = React.useRef(null)
+  const equalizerRef = React.useRef(null)
+  // Imported playlists waiting for their entries to be resolved, oldest first
+  const [playlistImports, setPlaylistImports] = React.useState([])
+  // Opened backup archive waiting for the restore options
+  const [restoreBackup, setRestoreBackup] = React.useState(null)
+  const [isExportingLibrary, setIsExportingLibrary] = React.useState(false)
+  const backupInputRef = React.useRef(null)
+  const { keymap, setBinding, resetKeymap } = useKeyboardShortcuts({
+    togglePlay,
+    seekBackward: () => seek(Math.max(0, currentTime - SHORTCUT_SEEK_STEP)),
+    seekForward: () => seek(currentTime + SHORTCUT_SEEK_STEP),
+    volumeUp: () => setVolume(volume + SHORTCUT_VOLUME_STEP),
+    volumeDown: () => setVolume(volume - SHORTCUT_VOLUME_STEP),
+    next,
+    previous,
+    toggleMute,
+    toggleShuffle,
+    cycleRepeat: cycleRepeatMode,
+    toggleLike: () => currentTrack && updateTrack(currentTrack.id, { favorite: !isFavorite }),
+    slowDown: () => stepPlaybackRate(-1),
+    speedUp: () => stepPlaybackRate(1),
+    showShortcuts: () => setIsShortcutsOpen(true)
+  }, { enabled: !isShortcutsOpen })
+  const [activeView, setActiveView] = React.useState(LIBRARY_VIEW)
+  // The view the engine is playing from, which may differ from the one on screen
+  const playbackSource = playlistSource ?? LIBRARY_VIEW
+  const [audioData, setAudioData] = React.useState(new Array(BACKGROUND_BANDS).fill(0))
+
   const animationRef = React.useRef(null)
 
+  const getViewTracks = React.useCallback((view) => {
+    if (view === LIBRARY_VIEW) return tracks
+    // A deleted playlist falls back to the library
+    const playlist = playlists.find(item => item.id === view)
+    return playlist ? resolvePlaylistTracks(playlist, tracks) : tracks
+  }, [tracks, playlists])
+
+  const activePlaylist = playlists.find(playlist => playlist.id === activeView)
+  const viewTracks = getViewTracks(activeView)
+
+  // Fall back to the library when the open playlist is deleted
   React.useEffect(() => {
-    const savedTracks = localStorage.getItem('mp3-player-tracks')
-    if (savedTracks) {
-      setTracks(JSON.parse(savedTracks))
+    if (activeView !== LIBRARY_VIEW && !activePlaylist) {
+      setActiveView(LIBRARY_VIEW)
     }
-  }, [])
+  }, [activeView, activePlaylist])
 
+  // Keep the engine in sync with edits to the source it is playing from
   React.useEffect(() => {
-    if (tracks.length > 0) {
-      localStorage.setItem('mp3-player-tracks', JSON.stringify(tracks))
+    setPlaylist(getViewTracks(playbackSource))
+  }, [playbackSource, getViewTracks, setPlaylist])
+
+  // Restore the saved session, then keep the queue in step with library edits
+  React.useEffect(() => {
+    if (!isLoading) {
+      syncLibrary(tracks)
     }
-  }, [tracks])
-
-  const initializeAudioContext = () => {
-    if (!audioContextRef.current && audioRef.current) {
-      try {
-        audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)()
-        analyserRef.current = audioContextRef.current.createAnalyser()
-        const source = audioContextRef.current.createMediaElementSource(audioRef.current)
-        source.connect(analyserRef.current)
-        analyserRef.current.connect(audioContextRef.current.destination)
-        analyserRef.current.fftSize = 64
-        dataArrayRef.current = new Uint8Array(analyserRef.current.frequencyBinCount)
-      } catch (error) {
-        console.error('Audio context initialization failed:', error)
-      }
+  }, [isLoading, tracks, syncLibrary])
+
+  // A track counts as played once it starts; repeats of the same track don't add up
+  const countedTrackIdRef = React.useRef(null)
+  React.useEffect(() => {
+    if (!isPlaying || !currentTrack || countedTrackIdRef.current === currentTrack.id) return
+    countedTrackIdRef.current = currentTrack.id
+    const libraryTrack = tracks.find(track => track.id === currentTrack.id)
+    updateTrack(currentTrack.id, { playCount: (libraryTrack?.playCount || 0) + 1 })
+  }, [isPlaying, currentTrack, tracks, updateTrack])
+
+  React.useEffect(() => {
+    if (error) {
+      toast.error(error)
+      clearError()
     }
-  }
+  }, [error, clearError])
 
-  const updateVisualizerData = () => {
-    if (analyserRef.current && dataArrayRef.current && isPlaying) {
-      analyserRef.current.getByteFrequencyData(dataArrayRef.current)
-      const normalizedData = Array.from(dataArrayRef.current).map(value => value / 255)
-      setAudioData(normalizedData)
+  // Background animation follows the shared analyser
+  React.useEffect(() => {
+    const updateVisualizerData = () => {
+      const frequencyData = getFrequencyData()
+      if (frequencyData.length > 0) {
+        const bandSize = Math.floor(frequencyData.length / BACKGROUND_BANDS)
+        const normalizedData = Array.from({ length: BACKGROUND_BANDS }, (_, band) => (
+          frequencyData[band * bandSize] / 255
+        ))
+        setAudioData(normalizedData)
+      }
       animationRef.current = requestAnimationFrame(updateVisualizerData)
     }
-  }
 
-  React.useEffect(() => {
     if (isPlaying) {
-      initializeAudioContext()
       updateVisualizerData()
-    } else if (animationRef.current) {
-      cancelAnimationFrame(animationRef.current)
     }
+
     return () => {
       if (animationRef.current) {
         cancelAnimationFrame(animationRef.current)
       }
     }
-  }, [isPlaying])
-
-  const handleFileUpload = (event) => {
-    const files = Array.from(event.target.files)
-    const mp3Files = files.filter(file => file.type === 'audio/mpeg' || file.name.endsWith('.mp3'))
-    
-    if (mp3Files.length === 0) {
-      toast.error('Please select valid MP3 files')
+  }, [isPlaying, getFrequencyData])
+
+  // Folder imports add their tracks folder by folder, and report once at the end
+  const handleFilesUploaded = (addedTracks) => {
+    addTracks(addedTracks)
+  }
+
+  const handleUploadComplete = (addedTracks) => {
+    if (addedTracks.length === 0) {
+      toast.error('Please select valid audio files')
       return
     }
 
-    mp3Files.forEach(file => {
-      const reader = new FileReader()
-      reader.onload = (e) => {
-        const newTrack = {
-          id: Date.now() + Math.random(),
-          name: file.name.replace('.mp3', ''),
-          url: e.target.result,
-          duration: 0
-        }
-        setTracks(prev => [...prev, newTrack])
-        toast.success(`Added ${file.name} to playlist`)
-      }
-      reader.readAsDataURL(file)
-    })
+    toast.success(addedTracks.length === 1
+      ? `Added ${addedTracks[0].fileName} to library`
+      : `Added ${addedTracks.length} tracks to library`)
   }
 
-  const playTrack = (track) => {
-    if (currentTrack?.id === track.id) {
-      togglePlayPause()
-    } else {
-      setCurrentTrack(track)
-      setCurrentTime(0)
-      if (audioRef.current) {
-        audioRef.current.src = track.url
-        audioRef.current.load()
+  // Playlists are matched against the library plus the tracks uploaded with them
+  const handlePlaylistFiles = async (files, addedTracks) => {
+    const knownIds = new Set(tracks.map(track => track.id))
+    const library = [...tracks, ...addedTracks.filter(track => !knownIds.has(track.id))]
+    const imports = []
+
+    for (const file of files) {
+      const playlist = await parsePlaylistFile(file)
+      if (!playlist || playlist.entries.length === 0) {
+        toast.error(`${file.name} has no playlist entries`)
+        continue
       }
+      imports.push({
+        id: `${file.name}_${Date.now()}_${imports.length}`,
+        name: playlist.name,
+        matches: matchPlaylistEntries(playlist.entries, library)
+      })
     }
+
+    setPlaylistImports(prev => [...prev, ...imports])
   }
 
-  const togglePlayPause = () => {
-    if (!audioRef.current || !currentTrack) return
+  const handleSavePlaylistImport = (name, trackIds) => {
+    handleCreatePlaylist(name, trackIds)
+    setPlaylistImports(prev => prev.slice(1))
+  }
 
-    if (isPlaying) {
-      audioRef.current.pause()
-      setIsPlaying(false)
-    } else {
-      audioRef.current.play().catch(error => {
-        console.error('Playback failed:', error)
-        toast.error('Failed to play track')
-      })
-      setIsPlaying(true)
+  const handlePlay = (track) => {
+    playTrack(track, viewTracks, activeView)
+  }
+
+  // Names a single track by its title and several by their count
+  const describeTracks = (selected) => (
+    selected.length === 1 ? selected[0].title : `${selected.length} tracks`
+  )
+
+  const handlePlayNext = (selected) => {
+    playNext(selected)
+    toast.success(`${describeTracks(selected)} will play next`)
+  }
+
+  const handleAddToQueue = (selected) => {
+    addToQueue(selected)
+    toast.success(`Added ${describeTracks(selected)} to the queue`)
+  }
+
+  // Plays the first of several tracks from the library and queues the rest after it
+  const handlePlayTracks = (selected) => {
+    playTrack(selected[0], tracks, LIBRARY_VIEW)
+    if (selected.length > 1) {
+      playNext(selected.slice(1))
     }
   }
 
-  const skipTrack = (direction) => {
-    if (tracks.length === 0) return
+  const handlePlayPlaylist = (playlistId) => {
+    const playlist = playlists.find(item => item.id === playlistId)
+    const playlistTracks = playlist ? resolvePlaylistTracks(playlist, tracks) : []
+    if (playlistTracks.length) {
+      setActiveView(playlistId)
+      playTrack(playlistTracks[0], playlistTracks, playlistId)
+    }
+  }
 
-    const currentIndex = tracks.findIndex(track => track.id === currentTrack?.id)
-    let nextIndex
+  const removeTracks = async (trackIds) => {
+    if (trackIds.includes(currentTrack?.id)) {
+      stop()
+    }
+
+    let removedCount = 0
+    for (const trackId of trackIds) {
+      if (await removeLibraryTrack(trackId)) {
+        removeTrackFromAllPlaylists(trackId)
+        removedCount++
+      }
+    }
 
-    if (direction === 'next') {
-      nextIndex = currentIndex + 1 >= tracks.length ? 0 : currentIndex + 1
+    if (removedCount === trackIds.length) {
+      toast.success(removedCount === 1 ? 'Track removed from library' : `${removedCount} tracks removed from library`)
     } else {
-      nextIndex = currentIndex - 1 < 0 ? tracks.length - 1 : currentIndex - 1
+      toast.error(trackIds.length === 1 ? 'Failed to remove track' : `Failed to remove ${trackIds.length - removedCount} tracks`)
+    }
+  }
+
+  const handleRate = (track, rating) => {
+    updateTrack(track.id, { rating })
+  }
+
+  const handleRemove = (track) => {
+    removeTrackFromPlaylist(activePlaylist.id, track.id)
+    toast.success(`Removed ${track.title} from ${activePlaylist.name}`)
+  }
+
+  // Rows map to playlist indices through their ids, as missing tracks are not shown
+  const handleMove = (fromIndex, toIndex) => {
+    const { trackIds } = activePlaylist
+    moveTrackInPlaylist(
+      activePlaylist.id,
+      trackIds.indexOf(viewTracks[fromIndex].id),
+      trackIds.indexOf(viewTracks[toIndex].id)
+    )
+  }
+
+  const handleCreatePlaylist = (name, trackIds = []) => {
+    const playlist = createPlaylist(name, trackIds)
+    toast.success(`Created ${playlist.name}`)
+    return playlist
+  }
+
+  const handleAddToPlaylist = (playlistId, trackIds) => {
+    const playlist = playlists.find(item => item.id === playlistId)
+    if (!playlist) return
+
+    const newIds = trackIds.filter(id => !playlist.trackIds.includes(id))
+    if (newIds.length === 0) {
+      toast.info(`Already in ${playlist.name}`)
+      return
     }
 
-    playTrack(tracks[nextIndex])
+    addTracksToPlaylist(playlistId, newIds)
+    toast.success(`Added ${newIds.length} track${newIds.length === 1 ? '' : 's'} to ${playlist.name}`)
   }
 
-  const formatTime = (time) => {
-    const minutes = Math.floor(time / 60)
-    const seconds = Math.floor(time % 60)
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`
+  // Opens a settings panel from the command palette, scrolling it into view
+  const handleOpenSettings = (panel) => {
+    if (panel === 'equalizer') {
+      setIsEqualizerOpen(true)
+      equalizerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+    } else {
+      setSettingsPanel(panel)
+      playerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' })
+    }
   }
 
-  const handleTimeUpdate = () => {
-    if (audioRef.current) {
-      setCurrentTime(audioRef.current.currentTime)
+  const handleExportLibrary = async () => {
+    setIsExportingLibrary(true)
+    const toastId = toast.loading('Preparing the library backup…')
+    const count = await exportLibraryBackup()
+    setIsExportingLibrary(false)
+
+    if (count === null) {
+      toast.error('Failed to export the library', { id: toastId })
+    } else {
+      toast.success(`Backed up ${count} track${count === 1 ? '' : 's'}`, { id: toastId })
     }
   }
 
-  const handleLoadedMetadata = () => {
-    if (audioRef.current) {
-      setDuration(audioRef.current.duration)
+  const handleBackupFile = async (event) => {
+    const [file] = event.target.files
+    event.target.value = ''
+    if (!file) return
+
+    const backup = await readLibraryBackup(file)
+    if (!backup) {
+      toast.error(`${file.name} is not a library backup`)
+      return
     }
+    setRestoreBackup(backup)
   }
 
-  const handleSeek = (value) => {
-    if (audioRef.current) {
-      const newTime = (value[0] / 100) * duration
-      audioRef.current.currentTime = newTime
-      setCurrentTime(newTime)
+  // Restoring deletes the tracks it overwrites, so the playing one must stop first
+  const handleBeforeRestore = (trackIds) => {
+    if (trackIds.includes(currentTrack?.id)) {
+      stop()
     }
   }
 
-  const handleVolumeChange = (value) => {
-    setVolume(value)
-    if (audioRef.current) {
-      audioRef.current.volume = value[0] / 100
+  const handleRestored = async (result, { restoreSettings }) => {
+    setRestoreBackup(null)
+    // Tracks may have been written before a failure, so reload either way
+    await reloadLibrary()
+
+    if (!result) {
+      toast.error('Failed to import the library')
+      return
+    }
+
+    replacePlaylists(result.playlists)
+    const notes = [
+      result.skipped && `${result.skipped} kept as they were`,
+      result.failed && `${result.failed} failed`
+    ].filter(Boolean)
+    toast.success(`Restored ${result.restored} track${result.restored === 1 ? '' : 's'}${notes.length ? ` (${notes.join(', ')})` : ''}`)
+
+    if (restoreSettings) {
+      toast.info('Reload the page to apply the restored settings', {
+        action: { label: 'Reload', onClick: () => window.location.reload() }
+      })
     }
   }
 
-  const removeTrack = (trackId) => {
-    setTracks(prev => prev.filter(track => track.id !== trackId))
-    if (currentTrack?.id === trackId) {
-      setCurrentTrack(null)
-      setIsPlaying(false)
+  const handleExportPlaylist = (playlistId, format) => {
+    const playlist = playlists.find(item => item.id === playlistId)
+    if (!playlist) return
+
+    if (!exportPlaylist(playlist.name, resolvePlaylistTracks(playlist, tracks), format)) {
+      toast.error(`Failed to export ${playlist.name}`)
     }
-    toast.success('Track removed from playlist')
+  }
+
+  const handleDeletePlaylist = (playlistId) => {
+    const playlist = playlists.find(item => item.id === playlistId)
+    deletePlaylist(playlistId)
+    if (playbackSource === playlistId) {
+      setPlaylistSource(LIBRARY_VIEW)
+    }
+    toast.success(`Deleted ${playlist?.name || 'playlist'}`)
   }
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 relative overflow-hidden">
-      {/* Background Animation */}
-      <div className="absolute inset-0">
-        {audioData.map((value, index) => (
-          <motion.div
-            key={index}
-            className="absolute rounded-full bg-white/10"
-            style={{
-              left: `${Math.random() * 100}%`,
-              top: `${Math.random() * 100}%`,
-            }}
-            animate={{
-              scale: [1, 1 + value * 2, 1],
-              opacity: [0.1, value * 0.5, 0.1],
-            }}
-            transition={{
-              duration: 2,
-              repeat: Infinity,
-              ease: "easeInOut",
-            }}
-          />
-        ))}
-      </div>
-
-      <div className="relative z-10 container mx-auto px-4 py-8">
-        <motion.div
-          initial={{ opacity: 0, y: -20 }}
-          animate={{ opacity: 1, y: 0 }}
-          className="text-center mb-8"
+    <SidebarProvider>
+      <PlaylistSidebar
+        playlists={playlists}
+        libraryCount={tracks.length}
+        activeView={activeView}
+        onSelectView={setActiveView}
+        onCreatePlaylist={handleCreatePlaylist}
+        onRenamePlaylist={renamePlaylist}
+        onDuplicatePlaylist={duplicatePlaylist}
+        onExportPlaylist={handleExportPlaylist}
+        onDeletePlaylist={handleDeletePlaylist}
+        onAddTracksToPlaylist={handleAddToPlaylist}
+      />
+
+      <SidebarInset className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 relative overflow-hidden">
+        {/* Background Animation */}
+        <div className="absolute inset-0">
+          {audioData.map((value, index) => (
+            <motion.div
+              key={index}
+              className="absolute rounded-full bg-white/10"
+              style={{
+                left: `${Math.random() * 100}%`,
+                top: `${Math.random() * 100}%`,
+              }}
+              animate={{
+                scale: [1, 1 + value * 2, 1],
+                opacity: [0.1, value * 0.5, 0.1],
+              }}
+              transition={{
+                duration: 2,
+                repeat: Infinity,
+                ease: "easeInOut",
+              }}
+            />
+          ))}
+        </div>
+
+        <SidebarTrigger className="absolute top-4 left-4 z-20 text-white hover:bg-white/10 hover:text-white" />
+        <Button
+          variant="ghost"
+          size="icon"
+          className="absolute top-4 right-4 z-20 h-7 w-7 text-white hover:bg-white/10 hover:text-white"
+          title="Keyboard shortcuts"
+          onClick={() => setIsShortcutsOpen(true)}
         >
-          <h1 className="text-4xl md:text-6xl font-bold text-white mb-4">
-            Music Player
-          </h1>
-          <p className="text-white/70 text-lg">
-            Upload and play your favorite MP3 tracks
-          </p>
-        </motion.div>
-
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
-          {/* Upload Section */}
+          <Keyboard className="h-4 w-4" />
+          <span className="sr-only">Keyboard shortcuts</span>
+        </Button>
+
+        <div className="relative z-10 container mx-auto px-4 py-8">
           <motion.div
-            initial={{ opacity: 0, x: -50 }}
-            animate={{ opacity: 1, x: 0 }}
-            className="lg:col-span-1"
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="text-center mb-8"
           >
-            <Card className="bg-white/10 backdrop-blur-md border-white/20">
-              <CardContent className="p-6">
-                <h2 className="text-xl font-semibold text-white mb-4">Upload Music</h2>
-                <Button
-                  onClick={() => fileInputRef.current?.click()}
-                  className="w-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600"
-                  size="lg"
-                >
-                  <Upload className="mr-2 h-5 w-5" />
-                  Upload MP3 Files
-                </Button>
-                <input
-                  ref={fileInputRef}
-                  type="file"
-                  accept=".mp3,audio/mpeg"
-                  multiple
-                  onChange={handleFileUpload}
-                  className="hidden"
-                />
+            <h1 className="text-4xl md:text-6xl font-bold text-white mb-4">
+              Music Player
+            </h1>
+            <p className="text-white/70 text-lg">
+              Upload and play your favorite MP3, FLAC, Ogg, Opus and M4A tracks
+            </p>
+          </motion.div>
 
-                {/* Playlist */}
-                <div className="mt-6">
-                  <h3 className="text-lg font-medium text-white mb-3">Playlist</h3>
-                  <ScrollArea className="h-64">
-                    {tracks.length === 0 ? (
-                      <p className="text-white/60 text-center py-8">
-                        No tracks uploaded yet
-                      </p>
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+            {/* Upload Section */}
+            <motion.div
+              initial={{ opacity: 0, x: -50 }}
+              animate={{ opacity: 1, x: 0 }}
+              className="lg:col-span-1"
+            >
+              <Card className="bg-white/10 backdrop-blur-md border-white/20">
+                <CardContent className="p-6">
+                  <h2 className="text-xl font-semibold text-white mb-4">Upload Music</h2>
+                  <FileUpload
+                    onFilesUploaded={handleFilesUploaded}
+                    onUploadComplete={handleUploadComplete}
+                    onPlaylistFiles={handlePlaylistFiles}
+                  />
+
+                  {/* The selected playlist; the library itself is the table below */}
+                  <div className="mt-6">
+                    <h3 className="text-lg font-medium text-white mb-3 truncate">
+                      {activePlaylist ? activePlaylist.name : 'Library'}
+                    </h3>
+                    {activePlaylist ? (
+                      <ScrollArea className="h-64">
+                        <TrackList
+                          tracks={viewTracks}
+                          currentTrackId={currentTrack?.id}
+                          playlists={playlists}
+                          emptyMessage="Use “Add to playlist” in the library, or drop tracks on this playlist in the sidebar"
+                          removeLabel="Remove from playlist"
+                          onPlay={handlePlay}
+                          onRemove={handleRemove}
+                          onMove={handleMove}
+                          onPlayNext={(track) => handlePlayNext([track])}
+                          onAddToQueue={(track) => handleAddToQueue([track])}
+                          onAddToPlaylist={handleAddToPlaylist}
+                          onCreatePlaylist={(trackIds) => handleCreatePlaylist(`Playlist ${playlists.length + 1}`, trackIds)}
+                        />
+                      </ScrollArea>
                     ) : (
-                      tracks.map((track) => (
-                        <motion.div
-                          key={track.id}
-                          initial={{ opacity: 0, y: 10 }}
-                          animate={{ opacity: 1, y: 0 }}
-                          className={`p-3 rounded-lg mb-2 cursor-pointer transition-all ${
-                            currentTrack?.id === track.id
-                              ? 'bg-white/20 border border-white/30'
-                              : 'bg-white/5 hover:bg-white/10'
-                          }`}
-                          onClick={() => playTrack(track)}
-                        >
-                          <div className="flex items-center justify-between">
-                            <span className="text-white text-sm truncate">
-                              {track.name}
-                            </span>
-                            <Button
-                              variant="ghost"
-                              size="sm"
-                              onClick={(e) => {
-                                e.stopPropagation()
-                                removeTrack(track.id)
-                              }}
-                              className="text-white/60 hover:text-red-400"
-                            >
-                              ×
-                            </Button>
-                          </div>
-                        </motion.div>
-                      ))
+                      <p className="text-sm text-white/60">
+                        {tracks.length
+                          ? `${tracks.length} ${tracks.length === 1 ? 'track' : 'tracks'} — browse them in the library table below`
+                          : 'No tracks uploaded yet'}
+                      </p>
                     )}
-                  </ScrollArea>
-                </div>
-              </CardContent>
-            </Card>
-          </motion.div>
-
-          {/* Player Section */}
+                  </div>
+                </CardContent>
+              </Card>
+            </motion.div>
+
+            {/* Player Section */}
+            <motion.div
+              initial={{ opacity: 0, y: 50 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="lg:col-span-2 space-y-6"
+            >
+              <div className="h-48">
+                <Visualizer visualizerType={visualizerType} onVisualizerTypeChange={setVisualizerType} />
+              </div>
+              <div ref={playerRef}>
+                <AudioPlayer
+                  onUpdateTrack={updateTrack}
+                  openPanel={settingsPanel}
+                  onOpenPanelChange={setSettingsPanel}
+                />
+              </div>
+              <QueuePanel />
+              <div ref={equalizerRef}>
+                <EqualizerPanel open={isEqualizerOpen} onOpenChange={setIsEqualizerOpen} />
+              </div>
+            </motion.div>
+          </div>
+
+          {/* Library Table */}
           <motion.div
             initial={{ opacity: 0, y: 50 }}
             animate={{ opacity: 1, y: 0 }}
-            className="lg:col-span-2"
+            className="mt-8"
           >
             <Card className="bg-white/10 backdrop-blur-md border-white/20">
-              <CardContent className="p-8">
-                {/* Visualizer */}
-                <div className="mb-8 h-32 flex items-end justify-center space-x-1">
-                  {audioData.map((value, index) => (
-                    <motion.div
-                      key={index}
-                      className="bg-gradient-to-t from-purple-500 to-pink-500 w-2 rounded-t"
-                      animate={{
-                        height: `${Math.max(4, value * 120)}px`,
-                      }}
-                      transition={{
-                        duration: 0.1,
-                        ease: "easeOut",
-                      }}
-                    />
-                  ))}
-                </div>
-
-                {/* Current Track Info */}
-                <div className="text-center mb-6">
-                  <h3 className="text-2xl font-bold text-white mb-2">
-                    {currentTrack?.name || 'No track selected'}
-                  </h3>
-                  <div className="flex justify-center items-center space-x-4 text-white/70">
-                    <span>{formatTime(currentTime)}</span>
-                    <Progress
-                      value={duration ? (currentTime / duration) * 100 : 0}
-                      className="flex-1 max-w-md"
+              <CardContent className="p-6">
+                <div className="flex items-center justify-between gap-2 mb-4">
+                  <h2 className="text-xl font-semibold text-white">Library</h2>
+                  <div className="flex gap-2">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="text-white/70 hover:text-white hover:bg-white/10"
+                      disabled={isExportingLibrary || tracks.length === 0}
+                      onClick={handleExportLibrary}
+                    >
+                      <Download className="mr-2 h-4 w-4" />
+                      Export library
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="text-white/70 hover:text-white hover:bg-white/10"
+                      onClick={() => backupInputRef.current?.click()}
+                    >
+                      <Upload className="mr-2 h-4 w-4" />
+                      Import library
+                    </Button>
+                    <input
+                      ref={backupInputRef}
+                      type="file"
+                      accept=".tar,application/x-tar"
+                      onChange={handleBackupFile}
+                      className="hidden"
                     />
-                    <span>{formatTime(duration)}</span>
                   </div>
                 </div>
-
-                {/* Seek Bar */}
-                <div className="mb-6">
-                  <Slider
-                    value={[duration ? (currentTime / duration) * 100 : 0]}
-                    onValueChange={handleSeek}
-                    max={100}
-                    step={1}
-                    className="w-full"
-                  />
-                </div>
-
-                {/* Controls */}
-                <div className="flex items-center justify-center space-x-4 mb-6">
-                  <Button
-                    variant="ghost"
-                    size="lg"
-                    onClick={() => setIsShuffling(!isShuffling)}
-                    className={`text-white hover:bg-white/10 ${
-                      isShuffling ? 'bg-white/20' : ''
-                    }`}
-                  >
-                    <Shuffle className="h-5 w-5" />
-                  </Button>
-
-                  <Button
-                    variant="ghost"
-                    size="lg"
-                    onClick={() => skipTrack('prev')}
-                    className="text-white hover:bg-white/10"
-                    disabled={!currentTrack}
-                  >
-                    <SkipBack className="h-6 w-6" />
-                  </Button>
-
-                  <Button
-                    size="lg"
-                    onClick={togglePlayPause}
-                    disabled={!currentTrack}
-                    className="bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white rounded-full w-16 h-16"
-                  >
-                    {isPlaying ? (
-                      <Pause className="h-8 w-8" />
-                    ) : (
-                      <Play className="h-8 w-8 ml-1" />
-                    )}
-                  </Button>
-
-                  <Button
-                    variant="ghost"
-                    size="lg"
-                    onClick={() => skipTrack('next')}
-                    className="text-white hover:bg-white/10"
-                    disabled={!currentTrack}
-                  >
-                    <SkipForward className="h-6 w-6" />
-                  </Button>
-
-                  <Button
-                    variant="ghost"
-                    size="lg"
-                    onClick={() => {
-                      const modes = ['none', 'one', 'all']
-                      const currentIndex = modes.indexOf(repeatMode)
-                      setRepeatMode(modes[(currentIndex + 1) % modes.length])
-                    }}
-                    className={`text-white hover:bg-white/10 ${
-                      repeatMode !== 'none' ? 'bg-white/20' : ''
-                    }`}
-                  >
-                    <Repeat className="h-5 w-5" />
-                  </Button>
-                </div>
-
-                {/* Volume Control */}
-                <div className="flex items-center justify-center space-x-4">
-                  <Volume2 className="h-5 w-5 text-white" />
-                  <Slider
-                    value={volume}
-                    onValueChange={handleVolumeChange}
-                    max={100}
-                    step={1}
-                    className="w-32"
-                  />
-                  <span className="text-white text-sm w-8">{volume[0]}</span>
-                </div>
+                <LibraryTable
+                  tracks={tracks}
+                  currentTrackId={currentTrack?.id}
+                  playlists={playlists}
+                  onPlay={(track) => playTrack(track, tracks, LIBRARY_VIEW)}
+                  onPlayNext={handlePlayNext}
+                  onAddToQueue={handleAddToQueue}
+                  onAddToPlaylist={handleAddToPlaylist}
+                  onCreatePlaylist={(trackIds) => handleCreatePlaylist(`Playlist ${playlists.length + 1}`, trackIds)}
+                  onRemove={(selected) => removeTracks(selected.map(track => track.id))}
+                  onRate={handleRate}
+                  searchTracks={searchTracks}
+                />
               </CardContent>
             </Card>
           </motion.div>
         </div>
-      </div>
-
-      {/* Audio Element */}
-      <audio
-        ref={audioRef}
-        onTimeUpdate={handleTimeUpdate}
-        onLoadedMetadata={handleLoadedMetadata}
-        onEnded={() => {
-          if (repeatMode === 'one') {
-            audioRef.current?.play()
-          } else if (repeatMode === 'all' || tracks.length > 1) {
-            skipTrack('next')
-          } else {
-            setIsPlaying(false)
-          }
-        }}
-        preload="metadata"
+      </SidebarInset>
+      <ShortcutsDialog
+        open={isShortcutsOpen}
+        onOpenChange={setIsShortcutsOpen}
+        keymap={keymap}
+        onBind={setBinding}
+        onReset={resetKeymap}
+      />
+      <CommandPalette
+        tracks={tracks}
+        playlists={playlists}
+        visualizerType={visualizerType}
+        onVisualizerChange={setVisualizerType}
+        onPlayTracks={handlePlayTracks}
+        onPlayNext={handlePlayNext}
+        onAddToQueue={handleAddToQueue}
+        onAddToPlaylist={handleAddToPlaylist}
+        onPlayPlaylist={handlePlayPlaylist}
+        onOpenPlaylist={setActiveView}
+        onOpenSettings={handleOpenSettings}
+        onShowShortcuts={() => setIsShortcutsOpen(true)}
       />
-    </div>
+      {playlistImports.length > 0 && (
+        <PlaylistImportDialog
+          key={playlistImports[0].id}
+          playlistImport={playlistImports[0]}
+          searchTracks={searchTracks}
+          onSave={handleSavePlaylistImport}
+          onCancel={() => setPlaylistImports(prev => prev.slice(1))}
+        />
+      )}
+      {restoreBackup && (
+        <LibraryRestoreDialog
+          backup={restoreBackup}
+          tracks={tracks}
+          playlists={playlists}
+          onBeforeRestore={handleBeforeRestore}
+          onRestored={handleRestored}
+          onCancel={() => setRestoreBackup(null)}
+        />
+      )}
+      <Toaster />
+    </SidebarProvider>
   )
 }
 
-export default App
\ No newline at end of file
+export default App
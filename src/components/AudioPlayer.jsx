@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect } from 'react';
+import { useRef, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   Play, 
@@ -9,65 +9,116 @@ import {
   VolumeX, 
   Shuffle, 
   Repeat,
+  AudioLines,
+  Blend,
+  Gauge,
   Heart,
   MoreHorizontal
 } from 'lucide-react';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Slider } from './ui/slider';
+import { ToggleGroup, ToggleGroupItem } from './ui/toggle-group';
+import WaveformSeekBar from './WaveformSeekBar';
+import BookmarksPopover from './BookmarksPopover';
+import SleepTimerPopover from './SleepTimerPopover';
+import { useAudioContext } from '../hooks/useAudioContext';
+import { MIN_PLAYBACK_RATE, MAX_PLAYBACK_RATE } from '../utils/audioUtils';
+import {
+  NORMALIZATION_MODES,
+  MIN_TARGET_LEVEL,
+  MAX_TARGET_LEVEL
+} from '../utils/loudness';
+
+/**
+ * Formats a level in decibels with an explicit sign
+ * @param {number} value - Level in dB
+ * @returns {string}
+ */
+const formatDecibels = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+
+// Speeds offered as one-click choices
+const PLAYBACK_RATE_PRESETS = [0.75, 1, 1.25, 1.5, 2];
+
+const AudioPlayer = ({ onUpdateTrack, openPanel = null, onOpenPanelChange, className = "" }) => {
+  const {
+    currentTrack,
+    playlist,
+    queue,
+    isPlaying,
+    isLoading,
+    currentTime,
+    duration,
+    volume,
+    isMuted,
+    isShuffled,
+    isGapless,
+    crossfadeDuration,
+    crossfadeCurve,
+    playbackRate,
+    playbackRateScope,
+    playlistSource,
+    normalizationMode,
+    targetLevel,
+    normalizationGain,
+    trackLoudness,
+    waveform,
+    bookmarks,
+    isFavorite,
+    loopStart,
+    loopRange,
+    repeatMode,
+    analyser,
+    togglePlay,
+    previous,
+    next,
+    seek,
+    setVolume,
+    toggleMute,
+    toggleShuffle,
+    toggleGapless,
+    setCrossfadeDuration,
+    setCrossfadeCurve,
+    setPlaybackRate,
+    setPlaybackRateScope,
+    setNormalizationMode,
+    setTargetLevel,
+    setLoopStart,
+    setLoopEnd,
+    clearLoop,
+    cycleRepeatMode
+  } = useAudioContext();
 
-const AudioPlayer = ({ 
-  currentTrack, 
-  playlist = [], 
-  onTrackChange,
-  className = "" 
-}) => {
-  const audioRef = useRef(null);
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
-  const audioContextRef = useRef(null);
-  const analyserRef = useRef(null);
   const dataArrayRef = useRef(null);
 
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [currentTime, setCurrentTime] = useState(0);
-  const [duration, setDuration] = useState(0);
-  const [volume, setVolume] = useState(1);
-  const [isMuted, setIsMuted] = useState(false);
-  const [isShuffled, setIsShuffled] = useState(false);
-  const [repeatMode, setRepeatMode] = useState('off'); // off, one, all
-  const [isLiked, setIsLiked] = useState(false);
-  const [isLoading, setIsLoading] = useState(false);
-
-  // Initialize audio context and visualizer
-  useEffect(() => {
-    if (currentTrack && audioRef.current) {
-      try {
-        if (!audioContextRef.current) {
-          audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-          analyserRef.current = audioContextRef.current.createAnalyser();
-          analyserRef.current.fftSize = 256;
-          
-          const bufferLength = analyserRef.current.frequencyBinCount;
-          dataArrayRef.current = new Uint8Array(bufferLength);
-          
-          const source = audioContextRef.current.createMediaElementSource(audioRef.current);
-          source.connect(analyserRef.current);
-          analyserRef.current.connect(audioContextRef.current.destination);
-        }
-      } catch (error) {
-        console.warn('Audio context initialization failed:', error);
+  // The open settings popover is kept by the parent, so the command palette
+  // can open one too
+  const getPanelProps = (panel) => ({
+    open: openPanel === panel,
+    onOpenChange: (isOpen) => {
+      if (isOpen) {
+        onOpenPanelChange?.(panel);
+      } else if (openPanel === panel) {
+        onOpenPanelChange?.(null);
       }
     }
-  }, [currentTrack]);
+  });
 
   // Visualizer animation
-  const drawVisualizer = () => {
-    if (!canvasRef.current || !analyserRef.current || !dataArrayRef.current) return;
+  const drawVisualizer = useCallback(() => {
+    if (!canvasRef.current || !analyser) return;
+
+    if (!dataArrayRef.current || dataArrayRef.current.length !== analyser.frequencyBinCount) {
+      dataArrayRef.current = new Uint8Array(analyser.frequencyBinCount);
+    }
 
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
     const width = canvas.width;
     const height = canvas.height;
 
-    analyserRef.current.getByteFrequencyData(dataArrayRef.current);
+    analyser.getByteFrequencyData(dataArrayRef.current);
 
     ctx.clearRect(0, 0, width, height);
 
@@ -90,7 +141,7 @@ const AudioPlayer = ({
     }
 
     animationRef.current = requestAnimationFrame(drawVisualizer);
-  };
+  }, [analyser]);
 
   // Start/stop visualizer
   useEffect(() => {
@@ -107,121 +158,12 @@ const AudioPlayer = ({
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [isPlaying]);
-
-  // Audio event handlers
-  useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-
-    const handleLoadStart = () => setIsLoading(true);
-    const handleCanPlay = () => setIsLoading(false);
-    const handleLoadedMetadata = () => setDuration(audio.duration);
-    const handleTimeUpdate = () => setCurrentTime(audio.currentTime);
-    const handleEnded = () => handleNext();
-
-    audio.addEventListener('loadstart', handleLoadStart);
-    audio.addEventListener('canplay', handleCanPlay);
-    audio.addEventListener('loadedmetadata', handleLoadedMetadata);
-    audio.addEventListener('timeupdate', handleTimeUpdate);
-    audio.addEventListener('ended', handleEnded);
-
-    return () => {
-      audio.removeEventListener('loadstart', handleLoadStart);
-      audio.removeEventListener('canplay', handleCanPlay);
-      audio.removeEventListener('loadedmetadata', handleLoadedMetadata);
-      audio.removeEventListener('timeupdate', handleTimeUpdate);
-      audio.removeEventListener('ended', handleEnded);
-    };
-  }, [currentTrack]);
-
-  const togglePlay = async () => {
-    if (!audioRef.current || !currentTrack) return;
-
-    try {
-      if (audioContextRef.current?.state === 'suspended') {
-        await audioContextRef.current.resume();
-      }
-
-      if (isPlaying) {
-        audioRef.current.pause();
-        setIsPlaying(false);
-      } else {
-        await audioRef.current.play();
-        setIsPlaying(true);
-      }
-    } catch (error) {
-      console.error('Playback error:', error);
-    }
-  };
-
-  const handlePrevious = () => {
-    if (!playlist.length || !onTrackChange) return;
-    
-    const currentIndex = playlist.findIndex(track => track.id === currentTrack?.id);
-    const previousIndex = currentIndex > 0 ? currentIndex - 1 : playlist.length - 1;
-    onTrackChange(playlist[previousIndex]);
-  };
-
-  const handleNext = () => {
-    if (!playlist.length || !onTrackChange) return;
-
-    if (repeatMode === 'one') {
-      audioRef.current.currentTime = 0;
-      audioRef.current.play();
-      return;
-    }
-
-    const currentIndex = playlist.findIndex(track => track.id === currentTrack?.id);
-    let nextIndex;
-
-    if (isShuffled) {
-      nextIndex = Math.floor(Math.random() * playlist.length);
-    } else {
-      nextIndex = currentIndex < playlist.length - 1 ? currentIndex + 1 : 0;
-    }
-
-    if (repeatMode === 'off' && currentIndex === playlist.length - 1) {
-      setIsPlaying(false);
-      return;
-    }
-
-    onTrackChange(playlist[nextIndex]);
-  };
-
-  const handleSeek = (e) => {
-    if (!audioRef.current) return;
-    
-    const rect = e.currentTarget.getBoundingClientRect();
-    const percent = (e.clientX - rect.left) / rect.width;
-    const newTime = percent * duration;
-    
-    audioRef.current.currentTime = newTime;
-    setCurrentTime(newTime);
-  };
+  }, [isPlaying, drawVisualizer]);
 
   const handleVolumeChange = (e) => {
     const rect = e.currentTarget.getBoundingClientRect();
     const percent = (e.clientX - rect.left) / rect.width;
-    const newVolume = Math.max(0, Math.min(1, percent));
-    
-    setVolume(newVolume);
-    if (audioRef.current) {
-      audioRef.current.volume = newVolume;
-    }
-    setIsMuted(newVolume === 0);
-  };
-
-  const toggleMute = () => {
-    if (audioRef.current) {
-      if (isMuted) {
-        audioRef.current.volume = volume;
-        setIsMuted(false);
-      } else {
-        audioRef.current.volume = 0;
-        setIsMuted(true);
-      }
-    }
+    setVolume(percent);
   };
 
   const formatTime = (time) => {
@@ -231,7 +173,21 @@ const AudioPlayer = ({
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
   };
 
-  const progressPercent = duration > 0 ? (currentTime / duration) * 100 : 0;
+  // The loop button sets A, then B, then clears the loop
+  const handleLoopClick = () => {
+    if (loopRange) {
+      clearLoop();
+    } else if (loopStart !== null) {
+      setLoopEnd();
+    } else {
+      setLoopStart();
+    }
+  };
+
+  const loopTitle = loopRange
+    ? `Looping ${formatTime(loopRange.start)}–${formatTime(loopRange.end)}, click to clear`
+    : loopStart !== null ? 'Set loop end (B)' : 'Set loop start (A)';
+
   const volumePercent = isMuted ? 0 : volume * 100;
 
   return (
@@ -249,16 +205,6 @@ const AudioPlayer = ({
         className="absolute inset-0 w-full h-full rounded-2xl opacity-30 pointer-events-none"
       />
 
-      {/* Audio Element */}
-      {currentTrack && (
-        <audio
-          ref={audioRef}
-          src={currentTrack.url}
-          preload="metadata"
-          crossOrigin="anonymous"
-        />
-      )}
-
       {/* Track Info */}
       <AnimatePresence mode="wait">
         {currentTrack && (
@@ -297,11 +243,12 @@ const AudioPlayer = ({
               <motion.button
                 whileHover={{ scale: 1.1 }}
                 whileTap={{ scale: 0.9 }}
-                onClick={() => setIsLiked(!isLiked)}
+                onClick={() => onUpdateTrack?.(currentTrack.id, { favorite: !isFavorite })}
+                title={isFavorite ? 'Unlike' : 'Like'}
                 className="p-2 rounded-full hover:bg-white/10 transition-colors"
               >
                 <Heart 
-                  className={`w-5 h-5 ${isLiked ? 'fill-red-500 text-red-500' : 'text-white/70'}`}
+                  className={`w-5 h-5 ${isFavorite ? 'fill-red-500 text-red-500' : 'text-white/70'}`}
                 />
               </motion.button>
               
@@ -319,20 +266,39 @@ const AudioPlayer = ({
 
       {/* Progress Bar */}
       <div className="mb-6">
-        <div 
-          className="w-full h-2 bg-white/20 rounded-full cursor-pointer group"
-          onClick={handleSeek}
-        >
-          <div 
-            className="h-full bg-gradient-to-r from-purple-500 to-blue-500 rounded-full relative transition-all duration-150 group-hover:h-3 group-hover:-mt-0.5"
-            style={{ width: `${progressPercent}%` }}
-          >
-            <div className="absolute right-0 top-1/2 transform -translate-y-1/2 w-3 h-3 bg-white rounded-full opacity-0 group-hover:opacity-100 transition-opacity" />
-          </div>
-        </div>
+        <WaveformSeekBar
+          peaks={waveform}
+          currentTime={currentTime}
+          duration={duration}
+          loopStart={loopStart}
+          loopRange={loopRange}
+          bookmarks={bookmarks}
+          onSeek={seek}
+        />
         
-        <div className="flex justify-between text-xs text-white/70 mt-2">
+        <div className="flex items-center justify-between text-xs text-white/70 mt-2">
           <span>{formatTime(currentTime)}</span>
+          <div className="flex items-center gap-2">
+            <motion.button
+              whileHover={{ scale: 1.1 }}
+              whileTap={{ scale: 0.9 }}
+              onClick={handleLoopClick}
+              disabled={!currentTrack}
+              title={loopTitle}
+              className={`px-2 py-0.5 rounded-full font-medium transition-colors disabled:opacity-50 ${
+                loopRange ? 'bg-purple-500 text-white' : loopStart !== null ? 'bg-white/20 text-white' : 'hover:bg-white/10'
+              }`}
+            >
+              {loopStart !== null ? 'A–?' : 'A–B'}
+            </motion.button>
+            <BookmarksPopover
+              bookmarks={bookmarks}
+              currentTime={currentTime}
+              disabled={!currentTrack || !onUpdateTrack}
+              onSeek={seek}
+              onChange={(updated) => onUpdateTrack(currentTrack.id, { bookmarks: updated })}
+            />
+          </div>
           <span>{formatTime(duration)}</span>
         </div>
       </div>
@@ -343,7 +309,7 @@ const AudioPlayer = ({
           <motion.button
             whileHover={{ scale: 1.1 }}
             whileTap={{ scale: 0.9 }}
-            onClick={() => setIsShuffled(!isShuffled)}
+            onClick={toggleShuffle}
             className={`p-2 rounded-full transition-colors ${
               isShuffled ? 'bg-purple-500 text-white' : 'hover:bg-white/10 text-white/70'
             }`}
@@ -354,13 +320,8 @@ const AudioPlayer = ({
           <motion.button
             whileHover={{ scale: 1.1 }}
             whileTap={{ scale: 0.9 }}
-            onClick={() => {
-              const modes = ['off', 'all', 'one'];
-              const currentIndex = modes.indexOf(repeatMode);
-              const nextMode = modes[(currentIndex + 1) % modes.length];
-              setRepeatMode(nextMode);
-            }}
-            className={`p-2 rounded-full transition-colors ${
+            onClick={cycleRepeatMode}
+            className={`relative p-2 rounded-full transition-colors ${
               repeatMode !== 'off' ? 'bg-purple-500 text-white' : 'hover:bg-white/10 text-white/70'
             }`}
           >
@@ -369,13 +330,177 @@ const AudioPlayer = ({
               <span className="absolute -top-1 -right-1 w-2 h-2 bg-white rounded-full" />
             )}
           </motion.button>
+
+          <motion.button
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            onClick={toggleGapless}
+            title="Gapless playback"
+            className={`p-2 rounded-full transition-colors ${
+              isGapless ? 'bg-purple-500 text-white' : 'hover:bg-white/10 text-white/70'
+            }`}
+          >
+            <AudioLines className="w-4 h-4" />
+          </motion.button>
+
+          <Popover {...getPanelProps('crossfade')}>
+            <PopoverTrigger asChild>
+              <motion.button
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                title="Crossfade"
+                className={`p-2 rounded-full transition-colors ${
+                  crossfadeDuration > 0 ? 'bg-purple-500 text-white' : 'hover:bg-white/10 text-white/70'
+                }`}
+              >
+                <Blend className="w-4 h-4" />
+              </motion.button>
+            </PopoverTrigger>
+            <PopoverContent className="space-y-4">
+              <div className="flex items-center justify-between text-sm">
+                <span className="font-medium">Crossfade</span>
+                <span className="text-muted-foreground">
+                  {crossfadeDuration > 0 ? `${crossfadeDuration}s` : 'Off'}
+                </span>
+              </div>
+              <Slider
+                min={0}
+                max={12}
+                step={0.5}
+                value={[crossfadeDuration]}
+                onValueChange={([value]) => setCrossfadeDuration(value)}
+              />
+              <ToggleGroup
+                type="single"
+                variant="outline"
+                size="sm"
+                value={crossfadeCurve}
+                onValueChange={(value) => value && setCrossfadeCurve(value)}
+                disabled={crossfadeDuration === 0}
+              >
+                <ToggleGroupItem value="equal-power">Equal power</ToggleGroupItem>
+                <ToggleGroupItem value="linear">Linear</ToggleGroupItem>
+              </ToggleGroup>
+              <p className="text-xs text-muted-foreground">
+                Consecutive tracks of an album always play gaplessly.
+              </p>
+            </PopoverContent>
+          </Popover>
+
+          <Popover {...getPanelProps('normalization')}>
+            <PopoverTrigger asChild>
+              <motion.button
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                title="Loudness normalization"
+                className={`p-2 rounded-full transition-colors ${
+                  normalizationMode !== NORMALIZATION_MODES.OFF ? 'bg-purple-500 text-white' : 'hover:bg-white/10 text-white/70'
+                }`}
+              >
+                <Gauge className="w-4 h-4" />
+              </motion.button>
+            </PopoverTrigger>
+            <PopoverContent className="space-y-4">
+              <div className="flex items-center justify-between text-sm">
+                <span className="font-medium">Normalize loudness</span>
+                <span className="text-muted-foreground">{targetLevel} LUFS</span>
+              </div>
+              <ToggleGroup
+                type="single"
+                variant="outline"
+                size="sm"
+                value={normalizationMode}
+                onValueChange={(value) => value && setNormalizationMode(value)}
+              >
+                <ToggleGroupItem value={NORMALIZATION_MODES.OFF}>Off</ToggleGroupItem>
+                <ToggleGroupItem value={NORMALIZATION_MODES.TRACK}>Track</ToggleGroupItem>
+                <ToggleGroupItem value={NORMALIZATION_MODES.ALBUM}>Album</ToggleGroupItem>
+              </ToggleGroup>
+              <Slider
+                min={MIN_TARGET_LEVEL}
+                max={MAX_TARGET_LEVEL}
+                step={1}
+                value={[targetLevel]}
+                onValueChange={([value]) => setTargetLevel(value)}
+                disabled={normalizationMode === NORMALIZATION_MODES.OFF}
+              />
+              {currentTrack && (
+                <p className="text-xs text-muted-foreground">
+                  {trackLoudness.loudness === null
+                    ? 'This track has not been measured yet.'
+                    : `This track: ${trackLoudness.loudness.toFixed(1)} LUFS` +
+                      (trackLoudness.truePeak === null ? '' : `, peak ${trackLoudness.truePeak.toFixed(1)} dBTP`) +
+                      `, played at ${formatDecibels(20 * Math.log10(normalizationGain))} dB.`}
+                </p>
+              )}
+            </PopoverContent>
+          </Popover>
+
+          <Popover {...getPanelProps('speed')}>
+            <PopoverTrigger asChild>
+              <motion.button
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                title="Playback speed"
+                className={`min-w-9 px-2 py-1.5 rounded-full text-xs font-semibold tabular-nums transition-colors ${
+                  playbackRate !== 1 ? 'bg-purple-500 text-white' : 'hover:bg-white/10 text-white/70'
+                }`}
+              >
+                {playbackRate}×
+              </motion.button>
+            </PopoverTrigger>
+            <PopoverContent className="space-y-4">
+              <div className="flex items-center justify-between text-sm">
+                <span className="font-medium">Speed</span>
+                <span className="text-muted-foreground tabular-nums">{playbackRate.toFixed(2)}×</span>
+              </div>
+              <Slider
+                min={MIN_PLAYBACK_RATE}
+                max={MAX_PLAYBACK_RATE}
+                step={0.05}
+                value={[playbackRate]}
+                onValueChange={([value]) => setPlaybackRate(value)}
+              />
+              <ToggleGroup
+                type="single"
+                variant="outline"
+                size="sm"
+                value={String(playbackRate)}
+                onValueChange={(value) => value && setPlaybackRate(Number(value))}
+              >
+                {PLAYBACK_RATE_PRESETS.map(rate => (
+                  <ToggleGroupItem key={rate} value={String(rate)}>{rate}×</ToggleGroupItem>
+                ))}
+              </ToggleGroup>
+              <div className="space-y-2">
+                <span className="text-sm font-medium">Remember for</span>
+                <ToggleGroup
+                  type="single"
+                  variant="outline"
+                  size="sm"
+                  value={playbackRateScope}
+                  onValueChange={(value) => value && setPlaybackRateScope(value)}
+                  disabled={!currentTrack}
+                >
+                  <ToggleGroupItem value="none">Nothing</ToggleGroupItem>
+                  <ToggleGroupItem value="track">This track</ToggleGroupItem>
+                  <ToggleGroupItem value="playlist" disabled={playlistSource === null}>This playlist</ToggleGroupItem>
+                </ToggleGroup>
+              </div>
+              {playbackRate !== 1 && (isGapless || crossfadeDuration > 0) && (
+                <p className="text-xs text-muted-foreground">
+                  Gapless playback and crossfades only apply at 1×.
+                </p>
+              )}
+            </PopoverContent>
+          </Popover>
         </div>
 
         <div className="flex items-center space-x-4">
           <motion.button
             whileHover={{ scale: 1.1 }}
             whileTap={{ scale: 0.9 }}
-            onClick={handlePrevious}
+            onClick={previous}
             className="p-2 text-white hover:text-purple-400 transition-colors"
             disabled={!playlist.length}
           >
@@ -401,15 +526,17 @@ const AudioPlayer = ({
           <motion.button
             whileHover={{ scale: 1.1 }}
             whileTap={{ scale: 0.9 }}
-            onClick={handleNext}
+            onClick={next}
             className="p-2 text-white hover:text-purple-400 transition-colors"
-            disabled={!playlist.length}
+            disabled={!playlist.length && !queue.length}
           >
             <SkipForward className="w-6 h-6" />
           </motion.button>
         </div>
 
         <div className="flex items-center space-x-2">
+          <SleepTimerPopover {...getPanelProps('sleepTimer')} />
+
           <motion.button
             whileHover={{ scale: 1.1 }}
             whileTap={{ scale: 0.9 }}
@@ -0,0 +1,91 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Bookmark, Plus, X } from 'lucide-react';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { formatDuration, generateBookmarkId } from '../utils/audioUtils';
+
+const BookmarksPopover = ({ bookmarks = [], currentTime, disabled = false, onSeek, onChange }) => {
+  const [name, setName] = useState('');
+
+  const defaultName = `Bookmark at ${formatDuration(currentTime)}`;
+
+  const addBookmark = (e) => {
+    e.preventDefault();
+    const bookmark = {
+      id: generateBookmarkId(),
+      time: Math.round(currentTime * 100) / 100,
+      name: name.trim() || defaultName
+    };
+    onChange([...bookmarks, bookmark].sort((a, b) => a.time - b.time));
+    setName('');
+  };
+
+  const removeBookmark = (bookmarkId) => {
+    onChange(bookmarks.filter(bookmark => bookmark.id !== bookmarkId));
+  };
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          disabled={disabled}
+          title="Bookmarks"
+          className={`p-1 rounded-full transition-colors disabled:opacity-50 ${
+            bookmarks.length > 0 ? 'text-amber-400' : 'text-white/70 hover:text-white'
+          }`}
+        >
+          <Bookmark className="w-4 h-4" />
+        </motion.button>
+      </PopoverTrigger>
+      <PopoverContent className="space-y-3">
+        <div className="text-sm font-medium">Bookmarks</div>
+
+        <form onSubmit={addBookmark} className="flex items-center gap-2">
+          <Input
+            className="h-8"
+            placeholder={defaultName}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <Button type="submit" size="icon" className="h-8 w-8 shrink-0">
+            <Plus className="h-4 w-4" />
+            <span className="sr-only">Add bookmark</span>
+          </Button>
+        </form>
+
+        {bookmarks.length > 0 ? (
+          <ul className="space-y-1 max-h-48 overflow-y-auto">
+            {bookmarks.map(bookmark => (
+              <li key={bookmark.id} className="flex items-center gap-2 text-sm">
+                <button
+                  className="flex-1 flex items-center gap-2 min-w-0 rounded px-1 py-0.5 text-left hover:bg-accent"
+                  onClick={() => onSeek(bookmark.time)}
+                >
+                  <span className="text-muted-foreground tabular-nums">{formatDuration(bookmark.time)}</span>
+                  <span className="truncate">{bookmark.name}</span>
+                </button>
+                <button
+                  className="text-muted-foreground hover:text-red-500"
+                  onClick={() => removeBookmark(bookmark.id)}
+                >
+                  <X className="h-3.5 w-3.5" />
+                  <span className="sr-only">Delete bookmark</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-xs text-muted-foreground">
+            No bookmarks in this track yet.
+          </p>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default BookmarksPopover;
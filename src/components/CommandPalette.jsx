@@ -0,0 +1,344 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { defaultFilter } from 'cmdk';
+import {
+  Play,
+  Pause,
+  SkipBack,
+  SkipForward,
+  Shuffle,
+  Repeat,
+  SlidersHorizontal,
+  Keyboard,
+  Music,
+  User,
+  Disc,
+  ListMusic,
+  ListPlus,
+  ListEnd,
+  ListStart,
+  AudioWaveform,
+  ArrowLeft,
+  Blend,
+  Gauge,
+  FastForward,
+  Moon
+} from 'lucide-react';
+import {
+  CommandDialog,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+  CommandSeparator,
+  CommandShortcut
+} from './ui/command';
+import { useAudioContext } from '../hooks/useAudioContext';
+import { resolvePlaylistTracks, VISUALIZER_TYPES } from '../utils/audioUtils';
+
+// Tracks, artists and albums listed per group while searching
+const MAX_RESULTS = 30;
+
+const UNKNOWN_ARTIST = 'Unknown Artist';
+const UNKNOWN_ALBUM = 'Unknown Album';
+
+// Settings panels and popovers the palette can open
+const SETTINGS_PANELS = [
+  { panel: 'equalizer', label: 'Equalizer presets', icon: SlidersHorizontal },
+  { panel: 'crossfade', label: 'Crossfade', icon: Blend },
+  { panel: 'normalization', label: 'Loudness normalization', icon: Gauge },
+  { panel: 'speed', label: 'Playback speed', icon: FastForward },
+  { panel: 'sleepTimer', label: 'Sleep timer', icon: Moon }
+];
+
+/**
+ * Groups tracks by a name, skipping tracks without one
+ * @param {Array} tracks - Library tracks
+ * @param {Function} getName - Returns the group name of a track
+ * @returns {Array<{ name: string, tracks: Array }>} - Groups sorted by name
+ */
+const groupTracks = (tracks, getName) => {
+  const groups = new Map();
+  tracks.forEach(track => {
+    const name = getName(track);
+    if (!name) return;
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(track);
+  });
+  return [...groups].map(([name, items]) => ({ name, tracks: items })).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Keeps the best fuzzy matches of a search, using the palette's own scoring
+ * so only a handful of items are ever mounted
+ * @param {Array} items - Items to search
+ * @param {string} search - Search text
+ * @param {Function} getText - Returns the searchable text of an item
+ * @returns {Array} - Matching items, best first
+ */
+const findMatches = (items, search, getText) => {
+  if (!search.trim()) return [];
+
+  return items
+    .map(item => ({ item, score: defaultFilter(getText(item), search) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS)
+    .map(match => match.item);
+};
+
+const getTrackText = (track) => [track.title, track.artist, track.album].filter(Boolean).join(' ');
+
+const CommandPalette = ({
+  tracks,
+  playlists,
+  visualizerType,
+  onVisualizerChange,
+  onPlayTracks,
+  onPlayNext,
+  onAddToQueue,
+  onAddToPlaylist,
+  onPlayPlaylist,
+  onOpenPlaylist,
+  onOpenSettings,
+  onShowShortcuts
+}) => {
+  const {
+    currentTrack,
+    isPlaying,
+    isShuffled,
+    isEqBypassed,
+    togglePlay,
+    next,
+    previous,
+    toggleShuffle,
+    cycleRepeatMode,
+    toggleEqBypass
+  } = useAudioContext();
+
+  const [open, setOpen] = useState(false);
+  const [search, setSearch] = useState('');
+  // Tracks picked from the results (a track, artist, album or playlist),
+  // waiting for what to do with them
+  const [selection, setSelection] = useState(null);
+  // Set when a command opens a settings popover, which would close again if
+  // the dialog gave focus back to where it was
+  const skipFocusRestoreRef = useRef(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key.toLowerCase() === 'k' && (e.ctrlKey || e.metaKey) && !e.altKey) {
+        e.preventDefault();
+        setOpen(isOpen => !isOpen);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const handleOpenChange = (isOpen) => {
+    setOpen(isOpen);
+    setSearch('');
+    setSelection(null);
+  };
+
+  const artists = useMemo(() => groupTracks(tracks, track => (
+    track.artist !== UNKNOWN_ARTIST ? track.artist : null
+  )), [tracks]);
+
+  const albums = useMemo(() => groupTracks(tracks, track => (
+    track.album !== UNKNOWN_ALBUM ? track.album : null
+  )), [tracks]);
+
+  const trackMatches = useMemo(() => findMatches(tracks, search, getTrackText), [tracks, search]);
+  const artistMatches = useMemo(() => findMatches(artists, search, group => group.name), [artists, search]);
+  const albumMatches = useMemo(() => findMatches(albums, search, group => group.name), [albums, search]);
+
+  // Runs a command and closes the palette
+  const run = (command) => () => {
+    command();
+    handleOpenChange(false);
+  };
+
+  const openSettings = (panel) => () => {
+    skipFocusRestoreRef.current = true;
+    onOpenSettings(panel);
+    handleOpenChange(false);
+  };
+
+  const handleCloseAutoFocus = (e) => {
+    if (skipFocusRestoreRef.current) e.preventDefault();
+    skipFocusRestoreRef.current = false;
+  };
+
+  const select = (title, selectedTracks, playlistId = null) => () => {
+    setSelection({ title, tracks: selectedTracks, playlistId });
+    setSearch('');
+  };
+
+  // Backspace in an empty search goes back from a selection to the results
+  const handleInputKeyDown = (e) => {
+    if (e.key === 'Backspace' && !search && selection) {
+      e.preventDefault();
+      setSelection(null);
+    }
+  };
+
+  const renderSelection = () => {
+    const { title, tracks: selectedTracks, playlistId } = selection;
+    const trackIds = selectedTracks.map(track => track.id);
+    const otherPlaylists = playlists.filter(playlist => playlist.id !== playlistId);
+
+    return (
+      <>
+        <CommandGroup heading={title}>
+          <CommandItem
+            disabled={!selectedTracks.length}
+            onSelect={run(() => (playlistId ? onPlayPlaylist(playlistId) : onPlayTracks(selectedTracks)))}
+          >
+            <Play /> Play
+          </CommandItem>
+          {playlistId && (
+            <CommandItem onSelect={run(() => onOpenPlaylist(playlistId))}>
+              <ListMusic /> Open playlist
+            </CommandItem>
+          )}
+          <CommandItem disabled={!selectedTracks.length} onSelect={run(() => onPlayNext(selectedTracks))}>
+            <ListStart /> Play next
+          </CommandItem>
+          <CommandItem disabled={!selectedTracks.length} onSelect={run(() => onAddToQueue(selectedTracks))}>
+            <ListEnd /> Add to queue
+          </CommandItem>
+          <CommandItem onSelect={() => setSelection(null)}>
+            <ArrowLeft /> Back
+          </CommandItem>
+        </CommandGroup>
+        {otherPlaylists.length > 0 && selectedTracks.length > 0 && (
+          <CommandGroup heading="Add to playlist">
+            {otherPlaylists.map(playlist => (
+              <CommandItem
+                key={playlist.id}
+                value={`Add to ${playlist.name}`}
+                onSelect={run(() => onAddToPlaylist(playlist.id, trackIds))}
+              >
+                <ListPlus /> {playlist.name}
+              </CommandItem>
+            ))}
+          </CommandGroup>
+        )}
+      </>
+    );
+  };
+
+  const renderResults = () => (
+    <>
+      {trackMatches.length > 0 && (
+        <CommandGroup heading="Tracks">
+          {trackMatches.map(track => (
+            <CommandItem key={track.id} value={getTrackText(track)} onSelect={select(track.title, [track])}>
+              <Music />
+              <span className="truncate">{track.title}</span>
+              <span className="truncate text-muted-foreground">{track.artist}</span>
+            </CommandItem>
+          ))}
+        </CommandGroup>
+      )}
+      {artistMatches.length > 0 && (
+        <CommandGroup heading="Artists">
+          {artistMatches.map(artist => (
+            <CommandItem key={artist.name} value={`Artist ${artist.name}`} onSelect={select(artist.name, artist.tracks)}>
+              <User /> {artist.name}
+              <CommandShortcut>{artist.tracks.length}</CommandShortcut>
+            </CommandItem>
+          ))}
+        </CommandGroup>
+      )}
+      {albumMatches.length > 0 && (
+        <CommandGroup heading="Albums">
+          {albumMatches.map(album => (
+            <CommandItem key={album.name} value={`Album ${album.name}`} onSelect={select(album.name, album.tracks)}>
+              <Disc /> {album.name}
+              <CommandShortcut>{album.tracks.length}</CommandShortcut>
+            </CommandItem>
+          ))}
+        </CommandGroup>
+      )}
+      {playlists.length > 0 && (
+        <CommandGroup heading="Playlists">
+          {playlists.map(playlist => (
+            <CommandItem
+              key={playlist.id}
+              value={`Playlist ${playlist.name}`}
+              onSelect={select(playlist.name, resolvePlaylistTracks(playlist, tracks), playlist.id)}
+            >
+              <ListMusic /> {playlist.name}
+              <CommandShortcut>{playlist.trackIds.length}</CommandShortcut>
+            </CommandItem>
+          ))}
+        </CommandGroup>
+      )}
+
+      <CommandSeparator />
+      <CommandGroup heading="Player">
+        <CommandItem disabled={!currentTrack} onSelect={run(togglePlay)}>
+          {isPlaying ? <Pause /> : <Play />} {isPlaying ? 'Pause' : 'Play'}
+        </CommandItem>
+        <CommandItem onSelect={run(next)}>
+          <SkipForward /> Next track
+        </CommandItem>
+        <CommandItem onSelect={run(previous)}>
+          <SkipBack /> Previous track
+        </CommandItem>
+        <CommandItem onSelect={run(toggleShuffle)}>
+          <Shuffle /> {isShuffled ? 'Turn shuffle off' : 'Turn shuffle on'}
+        </CommandItem>
+        <CommandItem onSelect={run(cycleRepeatMode)}>
+          <Repeat /> Change repeat mode
+        </CommandItem>
+      </CommandGroup>
+      <CommandGroup heading="Visualizer">
+        {VISUALIZER_TYPES.map(type => (
+          <CommandItem
+            key={type.value}
+            value={`Visualizer ${type.label}`}
+            onSelect={run(() => onVisualizerChange(type.value))}
+          >
+            <AudioWaveform /> {type.label} visualizer
+            {visualizerType === type.value && <CommandShortcut>current</CommandShortcut>}
+          </CommandItem>
+        ))}
+      </CommandGroup>
+      <CommandGroup heading="Settings">
+        <CommandItem onSelect={run(toggleEqBypass)}>
+          <SlidersHorizontal /> {isEqBypassed ? 'Turn equalizer on' : 'Turn equalizer off'}
+        </CommandItem>
+        {SETTINGS_PANELS.map(({ panel, label, icon: Icon }) => (
+          <CommandItem key={panel} value={`Open ${label} settings`} onSelect={openSettings(panel)}>
+            <Icon /> {label}…
+          </CommandItem>
+        ))}
+        <CommandItem onSelect={run(onShowShortcuts)}>
+          <Keyboard /> Keyboard shortcuts
+        </CommandItem>
+      </CommandGroup>
+    </>
+  );
+
+  return (
+    <CommandDialog open={open} onOpenChange={handleOpenChange} onCloseAutoFocus={handleCloseAutoFocus}>
+      <CommandInput
+        placeholder={selection ? `What to do with ${selection.title}…` : 'Search tracks, artists, albums or commands…'}
+        value={search}
+        onValueChange={setSearch}
+        onKeyDown={handleInputKeyDown}
+      />
+      <CommandList>
+        <CommandEmpty>No results found.</CommandEmpty>
+        {selection ? renderSelection() : renderResults()}
+      </CommandList>
+    </CommandDialog>
+  );
+};
+
+export default CommandPalette;
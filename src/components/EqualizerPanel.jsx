@@ -0,0 +1,196 @@
+import { useState, useEffect } from 'react';
+import { ChevronDown, Save, Trash2 } from 'lucide-react';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from './ui/collapsible';
+import { Card, CardContent } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Slider } from './ui/slider';
+import { Switch } from './ui/switch';
+import {
+  Select,
+  SelectContent,
+  SelectGroup,
+  SelectItem,
+  SelectLabel,
+  SelectTrigger,
+  SelectValue
+} from './ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import { useAudioContext } from '../hooks/useAudioContext';
+import { getSettings, updateSettings } from '../utils/audioUtils';
+import {
+  BUILT_IN_PRESETS,
+  EQ_FREQUENCIES,
+  EQ_MAX_GAIN,
+  findPreset,
+  formatFrequency
+} from '../utils/equalizer';
+
+// Select value shown while the bands match no preset
+const CUSTOM_PRESET = 'custom';
+
+const EqualizerPanel = ({ open, onOpenChange, className = "" }) => {
+  const { eqGains, isEqBypassed, setEqGain, setEqGains, toggleEqBypass } = useAudioContext();
+  const [userPresets, setUserPresets] = useState(() => getSettings().eqPresets || []);
+  const [isOpenState, setIsOpenState] = useState(false);
+  // Opened by the parent when it passes `open`, e.g. from the command palette
+  const isOpen = open ?? isOpenState;
+  const setIsOpen = onOpenChange ?? setIsOpenState;
+  const [presetName, setPresetName] = useState(null);
+
+  useEffect(() => {
+    updateSettings({ eqPresets: userPresets });
+  }, [userPresets]);
+
+  const activePreset = findPreset(userPresets, eqGains) || findPreset(BUILT_IN_PRESETS, eqGains);
+  const isUserPreset = Boolean(activePreset) && userPresets.includes(activePreset);
+
+  const selectPreset = (name) => {
+    const preset = [...BUILT_IN_PRESETS, ...userPresets].find(item => item.name === name);
+    if (preset) {
+      setEqGains(preset.gains);
+    }
+  };
+
+  const savePreset = (e) => {
+    e.preventDefault();
+    const name = presetName?.trim();
+    if (!name) return;
+
+    // Saving under an existing name replaces that preset
+    setUserPresets(prev => [
+      ...prev.filter(preset => preset.name !== name),
+      { name, gains: [...eqGains] }
+    ]);
+    setPresetName(null);
+  };
+
+  const deletePreset = () => {
+    setUserPresets(prev => prev.filter(preset => preset !== activePreset));
+  };
+
+  return (
+    <Card className={`bg-white/10 backdrop-blur-md border-white/20 ${className}`}>
+      <Collapsible open={isOpen} onOpenChange={setIsOpen}>
+        <CardContent className="p-4">
+          <div className="flex items-center justify-between">
+            <CollapsibleTrigger asChild>
+              <button className="flex items-center gap-2 text-white font-medium">
+                <ChevronDown className={`h-4 w-4 transition-transform ${isOpen ? '' : '-rotate-90'}`} />
+                Equalizer
+                <span className="text-white/50 text-sm font-normal">
+                  {isEqBypassed ? 'off' : activePreset?.name || 'Custom'}
+                </span>
+              </button>
+            </CollapsibleTrigger>
+
+            <label className="flex items-center gap-2 text-sm text-white/70">
+              On
+              <Switch checked={!isEqBypassed} onCheckedChange={toggleEqBypass} />
+            </label>
+          </div>
+
+          <CollapsibleContent>
+            <div className="flex items-center gap-2 mt-4">
+              <Select value={activePreset?.name || CUSTOM_PRESET} onValueChange={selectPreset}>
+                <SelectTrigger className="bg-white/5 border-white/20 text-white">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {!activePreset && <SelectItem value={CUSTOM_PRESET}>Custom</SelectItem>}
+                  <SelectGroup>
+                    <SelectLabel>Built-in</SelectLabel>
+                    {BUILT_IN_PRESETS.map(preset => (
+                      <SelectItem key={preset.name} value={preset.name}>{preset.name}</SelectItem>
+                    ))}
+                  </SelectGroup>
+                  {userPresets.length > 0 && (
+                    <SelectGroup>
+                      <SelectLabel>My presets</SelectLabel>
+                      {userPresets.map(preset => (
+                        <SelectItem key={preset.name} value={preset.name}>{preset.name}</SelectItem>
+                      ))}
+                    </SelectGroup>
+                  )}
+                </SelectContent>
+              </Select>
+
+              <Button
+                variant="ghost"
+                size="icon"
+                className="text-white/70 hover:text-white hover:bg-white/10"
+                onClick={() => setPresetName(isUserPreset ? activePreset.name : '')}
+              >
+                <Save className="h-4 w-4" />
+                <span className="sr-only">Save preset</span>
+              </Button>
+              {isUserPreset && (
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="text-white/70 hover:text-red-400 hover:bg-white/10"
+                  onClick={deletePreset}
+                >
+                  <Trash2 className="h-4 w-4" />
+                  <span className="sr-only">Delete preset</span>
+                </Button>
+              )}
+            </div>
+
+            <div className={`mt-4 space-y-3 ${isEqBypassed ? 'opacity-50' : ''}`}>
+              {EQ_FREQUENCIES.map((frequency, index) => (
+                <div key={frequency} className="grid grid-cols-[3rem_1fr_3.5rem] items-center gap-3">
+                  <span className="text-white/60 text-xs text-right">{formatFrequency(frequency)}Hz</span>
+                  <Slider
+                    min={-EQ_MAX_GAIN}
+                    max={EQ_MAX_GAIN}
+                    step={0.5}
+                    value={[eqGains[index]]}
+                    onValueChange={([gain]) => setEqGain(index, gain)}
+                    disabled={isEqBypassed}
+                  />
+                  <span className="text-white/60 text-xs tabular-nums">
+                    {eqGains[index] > 0 ? '+' : ''}{eqGains[index]} dB
+                  </span>
+                </div>
+              ))}
+            </div>
+          </CollapsibleContent>
+        </CardContent>
+      </Collapsible>
+
+      <Dialog open={presetName !== null} onOpenChange={(open) => !open && setPresetName(null)}>
+        <DialogContent>
+          <form onSubmit={savePreset}>
+            <DialogHeader>
+              <DialogTitle>Save equalizer preset</DialogTitle>
+            </DialogHeader>
+            <Input
+              autoFocus
+              className="my-4"
+              placeholder="Preset name"
+              value={presetName || ''}
+              onChange={(e) => setPresetName(e.target.value)}
+            />
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setPresetName(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={!presetName?.trim()}>
+                Save
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default EqualizerPanel;
@@ -1,15 +1,18 @@
-import React, { useState, useCallback, useRef } from 'react';
+import { useState, useCallback, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Upload, Music, X, FileAudio, AlertCircle, CheckCircle2 } from 'lucide-react';
+import { Upload, Music, X, FileAudio, Folder, AlertCircle, CheckCircle2 } from 'lucide-react';
 import { isValidAudioFile, formatFileSize, processAudioFiles } from '../utils/audioUtils';
+import { isPlaylistFile } from '../utils/playlistFiles';
+import { collectDroppedFiles, fromFileList, groupByFolder, isCoverImage } from '../utils/folderImport';
 
-const FileUpload = ({ onFilesUploaded, className = '' }) => {
+const FileUpload = ({ onFilesUploaded, onUploadComplete, onPlaylistFiles, className = '' }) => {
   const [isDragOver, setIsDragOver] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [uploadedFiles, setUploadedFiles] = useState([]);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
   const dragCounter = useRef(0);
 
   const handleDragEnter = useCallback((e) => {
@@ -35,57 +38,113 @@ const FileUpload = ({ onFilesUploaded, className = '' }) => {
     e.stopPropagation();
   }, []);
 
-  const handleDrop = useCallback((e) => {
+  // Not memoized: handleFiles must see the current callbacks
+  const handleDrop = (e) => {
     e.preventDefault();
     e.stopPropagation();
     setIsDragOver(false);
     dragCounter.current = 0;
 
-    const files = Array.from(e.dataTransfer.files);
-    handleFiles(files);
-  }, []);
+    // The drop's items can only be read while the event is being handled
+    collectDroppedFiles(e.dataTransfer)
+      .then(handleFiles)
+      .catch(err => {
+        console.error('Error reading dropped files:', err);
+        setError('Failed to read the dropped files. Please try again.');
+      });
+  };
 
-  const handleFileInput = useCallback((e) => {
-    const files = Array.from(e.target.files);
-    handleFiles(files);
-  }, []);
+  const handleFileInput = (e) => {
+    handleFiles(fromFileList(e.target.files));
+  };
+
+  const resetInputs = () => {
+    [fileInputRef, folderInputRef].forEach(inputRef => {
+      if (inputRef.current) {
+        inputRef.current.value = '';
+      }
+    });
+  };
+
+  // Applies changes to the rows of one folder; loose files share the folder ''
+  const updateFolderRows = (folder, changes) => {
+    setUploadedFiles(prev => prev.map(row => (row.folder === folder ? { ...row, ...changes } : row)));
+  };
 
-  const handleFiles = async (files) => {
+  const handleFiles = async (items) => {
     setError(null);
     setSuccess(false);
 
-    if (files.length === 0) return;
+    if (items.length === 0) return;
 
-    // Validate files
-    const validFiles = files.filter(file => {
-      const isValid = isValidAudioFile(file);
-      if (!isValid) {
+    // Playlists are read after the audio files dropped with them are in the library
+    const playlistFiles = items.map(item => item.file).filter(isPlaylistFile);
+
+    // Loose files must be audio; anything else found in a folder is skipped
+    const candidates = items.filter(({ file, path }) => {
+      if (isPlaylistFile(file)) return false;
+
+      const inFolder = path.includes('/');
+      if (isValidAudioFile(file) || (inFolder && isCoverImage(file))) return true;
+      if (!inFolder) {
         setError(`${file.name} is not a supported audio file format`);
       }
-      return isValid;
+      return false;
     });
+    const folders = groupByFolder(candidates);
 
-    if (validFiles.length === 0) return;
+    if (folders.length === 0) {
+      // Folders are dropped or chosen as a whole; say so when none held audio
+      const droppedFolders = [...new Set(items
+        .filter(({ path }) => path.includes('/'))
+        .map(({ path }) => path.split('/')[0]))];
+      if (droppedFolders.length > 0) {
+        setError(`No audio files found in ${droppedFolders.join(', ')}`);
+      }
+      if (playlistFiles.length > 0) {
+        onPlaylistFiles?.(playlistFiles, []);
+      }
+      resetInputs();
+      return;
+    }
 
     setIsProcessing(true);
-    setUploadedFiles(validFiles.map(file => ({
-      name: file.name,
-      size: formatFileSize(file.size),
-      status: 'processing'
-    })));
+    // A row per folder, and per loose file as before
+    setUploadedFiles(folders.flatMap(({ folder, items: folderItems }) => (
+      folder
+        ? [{ folder, name: folder, done: 0, total: folderItems.length, status: 'pending' }]
+        : folderItems.map(({ file }) => ({ folder, name: file.name, size: formatFileSize(file.size), status: 'pending' }))
+    )));
 
+    const processedTracks = [];
     try {
-      const processedTracks = await processAudioFiles(validFiles);
-      
-      setUploadedFiles(prev => 
-        prev.map(file => ({
-          ...file,
-          status: 'completed'
-        }))
-      );
+      for (const { folder, items: folderItems, cover } of folders) {
+        updateFolderRows(folder, { status: 'processing' });
+
+        const folderTracks = await processAudioFiles(folderItems.map(item => item.file), {
+          paths: new Map(folderItems.map(item => [item.file, item.path])),
+          cover,
+          onProgress: (done) => updateFolderRows(folder, { done })
+        });
+
+        updateFolderRows(folder, { status: folderTracks.length ? 'completed' : 'error' });
+        processedTracks.push(...folderTracks);
+        // Each folder joins the library as soon as it is done
+        if (folderTracks.length > 0) {
+          onFilesUploaded?.(folderTracks);
+        }
+      }
+
+      if (processedTracks.length === 0) {
+        setError('None of the files could be imported.');
+        return;
+      }
 
       setSuccess(true);
-      onFilesUploaded?.(processedTracks);
+      onUploadComplete?.(processedTracks);
+      if (playlistFiles.length > 0) {
+        onPlaylistFiles?.(playlistFiles, processedTracks);
+      }
 
       // Clear success message after 3 seconds
       setTimeout(() => {
@@ -99,14 +158,12 @@ const FileUpload = ({ onFilesUploaded, className = '' }) => {
       setUploadedFiles(prev => 
         prev.map(file => ({
           ...file,
-          status: 'error'
+          status: file.status === 'completed' ? file.status : 'error'
         }))
       );
     } finally {
       setIsProcessing(false);
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
-      }
+      resetInputs();
     }
   };
 
@@ -172,27 +229,45 @@ const FileUpload = ({ onFilesUploaded, className = '' }) => {
             </h3>
             
             <p className="text-gray-600 mb-4">
-              Drag and drop your MP3, WAV, or M4A files here
+              Drag and drop your MP3, FLAC, OGG, M4A or WAV files or whole folders here, with or without their playlists
             </p>
 
-            <motion.button
-              whileHover={{ scale: 1.05 }}
-              whileTap={{ scale: 0.95 }}
-              onClick={() => fileInputRef.current?.click()}
-              disabled={isProcessing}
-              className="
-                px-6 py-3 bg-gradient-to-r from-blue-500 to-purple-600 
-                text-white rounded-lg font-medium shadow-lg
-                hover:from-blue-600 hover:to-purple-700
-                disabled:opacity-50 disabled:cursor-not-allowed
-                transition-all duration-200
-              "
-            >
-              {isProcessing ? 'Processing...' : 'Browse Files'}
-            </motion.button>
+            <div className="flex flex-wrap justify-center gap-2">
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => fileInputRef.current?.click()}
+                disabled={isProcessing}
+                className="
+                  px-6 py-3 bg-gradient-to-r from-blue-500 to-purple-600 
+                  text-white rounded-lg font-medium shadow-lg
+                  hover:from-blue-600 hover:to-purple-700
+                  disabled:opacity-50 disabled:cursor-not-allowed
+                  transition-all duration-200
+                "
+              >
+                {isProcessing ? 'Processing...' : 'Browse Files'}
+              </motion.button>
+
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => folderInputRef.current?.click()}
+                disabled={isProcessing}
+                className="
+                  px-6 py-3 border border-white/30 text-white rounded-lg font-medium
+                  hover:bg-white/10
+                  disabled:opacity-50 disabled:cursor-not-allowed
+                  transition-all duration-200
+                "
+              >
+                Choose Folder
+              </motion.button>
+            </div>
 
             <p className="text-sm text-gray-500 mt-3">
-              Supported formats: MP3, WAV, M4A (Max 50MB each)
+              Supported formats: MP3, FLAC, OGG, Opus, M4A, AAC, WAV (Max 100MB each).
+              Playlists: M3U, M3U8, PLS, XSPF. Folder covers: cover.jpg, folder.png
             </p>
           </div>
 
@@ -200,7 +275,15 @@ const FileUpload = ({ onFilesUploaded, className = '' }) => {
             ref={fileInputRef}
             type="file"
             multiple
-            accept="audio/*,.mp3,.wav,.m4a"
+            accept="audio/*,.mp3,.wav,.ogg,.oga,.opus,.aac,.m4a,.flac,.m3u,.m3u8,.pls,.xspf"
+            onChange={handleFileInput}
+            className="hidden"
+          />
+
+          <input
+            ref={folderInputRef}
+            type="file"
+            webkitdirectory=""
             onChange={handleFileInput}
             className="hidden"
           />
@@ -284,16 +367,28 @@ const FileUpload = ({ onFilesUploaded, className = '' }) => {
                     key={index}
                     initial={{ opacity: 0, x: -20 }}
                     animate={{ opacity: 1, x: 0 }}
-                    transition={{ delay: index * 0.1 }}
+                    transition={{ delay: Math.min(index, 10) * 0.1 }}
                     className="p-3 border-b border-gray-100 last:border-b-0 flex items-center gap-3"
                   >
-                    <FileAudio className="w-5 h-5 text-blue-500 flex-shrink-0" />
+                    {file.total !== undefined
+                      ? <Folder className="w-5 h-5 text-blue-500 flex-shrink-0" />
+                      : <FileAudio className="w-5 h-5 text-blue-500 flex-shrink-0" />}
                     
                     <div className="flex-1 min-w-0">
                       <p className="text-sm font-medium text-gray-800 truncate">
                         {file.name}
                       </p>
-                      <p className="text-xs text-gray-500">{file.size}</p>
+                      <p className="text-xs text-gray-500">
+                        {file.total !== undefined ? `${file.done} of ${file.total} tracks` : file.size}
+                      </p>
+                      {file.total !== undefined && file.status === 'processing' && (
+                        <div className="mt-1 h-1 rounded-full bg-white/10 overflow-hidden">
+                          <div
+                            className="h-full bg-blue-500 transition-all"
+                            style={{ width: `${(file.done / file.total) * 100}%` }}
+                          />
+                        </div>
+                      )}
                     </div>
 
                     <div className="flex items-center gap-2">
@@ -0,0 +1,180 @@
+import { useState, useMemo } from 'react';
+import { AlertTriangle, ListMusic, Music } from 'lucide-react';
+import { Button } from './ui/button';
+import { Checkbox } from './ui/checkbox';
+import { Label } from './ui/label';
+import { Progress } from './ui/progress';
+import { RadioGroup, RadioGroupItem } from './ui/radio-group';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from './ui/select';
+import {
+  CONFLICT_RESOLUTIONS,
+  findBackupConflicts,
+  getOverwrittenTrackIds,
+  restoreLibraryBackup
+} from '../utils/libraryBackup';
+
+const ResolutionSelect = ({ value, onChange, placeholder }) => (
+  <Select value={value} onValueChange={onChange}>
+    <SelectTrigger className="h-8 w-44 shrink-0 text-xs">
+      <SelectValue placeholder={placeholder} />
+    </SelectTrigger>
+    <SelectContent>
+      {CONFLICT_RESOLUTIONS.map(resolution => (
+        <SelectItem key={resolution.value} value={resolution.value} className="text-xs">
+          {resolution.label}
+        </SelectItem>
+      ))}
+    </SelectContent>
+  </Select>
+);
+
+const LibraryRestoreDialog = ({ backup, tracks, playlists, onBeforeRestore, onRestored, onCancel }) => {
+  const { manifest } = backup;
+  const [mode, setMode] = useState('merge');
+  const [restoreSettings, setRestoreSettings] = useState(false);
+  // CONFLICT_RESOLUTIONS value by backup track or playlist id
+  const [resolutions, setResolutions] = useState({});
+  // { done, total } while restoring
+  const [progress, setProgress] = useState(null);
+
+  const conflicts = useMemo(() => findBackupConflicts(manifest, tracks, playlists), [manifest, tracks, playlists]);
+  const conflictItems = [
+    ...conflicts.tracks.map(conflict => ({ ...conflict, icon: Music, label: conflict.item.title })),
+    ...conflicts.playlists.map(conflict => ({ ...conflict, icon: ListMusic, label: conflict.item.name }))
+  ];
+
+  const setAll = (resolution) => {
+    setResolutions(Object.fromEntries(conflictItems.map(({ item }) => [item.id, resolution])));
+  };
+
+  const handleModeChange = (value) => {
+    setMode(value);
+    // A replaced library takes its settings along by default
+    setRestoreSettings(value === 'replace');
+  };
+
+  const handleRestore = async () => {
+    const options = { mode, tracks, playlists, resolutions, restoreSettings };
+    // Let the player let go of tracks that are about to be deleted
+    onBeforeRestore?.(getOverwrittenTrackIds(manifest, options));
+
+    setProgress({ done: 0, total: manifest.tracks.length });
+    const result = await restoreLibraryBackup(backup, {
+      ...options,
+      onProgress: (done, total) => setProgress({ done, total })
+    });
+    onRestored(result, { restoreSettings });
+  };
+
+  const isRestoring = progress !== null;
+
+  return (
+    <Dialog open onOpenChange={(isOpen) => !isOpen && !isRestoring && onCancel()}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Import library</DialogTitle>
+          <DialogDescription>
+            Backup from {new Date(manifest.createdAt).toLocaleString()}: {manifest.tracks.length} tracks
+            and {manifest.playlists.length} playlists.
+          </DialogDescription>
+        </DialogHeader>
+
+        <RadioGroup value={mode} onValueChange={handleModeChange} disabled={isRestoring} className="gap-3">
+          <div className="flex items-start gap-2">
+            <RadioGroupItem value="merge" id="restore-merge" className="mt-0.5" />
+            <Label htmlFor="restore-merge" className="font-normal leading-snug">
+              <span className="font-medium">Merge</span> into the library, choosing what happens to
+              tracks and playlists it already has
+            </Label>
+          </div>
+          <div className="flex items-start gap-2">
+            <RadioGroupItem value="replace" id="restore-replace" className="mt-0.5" />
+            <Label htmlFor="restore-replace" className="font-normal leading-snug">
+              <span className="font-medium">Replace</span> the library and playlists with the backup
+            </Label>
+          </div>
+        </RadioGroup>
+
+        {mode === 'replace' && tracks.length > 0 && (
+          <p className="flex items-center gap-2 rounded-md border border-red-200 bg-red-50 p-2 text-sm text-red-700">
+            <AlertTriangle className="h-4 w-4 shrink-0" />
+            The {tracks.length} tracks now in the library will be deleted.
+          </p>
+        )}
+
+        {mode === 'merge' && conflictItems.length > 0 && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between gap-3">
+              <p className="text-sm font-medium">
+                {conflictItems.length} item{conflictItems.length === 1 ? ' is' : 's are'} already in the library
+              </p>
+              <ResolutionSelect onChange={setAll} placeholder="Set all to…" />
+            </div>
+            <ul className="max-h-[35vh] overflow-y-auto divide-y rounded-md border text-sm">
+              {conflictItems.map(({ item, icon: Icon, label }) => (
+                <li key={item.id} className="flex items-center gap-2 px-3 py-1.5">
+                  <Icon className="h-4 w-4 shrink-0 text-muted-foreground" />
+                  <span className="min-w-0 flex-1 truncate">{label}</span>
+                  <ResolutionSelect
+                    value={resolutions[item.id] || 'skip'}
+                    onChange={(resolution) => setResolutions(prev => ({ ...prev, [item.id]: resolution }))}
+                  />
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="flex items-center gap-2">
+          <Checkbox
+            id="restore-settings"
+            checked={restoreSettings}
+            disabled={isRestoring}
+            onCheckedChange={(checked) => setRestoreSettings(checked === true)}
+          />
+          <Label htmlFor="restore-settings" className="font-normal">
+            Restore settings (equalizer, shortcuts, playback options)
+          </Label>
+        </div>
+
+        {isRestoring && (
+          <div className="space-y-1">
+            <Progress value={progress.total ? (progress.done / progress.total) * 100 : 100} />
+            <p className="text-xs text-muted-foreground">
+              Restoring track {progress.done} of {progress.total}…
+            </p>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" disabled={isRestoring} onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button
+            variant={mode === 'replace' ? 'destructive' : 'default'}
+            disabled={isRestoring}
+            onClick={handleRestore}
+          >
+            {mode === 'replace' ? 'Replace library' : 'Merge'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default LibraryRestoreDialog;
@@ -0,0 +1,457 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import {
+  ArrowDown,
+  ArrowUp,
+  Columns3,
+  ListEnd,
+  ListPlus,
+  ListStart,
+  Plus,
+  Search,
+  Star,
+  Trash2,
+  X
+} from 'lucide-react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from './ui/table';
+import {
+  DropdownMenu,
+  DropdownMenuCheckboxItem,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from './ui/dropdown-menu';
+import { Button } from './ui/button';
+import { Checkbox } from './ui/checkbox';
+import { Input } from './ui/input';
+import { TRACK_DRAG_TYPE } from './PlaylistSidebar';
+import { formatDuration, formatFileSize, getSettings, updateSettings } from '../utils/audioUtils';
+import { highlightText } from '../utils/searchIndex';
+
+// Rows are a fixed height so only the ones in view need to be rendered
+const ROW_HEIGHT = 40;
+const OVERSCAN = 8;
+const MAX_RATING = 5;
+
+// Every column the table can show. Text columns share the free width,
+// the others get a fixed one
+const COLUMNS = [
+  { id: 'title', label: 'Title', getValue: track => track.title || '' },
+  { id: 'artist', label: 'Artist', getValue: track => track.artist || '' },
+  { id: 'album', label: 'Album', getValue: track => track.album || '' },
+  {
+    id: 'duration',
+    label: 'Time',
+    width: 64,
+    getValue: track => track.duration || 0,
+    format: formatDuration
+  },
+  {
+    id: 'size',
+    label: 'Size',
+    width: 80,
+    getValue: track => track.size || 0,
+    format: formatFileSize
+  },
+  {
+    id: 'addedAt',
+    label: 'Added',
+    width: 104,
+    getValue: track => track.addedAt || '',
+    format: value => (value ? new Date(value).toLocaleDateString() : '')
+  },
+  { id: 'playCount', label: 'Plays', width: 64, getValue: track => track.playCount || 0 },
+  { id: 'rating', label: 'Rating', width: 120, getValue: track => track.rating || 0 }
+];
+
+const DEFAULT_COLUMNS = COLUMNS.map(column => column.id);
+const DEFAULT_SORT = { column: 'addedAt', direction: 'asc' };
+
+const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+/**
+ * Sorts tracks by a column, breaking ties by title
+ * @param {Array} tracks - Tracks to sort
+ * @param {{ column: string, direction: 'asc'|'desc' }} sort - Sort order
+ * @returns {Array} - A sorted copy
+ */
+const sortTracks = (tracks, { column, direction }) => {
+  const { getValue } = COLUMNS.find(item => item.id === column) || COLUMNS[0];
+  const compare = (a, b) => (
+    typeof a === 'number' ? a - b : collator.compare(a, b)
+  );
+
+  return [...tracks].sort((a, b) => {
+    const order = compare(getValue(a), getValue(b)) || collator.compare(a.title || '', b.title || '');
+    return direction === 'asc' ? order : -order;
+  });
+};
+
+const StarRating = ({ rating, onRate }) => (
+  <div className="flex items-center" onClick={(e) => e.stopPropagation()} onDoubleClick={(e) => e.stopPropagation()}>
+    {Array.from({ length: MAX_RATING }, (_, index) => {
+      const value = index + 1;
+      return (
+        <button
+          key={value}
+          className="p-0.5 text-white/30 hover:text-amber-300"
+          title={`${value} star${value === 1 ? '' : 's'}`}
+          // Clicking the current rating clears it
+          onClick={() => onRate(value === rating ? 0 : value)}
+        >
+          <Star className={`h-3.5 w-3.5 ${value <= rating ? 'fill-amber-400 text-amber-400' : ''}`} />
+        </button>
+      );
+    })}
+  </div>
+);
+
+const LibraryTable = ({
+  tracks,
+  currentTrackId,
+  playlists = [],
+  onPlay,
+  onPlayNext,
+  onAddToQueue,
+  onAddToPlaylist,
+  onCreatePlaylist,
+  onRemove,
+  onRate,
+  searchTracks
+}) => {
+  const [visibleColumns, setVisibleColumns] = useState(() => getSettings().libraryTable?.columns || DEFAULT_COLUMNS);
+  const [sort, setSort] = useState(() => getSettings().libraryTable?.sort || DEFAULT_SORT);
+  const [filter, setFilter] = useState('');
+  // Search results keep their relevance order until a column is sorted
+  const [byRelevance, setByRelevance] = useState(true);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  // Row a shift-click selects from
+  const anchorIdRef = useRef(null);
+
+  const scrollRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  useEffect(() => {
+    updateSettings({ libraryTable: { columns: visibleColumns, sort } });
+  }, [visibleColumns, sort]);
+
+  useEffect(() => {
+    const container = scrollRef.current;
+    if (!container) return;
+
+    const observer = new ResizeObserver(([entry]) => setViewportHeight(entry.contentRect.height));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // Forget selected tracks that left the library
+  useEffect(() => {
+    setSelectedIds(prev => {
+      const trackIds = new Set(tracks.map(track => track.id));
+      const kept = [...prev].filter(id => trackIds.has(id));
+      return kept.length === prev.size ? prev : new Set(kept);
+    });
+  }, [tracks]);
+
+  const results = useMemo(() => (filter.trim() ? searchTracks(filter) : null), [searchTracks, filter]);
+  const isRanked = Boolean(results) && byRelevance;
+  const rows = useMemo(() => {
+    if (!results) return sortTracks(tracks, sort);
+    const found = results.map(result => result.track);
+    return byRelevance ? found : sortTracks(found, sort);
+  }, [tracks, results, sort, byRelevance]);
+  const highlights = useMemo(() => (
+    new Map((results || []).map(result => [result.track.id, result.highlights]))
+  ), [results]);
+  const columns = COLUMNS.filter(column => visibleColumns.includes(column.id));
+  const selectedTracks = rows.filter(track => selectedIds.has(track.id));
+
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const lastRow = Math.min(rows.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN);
+
+  // Leaving relevance order keeps the column's last direction
+  const toggleSort = (columnId) => {
+    setByRelevance(false);
+    setSort(prev => {
+      if (prev.column !== columnId) return { column: columnId, direction: 'asc' };
+      if (isRanked) return prev;
+      return { column: columnId, direction: prev.direction === 'asc' ? 'desc' : 'asc' };
+    });
+  };
+
+  const handleFilterChange = (value) => {
+    if (!filter.trim()) setByRelevance(true);
+    setFilter(value);
+  };
+
+  const toggleColumn = (columnId, isVisible) => {
+    setVisibleColumns(prev => (
+      isVisible ? DEFAULT_COLUMNS.filter(id => id === columnId || prev.includes(id)) : prev.filter(id => id !== columnId)
+    ));
+  };
+
+  const toggleSelected = (trackId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(trackId)) {
+        next.delete(trackId);
+      } else {
+        next.add(trackId);
+      }
+      return next;
+    });
+  };
+
+  // Click selects one row, Ctrl/Cmd+click toggles one, Shift+click selects a range
+  const handleRowClick = (e, track) => {
+    const anchorIndex = rows.findIndex(item => item.id === anchorIdRef.current);
+    if (e.shiftKey && anchorIndex !== -1) {
+      const index = rows.findIndex(item => item.id === track.id);
+      const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+      setSelectedIds(new Set(rows.slice(from, to + 1).map(item => item.id)));
+      return;
+    }
+
+    anchorIdRef.current = track.id;
+    if (e.ctrlKey || e.metaKey) {
+      toggleSelected(track.id);
+    } else {
+      setSelectedIds(new Set([track.id]));
+    }
+  };
+
+  const allSelected = rows.length > 0 && selectedTracks.length === rows.length;
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? new Set() : new Set(rows.map(track => track.id)));
+  };
+
+  // Dragging a selected row drags the whole selection
+  const handleDragStart = (e, track) => {
+    const trackIds = selectedIds.has(track.id) ? selectedTracks.map(item => item.id) : [track.id];
+    e.dataTransfer.effectAllowed = 'copy';
+    e.dataTransfer.setData(TRACK_DRAG_TYPE, JSON.stringify(trackIds));
+  };
+
+  const renderCell = (column, track) => {
+    if (column.id === 'rating') {
+      return <StarRating rating={track.rating || 0} onRate={(rating) => onRate(track, rating)} />;
+    }
+    const value = column.getValue(track);
+    const ranges = highlights.get(track.id)?.[column.id];
+    if (ranges?.length) {
+      return highlightText(value, ranges).map((part, index) => (
+        part.isMatch
+          ? <mark key={index} className="rounded-sm bg-purple-400/30 text-inherit">{part.text}</mark>
+          : <span key={index}>{part.text}</span>
+      ));
+    }
+    return column.format ? column.format(value) : value;
+  };
+
+  const colGroup = (
+    <colgroup>
+      <col style={{ width: 40 }} />
+      {columns.map(column => (
+        <col key={column.id} style={column.width ? { width: column.width } : undefined} />
+      ))}
+    </colgroup>
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative flex-1 min-w-48">
+          <Search className="absolute left-2.5 top-1/2 -translate-y-1/2 h-4 w-4 text-white/50" />
+          <Input
+            className="pl-8 bg-white/5 border-white/20 text-white placeholder:text-white/40"
+            placeholder="Search, e.g. beatles year:>1965 rating:>=4"
+            title="Words match title, artist, album, genre, comment and file name, allowing typos. Narrow with artist:, album:, title:, genre:, comment:, file:, year:, rating: or plays: (e.g. year:1990..1999)."
+            value={filter}
+            onChange={(e) => handleFilterChange(e.target.value)}
+          />
+        </div>
+
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <Button variant="ghost" size="sm" className="text-white/70 hover:text-white hover:bg-white/10">
+              <Columns3 className="mr-2 h-4 w-4" />
+              Columns
+            </Button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent align="end">
+            <DropdownMenuLabel>Show columns</DropdownMenuLabel>
+            <DropdownMenuSeparator />
+            {COLUMNS.map(column => (
+              <DropdownMenuCheckboxItem
+                key={column.id}
+                checked={visibleColumns.includes(column.id)}
+                disabled={column.id === 'title'}
+                onCheckedChange={(checked) => toggleColumn(column.id, checked)}
+                onSelect={(e) => e.preventDefault()}
+              >
+                {column.label}
+              </DropdownMenuCheckboxItem>
+            ))}
+          </DropdownMenuContent>
+        </DropdownMenu>
+      </div>
+
+      {selectedTracks.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 rounded-lg bg-white/10 px-3 py-1.5 text-sm text-white">
+          <span className="mr-auto">{selectedTracks.length} selected</span>
+          <Button variant="ghost" size="sm" className="hover:bg-white/10" onClick={() => onPlayNext(selectedTracks)}>
+            <ListStart className="mr-2 h-4 w-4" />
+            Play next
+          </Button>
+          <Button variant="ghost" size="sm" className="hover:bg-white/10" onClick={() => onAddToQueue(selectedTracks)}>
+            <ListEnd className="mr-2 h-4 w-4" />
+            Add to queue
+          </Button>
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="ghost" size="sm" className="hover:bg-white/10">
+                <ListPlus className="mr-2 h-4 w-4" />
+                Add to playlist
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              {playlists.map(playlist => (
+                <DropdownMenuItem
+                  key={playlist.id}
+                  onSelect={() => onAddToPlaylist(playlist.id, selectedTracks.map(track => track.id))}
+                >
+                  {playlist.name}
+                </DropdownMenuItem>
+              ))}
+              {playlists.length > 0 && <DropdownMenuSeparator />}
+              <DropdownMenuItem onSelect={() => onCreatePlaylist(selectedTracks.map(track => track.id))}>
+                <Plus className="mr-2 h-4 w-4" />
+                New playlist
+              </DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="hover:bg-white/10 hover:text-red-400"
+            onClick={() => onRemove(selectedTracks)}
+          >
+            <Trash2 className="mr-2 h-4 w-4" />
+            Remove
+          </Button>
+          <Button variant="ghost" size="icon" className="h-8 w-8 hover:bg-white/10" onClick={() => setSelectedIds(new Set())}>
+            <X className="h-4 w-4" />
+            <span className="sr-only">Clear selection</span>
+          </Button>
+        </div>
+      )}
+
+      <div className="rounded-lg border border-white/10">
+        {/* The header stays put above the scrolling rows; both reserve the scrollbar's width */}
+        <div className="overflow-y-hidden [scrollbar-gutter:stable]">
+          <Table className="table-fixed">
+            {colGroup}
+            <TableHeader>
+              <TableRow className="border-white/10 hover:bg-transparent">
+                <TableHead className="px-3">
+                  <Checkbox
+                    checked={allSelected || (selectedTracks.length > 0 && 'indeterminate')}
+                    onCheckedChange={toggleAll}
+                    className="border-white/50"
+                    aria-label="Select all"
+                  />
+                </TableHead>
+                {columns.map(column => (
+                  <TableHead key={column.id} className="px-3 text-white/70">
+                    <button
+                      className="flex items-center gap-1 max-w-full hover:text-white"
+                      onClick={() => toggleSort(column.id)}
+                    >
+                      <span className="truncate">{column.label}</span>
+                      {!isRanked && sort.column === column.id && (
+                        sort.direction === 'asc'
+                          ? <ArrowUp className="h-3 w-3 shrink-0" />
+                          : <ArrowDown className="h-3 w-3 shrink-0" />
+                      )}
+                    </button>
+                  </TableHead>
+                ))}
+              </TableRow>
+            </TableHeader>
+          </Table>
+        </div>
+
+        <div
+          ref={scrollRef}
+          className="h-96 overflow-y-auto [scrollbar-gutter:stable]"
+          onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        >
+          <Table className="table-fixed">
+            {colGroup}
+            <TableBody>
+              {firstRow > 0 && <tr style={{ height: firstRow * ROW_HEIGHT }} />}
+              {rows.slice(firstRow, lastRow).map(track => {
+                const isSelected = selectedIds.has(track.id);
+                return (
+                  <TableRow
+                    key={track.id}
+                    draggable
+                    data-state={isSelected ? 'selected' : undefined}
+                    style={{ height: ROW_HEIGHT }}
+                    className={`border-white/5 cursor-default select-none text-white/80 hover:bg-white/5 data-[state=selected]:bg-white/15 ${
+                      currentTrackId === track.id ? 'text-purple-300' : ''
+                    }`}
+                    onClick={(e) => handleRowClick(e, track)}
+                    onDoubleClick={() => onPlay(track)}
+                    onDragStart={(e) => handleDragStart(e, track)}
+                  >
+                    <TableCell className="px-3 py-0" onClick={(e) => e.stopPropagation()}>
+                      <Checkbox
+                        checked={isSelected}
+                        onCheckedChange={() => toggleSelected(track.id)}
+                        className="border-white/50"
+                        aria-label={`Select ${track.title}`}
+                      />
+                    </TableCell>
+                    {columns.map(column => (
+                      <TableCell
+                        key={column.id}
+                        className={`px-3 py-0 truncate ${column.width ? 'tabular-nums' : ''}`}
+                      >
+                        {renderCell(column, track)}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                );
+              })}
+              {lastRow < rows.length && <tr style={{ height: (rows.length - lastRow) * ROW_HEIGHT }} />}
+            </TableBody>
+          </Table>
+
+          {rows.length === 0 && (
+            <p className="text-white/60 text-center py-8">
+              {tracks.length ? 'No tracks match the search' : 'No tracks uploaded yet'}
+            </p>
+          )}
+        </div>
+      </div>
+
+      <p className="text-xs text-white/50">
+        {rows.length === tracks.length ? `${tracks.length} tracks` : `${rows.length} of ${tracks.length} tracks`}
+        {isRanked && ' · Best matches first'}
+        {' · '}Double-click a row to play it
+      </p>
+    </div>
+  );
+};
+
+export default LibraryTable;
@@ -0,0 +1,1333 @@
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import { PlayerEngineContext } from '../hooks/useAudioContext';
+import {
+  createAudioContext,
+  getFrequencyData,
+  getTimeDomainData,
+  getFrequencyBins,
+  getQueue,
+  saveQueue,
+  getPlaybackState,
+  savePlaybackState,
+  getSettings,
+  updateSettings,
+  getPlaybackRates,
+  savePlaybackRates,
+  MIN_PLAYBACK_RATE,
+  MAX_PLAYBACK_RATE
+} from '../utils/audioUtils';
+import { getTrackUrl, getTrackBlob } from '../utils/libraryDB';
+import { createGaplessPlayer, decodeTrack } from '../utils/gapless';
+import { applyEqualizerGains, normalizeGains } from '../utils/equalizer';
+import {
+  NORMALIZATION_MODES,
+  DEFAULT_TARGET_LEVEL,
+  MIN_TARGET_LEVEL,
+  MAX_TARGET_LEVEL,
+  getNormalizationGain,
+  getTrackLoudness
+} from '../utils/loudness';
+import { moveItem, shuffle } from '../lib/utils';
+
+const REPEAT_MODES = ['off', 'all', 'one'];
+const CROSSFADE_CURVES = ['equal-power', 'linear'];
+// Where a playback speed is remembered: nowhere, for the track or for the playlist
+const PLAYBACK_RATE_SCOPES = ['none', 'track', 'playlist'];
+
+// Speed change of one keyboard step
+const PLAYBACK_RATE_STEP = 0.25;
+
+// Longest crossfade in seconds
+const MAX_CROSSFADE = 12;
+
+/**
+ * Builds a shuffled play order of track ids, optionally starting with one track
+ * @param {Array} list - Tracks to shuffle
+ * @param {Object|null} firstTrack - Track that keeps playing at the head of the order
+ * @returns {Array} - Track ids in play order
+ */
+const buildShuffleOrder = (list, firstTrack = null) => {
+  const ids = list.map(track => track.id);
+  if (!firstTrack || !ids.includes(firstTrack.id)) return shuffle(ids);
+  return [firstTrack.id, ...shuffle(ids.filter(id => id !== firstTrack.id))];
+};
+
+/**
+ * Tells whether two tracks belong to the same known album
+ * @param {Object} track - A track
+ * @param {Object} other - Another track
+ * @returns {boolean}
+ */
+const isSameAlbum = (track, other) => {
+  return Boolean(track.album) &&
+    track.album !== 'Unknown Album' &&
+    track.album === other.album;
+};
+
+/**
+ * Tells whether a track directly follows another on the same album and
+ * disc, so the two play into each other without a crossfade
+ * @param {Object} fromTrack - Track that ends
+ * @param {Object} toTrack - Track that starts
+ * @returns {boolean}
+ */
+const isNextOnAlbum = (fromTrack, toTrack) => {
+  return isSameAlbum(fromTrack, toTrack) &&
+    (fromTrack.discNumber || 1) === (toTrack.discNumber || 1) &&
+    Number.isInteger(fromTrack.trackNumber) &&
+    toTrack.trackNumber === fromTrack.trackNumber + 1;
+};
+
+// Decoded buffers are needed for gapless joins, crossfades and seamless
+// A-B loops. Buffer sources cannot change speed without changing pitch, so
+// any other speed than 1x plays through the media element
+const usesBufferOutput = ({ isGapless, crossfadeDuration, loopRange, playbackRate }) => (
+  playbackRate === 1 && (isGapless || crossfadeDuration > 0 || loopRange !== null)
+);
+
+// Shortest A-B loop in seconds
+const MIN_LOOP_LENGTH = 0.2;
+
+/**
+ * Finds the speed remembered for a track, then for its playlist
+ * @param {Object} track - Track about to play
+ * @param {string|null} source - Playlist source the track plays from
+ * @returns {{ rate: number|undefined, scope: string }}
+ */
+const findPlaybackRate = (track, source) => {
+  const { tracks, playlists } = getPlaybackRates();
+  if (tracks[track.id] !== undefined) return { rate: tracks[track.id], scope: 'track' };
+  if (source !== null && playlists[source] !== undefined) return { rate: playlists[source], scope: 'playlist' };
+  return { rate: undefined, scope: 'none' };
+};
+
+// Sleep timers stop after a number of minutes, or when the current track or
+// the queued tracks run out
+const SLEEP_TIMER_MODES = ['minutes', 'track', 'queue'];
+
+// Seconds over which the sleep timer fades the volume out
+const SLEEP_FADE_DURATION = 30;
+
+// Whether the sleep timer stops playback when the current track ends
+const stopsAfterCurrentTrack = ({ sleepTimer, queue }) => (
+  sleepTimer?.mode === 'track' || (sleepTimer?.mode === 'queue' && !queue.length)
+);
+
+// Going back after this many seconds restarts the current track instead
+const RESTART_THRESHOLD = 3;
+
+// Minimum time between session saves while the position advances
+const SESSION_SAVE_INTERVAL = 2000;
+
+// How often the gapless player's position is mirrored into state
+const POSITION_POLL_INTERVAL = 250;
+
+/**
+ * Owns the one audio element and Web Audio graph of the app.
+ * Every player component talks to it through useAudioContext.
+ */
+const PlayerEngineProvider = ({ children }) => {
+  const [audio] = useState(() => {
+    const element = new Audio();
+    element.preservesPitch = true;
+    element.mozPreservesPitch = true;
+    element.webkitPreservesPitch = true;
+    return element;
+  });
+  // Session saved by the previous page load; the track itself waits for the library
+  const [savedSession] = useState(() => getPlaybackState() || {});
+  const graphRef = useRef(null);
+  const loadIdRef = useRef(0);
+  // Which output plays the current track: 'element' or the gapless 'buffer' player
+  const outputRef = useRef('element');
+  // Decoded tracks for gapless playback by track id: the current and the next one
+  const bufferCacheRef = useRef(new Map());
+  // Last track played from the playlist; the playlist resumes after it once the queue is empty
+  const playlistTrackRef = useRef(null);
+  // Nothing is saved until the previous session has been restored
+  const sessionRestoredRef = useRef(false);
+  const lastSessionSaveRef = useRef(0);
+  // Speed of tracks without a remembered one
+  const baseRateRef = useRef(savedSession.playbackRate ?? 1);
+  // Track ids in shuffled play order; walked by next and previous while shuffle is on
+  const shuffleOrderRef = useRef(savedSession.shuffleOrder || []);
+
+  const [audioContext, setAudioContext] = useState(null);
+  const [analyser, setAnalyser] = useState(null);
+  const [isContextReady, setIsContextReady] = useState(false);
+  const [error, setError] = useState(null);
+
+  const [playlist, setPlaylist] = useState([]);
+  // Opaque id of the view the playlist came from, chosen by the app
+  const [playlistSource, setPlaylistSource] = useState(savedSession.playlistSource ?? null);
+  const [queue, setQueue] = useState([]);
+  const [currentTrack, setCurrentTrack] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [volume, setVolumeState] = useState(savedSession.volume ?? 0.7);
+  const [isMuted, setIsMuted] = useState(savedSession.isMuted ?? false);
+  const [repeatMode, setRepeatMode] = useState(
+    REPEAT_MODES.includes(savedSession.repeatMode) ? savedSession.repeatMode : 'off'
+  );
+  const [isShuffled, setIsShuffled] = useState(savedSession.isShuffled ?? false);
+  const [isGapless, setIsGapless] = useState(savedSession.isGapless ?? false);
+  const [eqGains, setEqGainsState] = useState(() => normalizeGains(getSettings().equalizer?.gains));
+  const [isEqBypassed, setIsEqBypassed] = useState(() => Boolean(getSettings().equalizer?.bypassed));
+  const [normalizationMode, setNormalizationModeState] = useState(() => {
+    const { mode } = getSettings().normalization || {};
+    return Object.values(NORMALIZATION_MODES).includes(mode) ? mode : NORMALIZATION_MODES.TRACK;
+  });
+  const [targetLevel, setTargetLevelState] = useState(() => getSettings().normalization?.targetLevel ?? DEFAULT_TARGET_LEVEL);
+  // Library tracks, for album gain and for loudness measured after import
+  const [library, setLibrary] = useState([]);
+  // A point waiting for its B point, then the looping region of the current track
+  const [loopStart, setLoopStartState] = useState(null);
+  const [loopRange, setLoopRange] = useState(null);
+  const [playbackRate, setPlaybackRateState] = useState(baseRateRef.current);
+  const [playbackRateScope, setPlaybackRateScopeState] = useState('none');
+  const [sleepTimer, setSleepTimerState] = useState(null);
+  const [sleepTimerRemaining, setSleepTimerRemaining] = useState(null);
+  // Volume multiplier of the sleep fade; stays down after the timer stops playback
+  const [sleepFade, setSleepFade] = useState(1);
+  const [crossfadeDuration, setCrossfadeDurationState] = useState(savedSession.crossfadeDuration ?? 0);
+  const [crossfadeCurve, setCrossfadeCurveState] = useState(
+    CROSSFADE_CURVES.includes(savedSession.crossfadeCurve) ? savedSession.crossfadeCurve : 'equal-power'
+  );
+
+  // Stored data of the current track: whether it is liked, its bookmarks,
+  // waveform, measured loudness and the linear gain that brings it to the target level
+  const { isFavorite, bookmarks, waveform, trackLoudness, normalizationGain } = useMemo(() => {
+    // The library copy carries measurements taken after the track was loaded
+    const track = library.find(item => item.id === currentTrack?.id) || currentTrack;
+    return {
+      isFavorite: Boolean(track?.favorite),
+      bookmarks: track?.bookmarks || [],
+      waveform: track?.waveform || null,
+      trackLoudness: getTrackLoudness(track),
+      normalizationGain: getNormalizationGain(track, {
+        mode: normalizationMode,
+        targetLevel,
+        albumTracks: track ? library.filter(item => isSameAlbum(track, item)) : []
+      })
+    };
+  }, [currentTrack, library, normalizationMode, targetLevel]);
+
+  // Latest state for event handlers registered once on the audio element
+  const isBufferOutput = usesBufferOutput({ isGapless, crossfadeDuration, loopRange, playbackRate });
+
+  const latest = useRef({});
+  latest.current = { playlist, playlistSource, queue, currentTrack, currentTime, duration, repeatMode, isShuffled, isGapless, crossfadeDuration, crossfadeCurve, loopRange, playbackRate, playbackRateScope, sleepTimer, volume, isMuted, normalizationGain };
+
+  // How one track moves into the next: a crossfade, or a gapless cut
+  // between consecutive tracks of an album
+  const getTransition = useCallback((fromTrack, toTrack) => {
+    const { crossfadeDuration: fade, crossfadeCurve: curve } = latest.current;
+    if (!fade || !fromTrack || !toTrack || isNextOnAlbum(fromTrack, toTrack)) {
+      return { duration: 0, curve };
+    }
+    return { duration: fade, curve };
+  }, []);
+
+  // Build the graph lazily: browsers only allow audio after a user gesture
+  const createGraph = useCallback(() => {
+    if (!graphRef.current) {
+      const graph = createAudioContext(audio);
+      if (!graph) {
+        throw new Error('Failed to create audio context');
+      }
+
+      const { volume: currentVolume, isMuted: muted, normalizationGain: gain } = latest.current;
+      graph.gainNode.gain.value = muted ? 0 : currentVolume * gain;
+      graph.gaplessPlayer = createGaplessPlayer(graph.audioContext, graph.gainNode, {
+        onAdvance: (track) => handleGaplessAdvanceRef.current(track),
+        onEnded: () => handleEndedRef.current(),
+        getTransition
+      });
+
+      graphRef.current = graph;
+      setAudioContext(graph.audioContext);
+      setAnalyser(graph.analyzer);
+    }
+
+    return graphRef.current;
+  }, [audio, getTransition]);
+
+  // The graph, running; only resumes inside a user gesture
+  const ensureGraph = useCallback(async () => {
+    const graph = createGraph();
+    if (graph.audioContext.state === 'suspended') {
+      await graph.audioContext.resume();
+    }
+    return graph;
+  }, [createGraph]);
+
+  // Position and paused state of whichever output plays the current track
+  const getPosition = useCallback(() => {
+    if (outputRef.current === 'buffer') {
+      return graphRef.current?.gaplessPlayer.getPosition() || 0;
+    }
+    return audio.currentTime;
+  }, [audio]);
+
+  const isOutputPaused = useCallback(() => {
+    if (outputRef.current === 'buffer') {
+      return !graphRef.current?.gaplessPlayer.isPlaying();
+    }
+    return audio.paused;
+  }, [audio]);
+
+  const getTrackBuffer = useCallback((track) => {
+    const cache = bufferCacheRef.current;
+
+    if (!cache.has(track.id)) {
+      const decoding = getTrackBlob(track.id).then((blob) => {
+        if (!blob) throw new Error(`Audio for ${track.title} is missing`);
+        return decodeTrack(createGraph().audioContext, blob);
+      });
+      decoding.catch(() => cache.delete(track.id));
+      cache.set(track.id, decoding);
+    }
+
+    return cache.get(track.id);
+  }, [createGraph]);
+
+  // The element keeps its speed across source changes through defaultPlaybackRate
+  const applyPlaybackRate = useCallback((rate) => {
+    latest.current.playbackRate = rate;
+    setPlaybackRateState(rate);
+    audio.defaultPlaybackRate = rate;
+    audio.playbackRate = rate;
+  }, [audio]);
+
+  // Switches to the speed remembered for a track or its playlist, or the base speed
+  const adoptPlaybackRate = useCallback((track) => {
+    const { rate, scope } = findPlaybackRate(track, latest.current.playlistSource);
+    applyPlaybackRate(rate ?? baseRateRef.current);
+    latest.current.playbackRateScope = scope;
+    setPlaybackRateScopeState(scope);
+  }, [applyPlaybackRate]);
+
+  const loadElementTrack = useCallback(async (track, loadId, { autoplay, startTime }) => {
+    graphRef.current?.gaplessPlayer.stop();
+    outputRef.current = 'element';
+
+    const url = await getTrackUrl(track.id);
+
+    // A newer load started while the blob was being fetched
+    if (loadId !== loadIdRef.current) return false;
+
+    if (!url) {
+      setError(`Audio for ${track.title} is missing`);
+      setIsPlaying(false);
+      return false;
+    }
+
+    audio.src = url;
+    if (startTime > 0) {
+      audio.addEventListener('loadedmetadata', () => {
+        audio.currentTime = startTime;
+      }, { once: true });
+    }
+
+    if (!autoplay) {
+      audio.load();
+      return true;
+    }
+
+    try {
+      await ensureGraph();
+      await audio.play();
+      return true;
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Playback failed:', err);
+        setError(`Failed to play ${track.title}`);
+      }
+      return false;
+    }
+  }, [audio, ensureGraph]);
+
+  const loadBufferTrack = useCallback(async (track, loadId, { autoplay, startTime }) => {
+    // The element falls silent; the gapless player takes over the graph
+    audio.pause();
+    audio.removeAttribute('src');
+    outputRef.current = 'buffer';
+    setIsLoading(true);
+
+    try {
+      const buffer = await getTrackBuffer(track);
+      if (loadId !== loadIdRef.current) return false;
+
+      const { gaplessPlayer } = createGraph();
+      setDuration(buffer.duration);
+      setIsLoading(false);
+
+      // Skipping while a track plays crossfades into the new one
+      const transition = getTransition(gaplessPlayer.getCurrentTrack(), track);
+      if (autoplay && gaplessPlayer.isPlaying() && transition.duration > 0) {
+        gaplessPlayer.crossfadeTo(track, buffer, startTime, transition);
+        setIsPlaying(true);
+        return true;
+      }
+
+      gaplessPlayer.load(track, buffer, startTime);
+      gaplessPlayer.setLoop(latest.current.loopRange);
+
+      if (!autoplay) {
+        setIsPlaying(false);
+        return true;
+      }
+
+      await ensureGraph();
+      if (loadId !== loadIdRef.current) return false;
+
+      gaplessPlayer.play();
+      setIsPlaying(true);
+      return true;
+    } catch (err) {
+      if (loadId !== loadIdRef.current) return false;
+      console.error('Decoding failed:', err);
+      setError(`Failed to play ${track.title}`);
+      setIsLoading(false);
+      setIsPlaying(false);
+      return false;
+    }
+  }, [audio, createGraph, ensureGraph, getTrackBuffer, getTransition]);
+
+  const loadTrack = useCallback(async (track, { autoplay = true, startTime = 0 } = {}) => {
+    const loadId = ++loadIdRef.current;
+
+    // Loop points belong to the track they were set on
+    if (track.id !== latest.current.currentTrack?.id) {
+      latest.current.loopRange = null;
+      setLoopRange(null);
+      setLoopStartState(null);
+    }
+
+    setCurrentTrack(track);
+    setCurrentTime(startTime);
+    setDuration(track.duration || 0);
+    setError(null);
+
+    // Pick the speed before the output: it decides which one can play the track
+    adoptPlaybackRate(track);
+
+    const load = usesBufferOutput(latest.current) ? loadBufferTrack : loadElementTrack;
+    return load(track, loadId, { autoplay, startTime });
+  }, [adoptPlaybackRate, loadElementTrack, loadBufferTrack]);
+
+  const play = useCallback(async () => {
+    const track = latest.current.currentTrack;
+    if (!track) return false;
+
+    const player = graphRef.current?.gaplessPlayer;
+    const isBuffer = outputRef.current === 'buffer';
+
+    if (isBuffer ? !player?.getCurrentTrack() : !audio.src) {
+      return loadTrack(track, { autoplay: true, startTime: latest.current.currentTime });
+    }
+
+    try {
+      await ensureGraph();
+      if (isBuffer) {
+        player.play();
+        setIsPlaying(true);
+      } else {
+        await audio.play();
+      }
+      return true;
+    } catch (err) {
+      console.error('Playback failed:', err);
+      setError(`Failed to play ${track.title}`);
+      return false;
+    }
+  }, [audio, ensureGraph, loadTrack]);
+
+  const pause = useCallback(() => {
+    if (outputRef.current !== 'buffer') {
+      audio.pause();
+      return;
+    }
+
+    const player = graphRef.current?.gaplessPlayer;
+    if (!player) return;
+
+    player.pause();
+    latest.current.currentTime = player.getPosition();
+    setCurrentTime(player.getPosition());
+    setIsPlaying(false);
+    saveSessionRef.current();
+  }, [audio]);
+
+  const togglePlay = useCallback(() => {
+    return isOutputPaused() ? play() : pause();
+  }, [isOutputPaused, play, pause]);
+
+  const stop = useCallback(() => {
+    loadIdRef.current++;
+    graphRef.current?.gaplessPlayer.stop();
+    audio.pause();
+    audio.removeAttribute('src');
+    audio.load();
+    setIsPlaying(false);
+    setCurrentTrack(null);
+    setCurrentTime(0);
+    setDuration(0);
+  }, [audio]);
+
+  const seek = useCallback((time) => {
+    if (!Number.isFinite(time)) return;
+
+    // Seeking past B leaves the loop; the output stays as it is until the next track
+    const range = latest.current.loopRange;
+    if (range && time >= range.end) {
+      latest.current.loopRange = null;
+      setLoopRange(null);
+      graphRef.current?.gaplessPlayer.setLoop(null);
+    }
+
+    if (outputRef.current === 'buffer') {
+      const player = graphRef.current?.gaplessPlayer;
+      if (!player) return;
+      const clamped = Math.max(0, Math.min(time, player.getDuration()));
+      player.seek(clamped);
+      latest.current.currentTime = clamped;
+      setCurrentTime(clamped);
+      return;
+    }
+
+    const clamped = Math.max(0, Math.min(time, audio.duration || time));
+    audio.currentTime = clamped;
+    setCurrentTime(clamped);
+  }, [audio]);
+
+  const playTrack = useCallback((track, list, source) => {
+    if (source !== undefined) {
+      latest.current.playlistSource = source;
+      setPlaylistSource(source);
+    }
+
+    if (list) {
+      setPlaylist(list);
+
+      // Starting a different list reshuffles it from the chosen track
+      const order = shuffleOrderRef.current;
+      const isSameList = list.length === order.length && list.every(item => order.includes(item.id));
+      if (latest.current.isShuffled && !isSameList) {
+        shuffleOrderRef.current = buildShuffleOrder(list, track);
+      }
+    }
+    playlistTrackRef.current = track;
+
+    if (latest.current.currentTrack?.id === track.id) {
+      return togglePlay();
+    }
+
+    return loadTrack(track, { autoplay: true });
+  }, [loadTrack, togglePlay]);
+
+  // The playlist in the order it plays: as listed, or shuffled
+  const getPlayOrder = useCallback(() => {
+    const { playlist: list, isShuffled: shuffled } = latest.current;
+    if (!shuffled) return list;
+
+    const tracksById = new Map(list.map(track => [track.id, track]));
+    return shuffleOrderRef.current.map(id => tracksById.get(id)).filter(Boolean);
+  }, []);
+
+  // Picks the playlist track after the current one, or null at the end.
+  // A peek leaves the shuffle order alone and so can't see past its end.
+  const getNextTrack = useCallback((wrap, { peek = false } = {}) => {
+    const order = getPlayOrder();
+    const track = playlistTrackRef.current;
+    if (!order.length) return null;
+
+    const currentIndex = order.findIndex(item => item.id === track?.id);
+    if (currentIndex + 1 < order.length) return order[currentIndex + 1];
+    if (!wrap) return null;
+
+    if (latest.current.isShuffled) {
+      if (peek) return null;
+
+      // Every track has played once: start a fresh order that doesn't repeat the last one
+      const nextOrder = buildShuffleOrder(order);
+      if (nextOrder.length > 1 && nextOrder[0] === track?.id) {
+        nextOrder.push(nextOrder.shift());
+      }
+      shuffleOrderRef.current = nextOrder;
+      return getPlayOrder()[0];
+    }
+
+    return order[0];
+  }, [getPlayOrder]);
+
+  // Queued tracks play before the playlist continues
+  const takeNextTrack = useCallback((wrap) => {
+    const { queue: upNext } = latest.current;
+    if (upNext.length) {
+      const [queuedTrack, ...rest] = upNext;
+      latest.current.queue = rest;
+      setQueue(rest);
+      return queuedTrack;
+    }
+
+    const nextTrack = getNextTrack(wrap);
+    if (nextTrack) {
+      playlistTrackRef.current = nextTrack;
+    }
+    return nextTrack;
+  }, [getNextTrack]);
+
+  // The track that will play after the current one, without consuming it
+  const peekNextTrack = useCallback(() => {
+    const { queue: upNext, repeatMode: mode, currentTrack: track } = latest.current;
+    if (stopsAfterCurrentTrack(latest.current)) return null;
+    if (mode === 'one') return track;
+    if (upNext.length) return upNext[0];
+    return getNextTrack(mode === 'all', { peek: true });
+  }, [getNextTrack]);
+
+  const next = useCallback(() => {
+    const nextTrack = takeNextTrack(true);
+    if (nextTrack) {
+      return loadTrack(nextTrack, { autoplay: true });
+    }
+    return false;
+  }, [takeNextTrack, loadTrack]);
+
+  const previous = useCallback(() => {
+    const list = getPlayOrder();
+    const track = playlistTrackRef.current;
+
+    if (getPosition() > RESTART_THRESHOLD || !list.length) {
+      seek(0);
+      return true;
+    }
+
+    const currentIndex = list.findIndex(item => item.id === track?.id);
+    const previousIndex = currentIndex > 0 ? currentIndex - 1 : list.length - 1;
+    playlistTrackRef.current = list[previousIndex];
+    return loadTrack(list[previousIndex], { autoplay: !isOutputPaused() });
+  }, [getPlayOrder, getPosition, isOutputPaused, seek, loadTrack]);
+
+  const playNext = useCallback((tracks) => {
+    setQueue(prev => [...tracks, ...prev]);
+  }, []);
+
+  const addToQueue = useCallback((tracks) => {
+    setQueue(prev => [...prev, ...tracks]);
+  }, []);
+
+  const removeFromQueue = useCallback((index) => {
+    setQueue(prev => prev.filter((_, i) => i !== index));
+  }, []);
+
+  const moveInQueue = useCallback((fromIndex, toIndex) => {
+    setQueue(prev => moveItem(prev, fromIndex, toIndex));
+  }, []);
+
+  const clearQueue = useCallback(() => setQueue([]), []);
+
+  /**
+   * Matches the engine against the loaded library. The first call restores
+   * the saved session (paused at its position) and queue; later calls drop
+   * removed tracks from the queue and pick up edited ones.
+   */
+  const syncLibrary = useCallback((libraryTracks) => {
+    const tracksById = new Map(libraryTracks.map(track => [track.id, track]));
+    setLibrary(libraryTracks);
+    const resolve = (trackIds) => trackIds.map(id => tracksById.get(id)).filter(Boolean);
+
+    if (!sessionRestoredRef.current) {
+      sessionRestoredRef.current = true;
+      setQueue(resolve(getQueue()));
+
+      const savedTrack = tracksById.get(savedSession.trackId);
+      playlistTrackRef.current = tracksById.get(savedSession.playlistTrackId) || savedTrack || null;
+      if (savedTrack && !latest.current.currentTrack) {
+        loadTrack(savedTrack, { autoplay: false, startTime: savedSession.currentTime || 0 });
+      }
+      return;
+    }
+
+    setQueue(prev => resolve(prev.map(track => track.id)));
+  }, [savedSession, loadTrack]);
+
+  const saveSession = useCallback(() => {
+    if (!sessionRestoredRef.current) return;
+
+    const {
+      currentTrack: track,
+      currentTime: position,
+      volume: currentVolume,
+      isMuted: muted,
+      repeatMode: mode,
+      isShuffled: shuffled,
+      isGapless: gapless,
+      crossfadeDuration: fade,
+      crossfadeCurve: curve,
+      playlistSource: source
+    } = latest.current;
+
+    lastSessionSaveRef.current = Date.now();
+    savePlaybackState({
+      trackId: track?.id || null,
+      currentTime: track ? position : 0,
+      volume: currentVolume,
+      isMuted: muted,
+      repeatMode: mode,
+      isShuffled: shuffled,
+      shuffleOrder: shuffleOrderRef.current,
+      isGapless: gapless,
+      crossfadeDuration: fade,
+      crossfadeCurve: curve,
+      playbackRate: baseRateRef.current,
+      playlistSource: source,
+      playlistTrackId: playlistTrackRef.current?.id || null
+    });
+  }, []);
+
+  const setVolume = useCallback((value) => {
+    const clampedVolume = Math.max(0, Math.min(1, value));
+    setVolumeState(clampedVolume);
+    setIsMuted(clampedVolume === 0);
+  }, []);
+
+  const toggleMute = useCallback(() => {
+    setIsMuted(muted => !muted);
+  }, []);
+
+  const setNormalizationMode = useCallback((mode) => {
+    if (Object.values(NORMALIZATION_MODES).includes(mode)) {
+      setNormalizationModeState(mode);
+    }
+  }, []);
+
+  const setTargetLevel = useCallback((level) => {
+    setTargetLevelState(Math.max(MIN_TARGET_LEVEL, Math.min(MAX_TARGET_LEVEL, level)));
+  }, []);
+
+  const getVolume = useCallback(() => latest.current.volume, []);
+
+  const cycleRepeatMode = useCallback(() => {
+    setRepeatMode(mode => REPEAT_MODES[(REPEAT_MODES.indexOf(mode) + 1) % REPEAT_MODES.length]);
+  }, []);
+
+  // Turning shuffle on keeps the current track and shuffles the rest after it;
+  // turning it off resumes the listed order from the current track
+  const toggleShuffle = useCallback(() => {
+    const { playlist: list, isShuffled: shuffled, currentTrack: track } = latest.current;
+    if (!shuffled) {
+      shuffleOrderRef.current = buildShuffleOrder(list, playlistTrackRef.current || track);
+    }
+    setIsShuffled(!shuffled);
+  }, []);
+
+  // Moves the current track onto the output the settings call for,
+  // keeping its position and play state
+  const syncOutput = useCallback(async () => {
+    const wantsBuffer = usesBufferOutput(latest.current);
+    if (wantsBuffer === (outputRef.current === 'buffer')) return;
+
+    const track = latest.current.currentTrack;
+
+    // Decode first so the element plays on until the buffer is ready
+    if (wantsBuffer && track) {
+      await getTrackBuffer(track).catch(() => null);
+      const isSettled = usesBufferOutput(latest.current) === (outputRef.current === 'buffer');
+      if (isSettled || latest.current.currentTrack?.id !== track.id) return;
+    }
+
+    const wasPlaying = !isOutputPaused();
+    const position = getPosition();
+
+    if (!wantsBuffer) {
+      graphRef.current?.gaplessPlayer.stop();
+      bufferCacheRef.current.clear();
+    }
+
+    if (track) {
+      loadTrack(track, { autoplay: wasPlaying, startTime: position });
+    }
+  }, [getPosition, isOutputPaused, getTrackBuffer, loadTrack]);
+
+  const toggleGapless = useCallback(() => {
+    latest.current.isGapless = !latest.current.isGapless;
+    setIsGapless(latest.current.isGapless);
+    syncOutput();
+  }, [syncOutput]);
+
+  const setCrossfadeDuration = useCallback((seconds) => {
+    const clamped = Math.max(0, Math.min(MAX_CROSSFADE, Number(seconds) || 0));
+    latest.current.crossfadeDuration = clamped;
+    setCrossfadeDurationState(clamped);
+    syncOutput();
+  }, [syncOutput]);
+
+  const setPlaybackRate = useCallback((value) => {
+    const clamped = Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, Number(value) || 1));
+    const rate = Math.round(clamped * 100) / 100;
+    const { currentTrack: track, playlistSource: source, playbackRateScope: scope } = latest.current;
+
+    // A remembered speed follows the change; otherwise it becomes the base speed
+    const rates = getPlaybackRates();
+    if (scope === 'track' && track) {
+      rates.tracks[track.id] = rate;
+      savePlaybackRates(rates);
+    } else if (scope === 'playlist' && source !== null) {
+      rates.playlists[source] = rate;
+      savePlaybackRates(rates);
+    } else {
+      baseRateRef.current = rate;
+    }
+
+    applyPlaybackRate(rate);
+    syncOutput();
+  }, [applyPlaybackRate, syncOutput]);
+
+  const stepPlaybackRate = useCallback((steps) => {
+    setPlaybackRate(latest.current.playbackRate + steps * PLAYBACK_RATE_STEP);
+  }, [setPlaybackRate]);
+
+  // Remembers the current speed for the current track or its playlist, or forgets it
+  const setPlaybackRateScope = useCallback((scope) => {
+    const { currentTrack: track, playlistSource: source, playbackRate: rate } = latest.current;
+    if (!PLAYBACK_RATE_SCOPES.includes(scope) || !track) return;
+    if (scope === 'playlist' && source === null) return;
+
+    const rates = getPlaybackRates();
+    delete rates.tracks[track.id];
+    if (scope === 'track') {
+      rates.tracks[track.id] = rate;
+    } else if (scope === 'playlist') {
+      rates.playlists[source] = rate;
+    } else {
+      delete rates.playlists[source];
+      baseRateRef.current = rate;
+    }
+    savePlaybackRates(rates);
+
+    latest.current.playbackRateScope = scope;
+    setPlaybackRateScopeState(scope);
+  }, []);
+
+  const applyLoopRange = useCallback((range) => {
+    latest.current.loopRange = range;
+    setLoopRange(range);
+    if (outputRef.current === 'buffer') {
+      graphRef.current?.gaplessPlayer.setLoop(range);
+    }
+    syncOutput();
+  }, [syncOutput]);
+
+  // Marks A at a time, or at the current position; a running loop ends
+  const setLoopStart = useCallback((time) => {
+    if (!latest.current.currentTrack) return;
+    setLoopStartState(Number.isFinite(time) ? time : getPosition());
+    if (latest.current.loopRange) {
+      applyLoopRange(null);
+    }
+  }, [getPosition, applyLoopRange]);
+
+  // Marks B (at a time, or at the current position) and starts looping from A
+  const setLoopEnd = useCallback((time) => {
+    if (loopStart === null) return;
+
+    const position = Number.isFinite(time) ? time : getPosition();
+    const start = Math.min(loopStart, position);
+    const end = Math.max(loopStart, position);
+    if (end - start < MIN_LOOP_LENGTH) return;
+
+    setLoopStartState(null);
+    applyLoopRange({ start, end });
+    seek(start);
+  }, [loopStart, getPosition, applyLoopRange, seek]);
+
+  const clearLoop = useCallback(() => {
+    setLoopStartState(null);
+    if (latest.current.loopRange) {
+      applyLoopRange(null);
+    }
+  }, [applyLoopRange]);
+
+  const setSleepTimer = useCallback((mode, minutes) => {
+    if (!SLEEP_TIMER_MODES.includes(mode)) return;
+    if (mode === 'minutes' && !(minutes > 0)) return;
+
+    const timer = mode === 'minutes'
+      ? { mode, minutes, endsAt: Date.now() + minutes * 60 * 1000 }
+      : { mode };
+    latest.current.sleepTimer = timer;
+    setSleepTimerState(timer);
+  }, []);
+
+  // Ends the timer; the fade is only undone by the next play
+  const endSleepTimer = useCallback(() => {
+    latest.current.sleepTimer = null;
+    setSleepTimerState(null);
+    setSleepTimerRemaining(null);
+  }, []);
+
+  const cancelSleepTimer = useCallback(() => {
+    endSleepTimer();
+    setSleepFade(1);
+  }, [endSleepTimer]);
+
+  // Seconds of playback left before the sleep timer stops it
+  const getSleepTimerRemaining = useCallback(() => {
+    const { sleepTimer: timer, queue: upNext, duration: length, playbackRate: rate } = latest.current;
+    if (timer.mode === 'minutes') {
+      return Math.max(0, (timer.endsAt - Date.now()) / 1000);
+    }
+
+    const trackLeft = Math.max(0, length - getPosition());
+    const queueLeft = timer.mode === 'queue'
+      ? upNext.reduce((sum, track) => sum + (track.duration || 0), 0)
+      : 0;
+    return (trackLeft + queueLeft) / rate;
+  }, [getPosition]);
+
+  const setCrossfadeCurve = useCallback((curve) => {
+    if (!CROSSFADE_CURVES.includes(curve)) return;
+    latest.current.crossfadeCurve = curve;
+    setCrossfadeCurveState(curve);
+  }, []);
+
+  const setEqGains = useCallback((gains) => {
+    setEqGainsState(normalizeGains(gains));
+  }, []);
+
+  const setEqGain = useCallback((index, gain) => {
+    setEqGainsState(prev => normalizeGains(prev.map((value, i) => (i === index ? gain : value))));
+  }, []);
+
+  const toggleEqBypass = useCallback(() => {
+    setIsEqBypassed(bypassed => !bypassed);
+  }, []);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  const resumeContext = useCallback(async () => {
+    try {
+      await ensureGraph();
+      setError(null);
+    } catch (err) {
+      console.error('Error resuming audio context:', err);
+      setError(err.message);
+    }
+  }, [ensureGraph]);
+
+  const getContextState = useCallback(() => {
+    return graphRef.current?.audioContext.state || 'closed';
+  }, []);
+
+  const getAnalyserFrequencyData = useCallback(() => getFrequencyData(graphRef.current?.analyzer), []);
+  const getAnalyserTimeDomainData = useCallback(() => getTimeDomainData(graphRef.current?.analyzer), []);
+  const getAnalyserFrequencyBins = useCallback(() => getFrequencyBins(getAnalyserFrequencyData()), [getAnalyserFrequencyData]);
+  const getAverageFrequency = useCallback(() => {
+    const frequencyData = getAnalyserFrequencyData();
+    if (frequencyData.length === 0) return 0;
+
+    const sum = frequencyData.reduce((acc, val) => acc + val, 0);
+    return sum / frequencyData.length / 255;
+  }, [getAnalyserFrequencyData]);
+
+  // What happens when a track plays to the end
+  const handleEnded = useCallback(() => {
+    // The sleep timer stops here; the next track waits, paused
+    if (stopsAfterCurrentTrack(latest.current)) {
+      endSleepTimer();
+      setIsPlaying(false);
+      const nextTrack = takeNextTrack(latest.current.repeatMode === 'all');
+      if (nextTrack) {
+        loadTrack(nextTrack, { autoplay: false });
+      }
+      return;
+    }
+
+    if (latest.current.repeatMode === 'one') {
+      if (outputRef.current === 'buffer') {
+        graphRef.current.gaplessPlayer.seek(0);
+        graphRef.current.gaplessPlayer.play();
+      } else {
+        audio.currentTime = 0;
+        audio.play();
+      }
+      return;
+    }
+
+    const nextTrack = takeNextTrack(latest.current.repeatMode === 'all');
+    if (nextTrack) {
+      loadTrack(nextTrack, { autoplay: true });
+    } else {
+      setIsPlaying(false);
+    }
+  }, [audio, endSleepTimer, takeNextTrack, loadTrack]);
+
+  const handleEndedRef = useRef(handleEnded);
+  handleEndedRef.current = handleEnded;
+
+  // The gapless player already started the preloaded track; catch up with it
+  const handleGaplessAdvance = useCallback((track) => {
+    const { repeatMode: mode } = latest.current;
+    if (mode !== 'one') {
+      takeNextTrack(mode === 'all');
+    }
+
+    setCurrentTrack(track);
+    setCurrentTime(0);
+    setDuration(graphRef.current.gaplessPlayer.getDuration());
+
+    // A track with its own speed moves on to the media element
+    latest.current.currentTrack = track;
+    adoptPlaybackRate(track);
+    syncOutput();
+  }, [takeNextTrack, adoptPlaybackRate, syncOutput]);
+
+  const handleGaplessAdvanceRef = useRef(handleGaplessAdvance);
+  handleGaplessAdvanceRef.current = handleGaplessAdvance;
+
+  const saveSessionRef = useRef(saveSession);
+  saveSessionRef.current = saveSession;
+
+  // Mirror the audio element into React state
+  useEffect(() => {
+    const handleLoadStart = () => setIsLoading(true);
+    const handleCanPlay = () => setIsLoading(false);
+    const handleDurationChange = () => {
+      if (Number.isFinite(audio.duration)) setDuration(audio.duration);
+    };
+    const handleTimeUpdate = () => {
+      setCurrentTime(audio.currentTime);
+      latest.current.currentTime = audio.currentTime;
+      if (Date.now() - lastSessionSaveRef.current >= SESSION_SAVE_INTERVAL) {
+        saveSessionRef.current();
+      }
+    };
+    const handlePlay = () => setIsPlaying(true);
+    const handlePause = () => {
+      setIsPlaying(false);
+      saveSessionRef.current();
+    };
+    const handleTrackEnded = () => handleEndedRef.current();
+    const handleError = () => {
+      if (!audio.getAttribute('src')) return;
+      setIsLoading(false);
+      setIsPlaying(false);
+      setError('The track could not be decoded');
+    };
+
+    // The element is silent while the gapless player has the track
+    const fromElement = (listener) => (event) => {
+      if (outputRef.current === 'element') listener(event);
+    };
+
+    const listeners = {
+      loadstart: handleLoadStart,
+      canplay: handleCanPlay,
+      loadedmetadata: handleDurationChange,
+      durationchange: handleDurationChange,
+      timeupdate: handleTimeUpdate,
+      play: handlePlay,
+      pause: handlePause,
+      ended: handleTrackEnded,
+      error: handleError
+    };
+
+    const guardedListeners = Object.entries(listeners).map(([event, listener]) => [event, fromElement(listener)]);
+    guardedListeners.forEach(([event, listener]) => audio.addEventListener(event, listener));
+
+    return () => {
+      guardedListeners.forEach(([event, listener]) => audio.removeEventListener(event, listener));
+    };
+  }, [audio]);
+
+  // The gapless player has no timeupdate event: poll its position instead
+  useEffect(() => {
+    if (!isPlaying || outputRef.current !== 'buffer') return;
+
+    const interval = setInterval(() => {
+      const position = graphRef.current?.gaplessPlayer.getPosition() || 0;
+      setCurrentTime(position);
+      latest.current.currentTime = position;
+      if (Date.now() - lastSessionSaveRef.current >= SESSION_SAVE_INTERVAL) {
+        saveSessionRef.current();
+      }
+    }, POSITION_POLL_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [isPlaying, isBufferOutput, currentTrack]);
+
+  // Decode the track after the current one so the gapless player can chain it
+  useEffect(() => {
+    const player = graphRef.current?.gaplessPlayer;
+    if (!isBufferOutput || isLoading || !player?.getCurrentTrack()) return;
+
+    const nextTrack = peekNextTrack();
+    const cache = bufferCacheRef.current;
+    [...cache.keys()].forEach((id) => {
+      if (id !== currentTrack?.id && id !== nextTrack?.id) cache.delete(id);
+    });
+
+    if (!nextTrack) {
+      player.setUpcoming(null);
+      return;
+    }
+    if (player.getUpcomingTrack()?.id === nextTrack.id) return;
+
+    let cancelled = false;
+    getTrackBuffer(nextTrack)
+      .then((buffer) => {
+        if (!cancelled) player.setUpcoming(nextTrack, buffer);
+      })
+      .catch((err) => console.error('Error preloading next track:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isBufferOutput, isLoading, currentTrack, queue, playlist, repeatMode, isShuffled, sleepTimer, peekNextTrack, getTrackBuffer]);
+
+  // The media element has no loop points: jump back to A as soon as B passes.
+  // Only used at speeds the buffer output cannot play
+  useEffect(() => {
+    if (!loopRange || isBufferOutput || !isPlaying) return;
+
+    let frame;
+    const checkLoop = () => {
+      if (outputRef.current === 'element' && audio.currentTime >= loopRange.end) {
+        audio.currentTime = loopRange.start;
+      }
+      frame = requestAnimationFrame(checkLoop);
+    };
+    checkLoop();
+
+    return () => cancelAnimationFrame(frame);
+  }, [audio, loopRange, isBufferOutput, isPlaying]);
+
+  // Count the sleep timer down, fading out over its last seconds
+  useEffect(() => {
+    if (!sleepTimer) return;
+
+    const update = () => {
+      const remaining = getSleepTimerRemaining();
+      setSleepTimerRemaining(remaining);
+      setSleepFade(Math.min(1, remaining / SLEEP_FADE_DURATION));
+
+      // Track and queue timers end with the track, in handleEnded
+      if (sleepTimer.mode === 'minutes' && remaining <= 0) {
+        endSleepTimer();
+        pause();
+      }
+    };
+    update();
+
+    const interval = setInterval(update, POSITION_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [sleepTimer, getSleepTimerRemaining, endSleepTimer, pause]);
+
+  // The next play after the timer stopped playback brings the volume back
+  useEffect(() => {
+    if (isPlaying && !latest.current.sleepTimer) {
+      setSleepFade(1);
+    }
+  }, [isPlaying]);
+
+  // Volume, mute, loudness normalization and the sleep fade all meet on the gain node
+  useEffect(() => {
+    const graph = graphRef.current;
+    if (graph) {
+      const gain = isMuted ? 0 : volume * normalizationGain * sleepFade;
+      graph.gainNode.gain.setTargetAtTime(gain, graph.audioContext.currentTime, 0.015);
+    }
+  }, [audioContext, volume, isMuted, normalizationGain, sleepFade]);
+
+  useEffect(() => {
+    updateSettings({ normalization: { mode: normalizationMode, targetLevel } });
+  }, [normalizationMode, targetLevel]);
+
+  // Apply the equalizer once the graph exists and on every change
+  useEffect(() => {
+    const graph = graphRef.current;
+    if (graph) {
+      applyEqualizerGains(graph.eqFilters, eqGains, isEqBypassed);
+    }
+    updateSettings({ equalizer: { gains: eqGains, bypassed: isEqBypassed } });
+  }, [audioContext, eqGains, isEqBypassed]);
+
+  // Replan the next transition when the crossfade settings change
+  useEffect(() => {
+    graphRef.current?.gaplessPlayer.reschedule();
+  }, [crossfadeDuration, crossfadeCurve]);
+
+  // Keep the shuffle order in step with playlist edits: removed tracks drop
+  // out, added ones land at random spots among the tracks still to play
+  useEffect(() => {
+    // An empty playlist means the library hasn't loaded yet
+    if (!isShuffled || !playlist.length) return;
+
+    const playlistIds = new Set(playlist.map(track => track.id));
+    const order = shuffleOrderRef.current.filter(id => playlistIds.has(id));
+    const knownIds = new Set(order);
+    const playedCount = order.indexOf(playlistTrackRef.current?.id) + 1;
+
+    playlist.forEach(track => {
+      if (knownIds.has(track.id)) return;
+      const index = playedCount + Math.floor(Math.random() * (order.length - playedCount + 1));
+      order.splice(index, 0, track.id);
+    });
+
+    shuffleOrderRef.current = order;
+  }, [playlist, isShuffled]);
+
+  // Persist the queue once the saved one has been restored
+  useEffect(() => {
+    if (sessionRestoredRef.current) {
+      saveQueue(queue.map(track => track.id));
+    }
+  }, [queue]);
+
+  // Save the session on every transport change, and one last time on unload
+  useEffect(() => {
+    saveSession();
+  }, [saveSession, currentTrack, volume, isMuted, repeatMode, isShuffled, isGapless, crossfadeDuration, crossfadeCurve, playbackRate, playlist, playlistSource]);
+
+  useEffect(() => {
+    window.addEventListener('pagehide', saveSession);
+    return () => window.removeEventListener('pagehide', saveSession);
+  }, [saveSession]);
+
+  // Track the context state (it can be suspended by the browser)
+  useEffect(() => {
+    if (!audioContext) return;
+
+    const handleStateChange = () => setIsContextReady(audioContext.state === 'running');
+    handleStateChange();
+
+    audioContext.addEventListener('statechange', handleStateChange);
+    return () => audioContext.removeEventListener('statechange', handleStateChange);
+  }, [audioContext]);
+
+  // Release the element and context when the provider goes away
+  useEffect(() => {
+    return () => {
+      audio.pause();
+      graphRef.current?.gaplessPlayer.stop();
+      graphRef.current?.audioContext.close();
+      graphRef.current = null;
+    };
+  }, [audio]);
+
+  const engine = useMemo(() => ({
+    // Graph
+    audioElement: audio,
+    audioContext,
+    analyser,
+    isContextReady,
+    error,
+
+    // Transport state
+    playlist,
+    playlistSource,
+    queue,
+    currentTrack,
+    isPlaying,
+    isLoading,
+    currentTime,
+    duration,
+    volume,
+    isMuted,
+    repeatMode,
+    isShuffled,
+    isGapless,
+    crossfadeDuration,
+    crossfadeCurve,
+    playbackRate,
+    playbackRateScope,
+    loopStart,
+    loopRange,
+    sleepTimer,
+    sleepTimerRemaining,
+    eqGains,
+    isEqBypassed,
+    normalizationMode,
+    targetLevel,
+    normalizationGain,
+    trackLoudness,
+    waveform,
+    bookmarks,
+    isFavorite,
+
+    // Transport actions
+    setPlaylist,
+    setPlaylistSource,
+    playTrack,
+    loadTrack,
+    play,
+    pause,
+    togglePlay,
+    stop,
+    next,
+    previous,
+    seek,
+    setVolume,
+    getVolume,
+    toggleMute,
+    setRepeatMode,
+    cycleRepeatMode,
+    toggleShuffle,
+    toggleGapless,
+    setCrossfadeDuration,
+    setCrossfadeCurve,
+    setPlaybackRate,
+    stepPlaybackRate,
+    setPlaybackRateScope,
+    setLoopStart,
+    setLoopEnd,
+    clearLoop,
+    setSleepTimer,
+    cancelSleepTimer,
+    setEqGain,
+    setEqGains,
+    toggleEqBypass,
+    setNormalizationMode,
+    setTargetLevel,
+    clearError,
+
+    // Queue
+    playNext,
+    addToQueue,
+    removeFromQueue,
+    moveInQueue,
+    clearQueue,
+    syncLibrary,
+
+    // Context and analysis
+    resumeContext,
+    getContextState,
+    getFrequencyData: getAnalyserFrequencyData,
+    getTimeDomainData: getAnalyserTimeDomainData,
+    getFrequencyBins: getAnalyserFrequencyBins,
+    getAverageFrequency
+  }), [
+    audio, audioContext, analyser, isContextReady, error,
+    playlist, playlistSource, queue, currentTrack, isPlaying, isLoading, currentTime, duration, volume, isMuted, repeatMode, isShuffled, isGapless,
+    crossfadeDuration, crossfadeCurve, playbackRate, playbackRateScope, loopStart, loopRange, sleepTimer, sleepTimerRemaining, eqGains, isEqBypassed, normalizationMode, targetLevel, normalizationGain, trackLoudness, waveform, bookmarks, isFavorite,
+    playTrack, loadTrack, play, pause, togglePlay, stop, next, previous, seek, setVolume, getVolume, toggleMute,
+    cycleRepeatMode, toggleShuffle, toggleGapless, setCrossfadeDuration, setCrossfadeCurve, setPlaybackRate, stepPlaybackRate, setPlaybackRateScope,
+    setLoopStart, setLoopEnd, clearLoop, setSleepTimer, cancelSleepTimer,
+    setEqGain, setEqGains, toggleEqBypass, setNormalizationMode, setTargetLevel, clearError, playNext, addToQueue, removeFromQueue, moveInQueue, clearQueue, syncLibrary,
+    resumeContext, getContextState,
+    getAnalyserFrequencyData, getAnalyserTimeDomainData, getAnalyserFrequencyBins, getAverageFrequency
+  ]);
+
+  return (
+    <PlayerEngineContext.Provider value={engine}>
+      {children}
+    </PlayerEngineContext.Provider>
+  );
+};
+
+export { PlayerEngineProvider };
+export default PlayerEngineProvider;
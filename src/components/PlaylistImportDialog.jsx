@@ -0,0 +1,168 @@
+import { useState } from 'react';
+import { AlertCircle, Check, Search, X } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import {
+  Command,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList
+} from './ui/command';
+
+// Library tracks offered when choosing a track for an entry
+const MAX_CHOICES = 20;
+
+// How an entry found its track
+const MATCH_LABELS = {
+  path: 'Path',
+  fileName: 'File name',
+  fuzzy: 'Title',
+  manual: 'Chosen'
+};
+
+/**
+ * Names a playlist entry by its tags, or by its file name without them
+ * @param {Object} entry - Playlist entry
+ * @returns {string}
+ */
+const describeEntry = (entry) => {
+  if (entry.title) return entry.artist ? `${entry.artist} - ${entry.title}` : entry.title;
+  return entry.location.split(/[\\/]/).pop() || entry.location;
+};
+
+const TrackPicker = ({ entry, searchTracks, onPick, children }) => {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState(() => entry.title || describeEntry(entry).replace(/\.[^.]+$/, ''));
+
+  const results = open && query.trim() ? searchTracks(query).slice(0, MAX_CHOICES) : [];
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>{children}</PopoverTrigger>
+      <PopoverContent className="w-80 p-0" align="end">
+        <Command shouldFilter={false}>
+          <CommandInput placeholder="Search the library…" value={query} onValueChange={setQuery} />
+          <CommandList>
+            <CommandEmpty>No tracks found.</CommandEmpty>
+            {results.length > 0 && (
+              <CommandGroup>
+                {results.map(({ track }) => (
+                  <CommandItem
+                    key={track.id}
+                    value={track.id}
+                    onSelect={() => {
+                      onPick(track);
+                      setOpen(false);
+                    }}
+                  >
+                    <span className="truncate">{track.title}</span>
+                    <span className="truncate text-muted-foreground">{track.artist}</span>
+                  </CommandItem>
+                ))}
+              </CommandGroup>
+            )}
+          </CommandList>
+        </Command>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+const PlaylistImportDialog = ({ playlistImport, searchTracks, onSave, onCancel }) => {
+  const [name, setName] = useState(playlistImport.name);
+  const [matches, setMatches] = useState(playlistImport.matches);
+
+  const matchedCount = matches.filter(match => match.track).length;
+
+  const setTrack = (index, track) => {
+    setMatches(prev => prev.map((match, i) => (
+      i === index ? { ...match, track, matchedBy: track ? 'manual' : null } : match
+    )));
+  };
+
+  const handleSave = () => {
+    onSave(name, matches.filter(match => match.track).map(match => match.track.id));
+  };
+
+  return (
+    <Dialog open onOpenChange={(isOpen) => !isOpen && onCancel()}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Import playlist</DialogTitle>
+          <DialogDescription>
+            {matchedCount} of {matches.length} entries matched a library track.
+            Choose tracks for the others or leave them out.
+          </DialogDescription>
+        </DialogHeader>
+
+        <Input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Playlist name"
+          aria-label="Playlist name"
+        />
+
+        <ul className="max-h-[50vh] overflow-y-auto divide-y text-sm">
+          {matches.map((match, index) => (
+            <li key={index} className="flex items-center gap-3 py-2">
+              <span className="w-6 shrink-0 text-right text-xs text-muted-foreground tabular-nums">{index + 1}</span>
+              <div className="min-w-0 flex-1">
+                <p className="truncate" title={match.entry.location}>{describeEntry(match.entry)}</p>
+                {match.track ? (
+                  <p className="flex items-center gap-1 truncate text-xs text-muted-foreground">
+                    <Check className="h-3 w-3 shrink-0 text-green-500" />
+                    <span className="truncate">{match.track.title} · {match.track.artist}</span>
+                    <span className="shrink-0 rounded bg-muted px-1">{MATCH_LABELS[match.matchedBy]}</span>
+                  </p>
+                ) : (
+                  <p className="flex items-center gap-1 text-xs text-amber-600">
+                    <AlertCircle className="h-3 w-3 shrink-0" />
+                    Not in the library
+                  </p>
+                )}
+              </div>
+              <TrackPicker entry={match.entry} searchTracks={searchTracks} onPick={(track) => setTrack(index, track)}>
+                <Button variant="outline" size="sm">
+                  <Search className="h-3.5 w-3.5" />
+                  {match.track ? 'Change' : 'Choose'}
+                </Button>
+              </TrackPicker>
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-8 w-8"
+                disabled={!match.track}
+                title="Leave out"
+                onClick={() => setTrack(index, null)}
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </li>
+          ))}
+        </ul>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button disabled={!matchedCount || !name.trim()} onClick={handleSave}>
+            Save playlist ({matchedCount} tracks)
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PlaylistImportDialog;
@@ -0,0 +1,261 @@
+import { useState } from 'react';
+import { Library, ListMusic, Plus, MoreHorizontal, Pencil, Copy, Download, Trash2 } from 'lucide-react';
+import {
+  Sidebar,
+  SidebarContent,
+  SidebarGroup,
+  SidebarGroupAction,
+  SidebarGroupContent,
+  SidebarGroupLabel,
+  SidebarHeader,
+  SidebarMenu,
+  SidebarMenuAction,
+  SidebarMenuBadge,
+  SidebarMenuButton,
+  SidebarMenuItem
+} from './ui/sidebar';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuSub,
+  DropdownMenuSubContent,
+  DropdownMenuSubTrigger,
+  DropdownMenuTrigger
+} from './ui/dropdown-menu';
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle
+} from './ui/alert-dialog';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { LIBRARY_VIEW } from '../hooks/usePlaylists';
+import { PLAYLIST_EXPORT_FORMATS } from '../utils/playlistFiles';
+
+// MIME type used when dragging tracks onto a playlist
+export const TRACK_DRAG_TYPE = 'application/x-track-ids';
+
+const PlaylistSidebar = ({
+  playlists,
+  libraryCount = 0,
+  activeView,
+  onSelectView,
+  onCreatePlaylist,
+  onRenamePlaylist,
+  onDuplicatePlaylist,
+  onExportPlaylist,
+  onDeletePlaylist,
+  onAddTracksToPlaylist
+}) => {
+  // { mode: 'create' | 'rename', playlistId?, name }
+  const [nameDialog, setNameDialog] = useState(null);
+  const [playlistToDelete, setPlaylistToDelete] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+
+  const submitNameDialog = (e) => {
+    e.preventDefault();
+    if (!nameDialog?.name.trim()) return;
+
+    if (nameDialog.mode === 'create') {
+      onCreatePlaylist?.(nameDialog.name);
+    } else {
+      onRenamePlaylist?.(nameDialog.playlistId, nameDialog.name);
+    }
+    setNameDialog(null);
+  };
+
+  const handleDragOver = (e, playlistId) => {
+    if (!e.dataTransfer.types.includes(TRACK_DRAG_TYPE)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setDropTargetId(playlistId);
+  };
+
+  const handleDrop = (e, playlistId) => {
+    e.preventDefault();
+    setDropTargetId(null);
+
+    try {
+      const trackIds = JSON.parse(e.dataTransfer.getData(TRACK_DRAG_TYPE));
+      onAddTracksToPlaylist?.(playlistId, trackIds);
+    } catch (error) {
+      console.error('Error reading dropped tracks:', error);
+    }
+  };
+
+  return (
+    <>
+      <Sidebar>
+        <SidebarHeader>
+          <div className="px-2 py-1 text-lg font-semibold">Music Player</div>
+        </SidebarHeader>
+
+        <SidebarContent>
+          <SidebarGroup>
+            <SidebarGroupContent>
+              <SidebarMenu>
+                <SidebarMenuItem>
+                  <SidebarMenuButton
+                    isActive={activeView === LIBRARY_VIEW}
+                    onClick={() => onSelectView?.(LIBRARY_VIEW)}
+                  >
+                    <Library />
+                    <span>Library</span>
+                  </SidebarMenuButton>
+                  <SidebarMenuBadge>{libraryCount}</SidebarMenuBadge>
+                </SidebarMenuItem>
+              </SidebarMenu>
+            </SidebarGroupContent>
+          </SidebarGroup>
+
+          <SidebarGroup>
+            <SidebarGroupLabel>Playlists</SidebarGroupLabel>
+            <SidebarGroupAction
+              title="New playlist"
+              onClick={() => setNameDialog({ mode: 'create', name: '' })}
+            >
+              <Plus />
+              <span className="sr-only">New playlist</span>
+            </SidebarGroupAction>
+
+            <SidebarGroupContent>
+              <SidebarMenu>
+                {playlists.length === 0 && (
+                  <p className="px-2 py-1 text-xs text-sidebar-foreground/60">
+                    No playlists yet
+                  </p>
+                )}
+
+                {playlists.map((playlist) => (
+                  <SidebarMenuItem key={playlist.id}>
+                    <SidebarMenuButton
+                      isActive={activeView === playlist.id}
+                      onClick={() => onSelectView?.(playlist.id)}
+                      onDragOver={(e) => handleDragOver(e, playlist.id)}
+                      onDragLeave={() => setDropTargetId(null)}
+                      onDrop={(e) => handleDrop(e, playlist.id)}
+                      className={dropTargetId === playlist.id ? 'ring-2 ring-sidebar-ring' : ''}
+                    >
+                      <ListMusic />
+                      <span>{playlist.name}</span>
+                    </SidebarMenuButton>
+                    <SidebarMenuBadge className="group-hover/menu-item:opacity-0">
+                      {playlist.trackIds.length}
+                    </SidebarMenuBadge>
+
+                    <DropdownMenu>
+                      <DropdownMenuTrigger asChild>
+                        <SidebarMenuAction showOnHover>
+                          <MoreHorizontal />
+                          <span className="sr-only">Playlist actions</span>
+                        </SidebarMenuAction>
+                      </DropdownMenuTrigger>
+                      <DropdownMenuContent side="right" align="start">
+                        <DropdownMenuItem
+                          onSelect={() => setNameDialog({ mode: 'rename', playlistId: playlist.id, name: playlist.name })}
+                        >
+                          <Pencil className="mr-2 h-4 w-4" />
+                          Rename
+                        </DropdownMenuItem>
+                        <DropdownMenuItem onSelect={() => onDuplicatePlaylist?.(playlist.id)}>
+                          <Copy className="mr-2 h-4 w-4" />
+                          Duplicate
+                        </DropdownMenuItem>
+                        <DropdownMenuSub>
+                          <DropdownMenuSubTrigger disabled={!playlist.trackIds.length}>
+                            <Download className="mr-2 h-4 w-4" />
+                            Export as
+                          </DropdownMenuSubTrigger>
+                          <DropdownMenuSubContent>
+                            {PLAYLIST_EXPORT_FORMATS.map(format => (
+                              <DropdownMenuItem
+                                key={format.value}
+                                onSelect={() => onExportPlaylist?.(playlist.id, format.value)}
+                              >
+                                {format.label}
+                              </DropdownMenuItem>
+                            ))}
+                          </DropdownMenuSubContent>
+                        </DropdownMenuSub>
+                        <DropdownMenuSeparator />
+                        <DropdownMenuItem
+                          className="text-red-500 focus:text-red-500"
+                          onSelect={() => setPlaylistToDelete(playlist)}
+                        >
+                          <Trash2 className="mr-2 h-4 w-4" />
+                          Delete
+                        </DropdownMenuItem>
+                      </DropdownMenuContent>
+                    </DropdownMenu>
+                  </SidebarMenuItem>
+                ))}
+              </SidebarMenu>
+            </SidebarGroupContent>
+          </SidebarGroup>
+        </SidebarContent>
+      </Sidebar>
+
+      {/* Create / rename dialog */}
+      <Dialog open={Boolean(nameDialog)} onOpenChange={(open) => !open && setNameDialog(null)}>
+        <DialogContent>
+          <form onSubmit={submitNameDialog}>
+            <DialogHeader>
+              <DialogTitle>
+                {nameDialog?.mode === 'create' ? 'New playlist' : 'Rename playlist'}
+              </DialogTitle>
+            </DialogHeader>
+            <Input
+              autoFocus
+              className="my-4"
+              placeholder="Playlist name"
+              value={nameDialog?.name || ''}
+              onChange={(e) => setNameDialog(prev => ({ ...prev, name: e.target.value }))}
+            />
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setNameDialog(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={!nameDialog?.name.trim()}>
+                {nameDialog?.mode === 'create' ? 'Create' : 'Rename'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      {/* Delete confirmation */}
+      <AlertDialog open={Boolean(playlistToDelete)} onOpenChange={(open) => !open && setPlaylistToDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete &quot;{playlistToDelete?.name}&quot;?</AlertDialogTitle>
+            <AlertDialogDescription>
+              The playlist is removed. Its tracks stay in your library.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={() => onDeletePlaylist?.(playlistToDelete.id)}>
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  );
+};
+
+export default PlaylistSidebar;
@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import { ChevronDown, ArrowUp, ArrowDown, Download, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from './ui/collapsible';
+import { Card, CardContent } from './ui/card';
+import { Button } from './ui/button';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuTrigger
+} from './ui/dropdown-menu';
+import { useAudioContext } from '../hooks/useAudioContext';
+import { formatDuration } from '../utils/audioUtils';
+import { PLAYLIST_EXPORT_FORMATS, exportPlaylist } from '../utils/playlistFiles';
+
+const QueuePanel = ({ className = "" }) => {
+  const { queue, removeFromQueue, moveInQueue, clearQueue } = useAudioContext();
+  const [isOpen, setIsOpen] = useState(true);
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const totalDuration = queue.reduce((sum, track) => sum + (track.duration || 0), 0);
+
+  const handleExport = (format) => {
+    if (!exportPlaylist('Up next', queue, format)) {
+      toast.error('Failed to export the queue');
+    }
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (dragIndex !== null && dragIndex !== index) {
+      moveInQueue(dragIndex, index);
+    }
+    setDragIndex(null);
+  };
+
+  return (
+    <Card className={`bg-white/10 backdrop-blur-md border-white/20 ${className}`}>
+      <Collapsible open={isOpen} onOpenChange={setIsOpen}>
+        <CardContent className="p-4">
+          <div className="flex items-center justify-between">
+            <CollapsibleTrigger asChild>
+              <button className="flex items-center gap-2 text-white font-medium">
+                <ChevronDown className={`h-4 w-4 transition-transform ${isOpen ? '' : '-rotate-90'}`} />
+                Up next
+                <span className="text-white/50 text-sm font-normal">
+                  {queue.length > 0
+                    ? `${queue.length} track${queue.length === 1 ? '' : 's'} · ${formatDuration(totalDuration)}`
+                    : 'empty'}
+                </span>
+              </button>
+            </CollapsibleTrigger>
+
+            {queue.length > 0 && (
+              <div className="flex items-center">
+                <DropdownMenu>
+                  <DropdownMenuTrigger asChild>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-8 w-8 text-white/60 hover:text-white hover:bg-white/10"
+                      title="Export the queue"
+                    >
+                      <Download className="h-4 w-4" />
+                    </Button>
+                  </DropdownMenuTrigger>
+                  <DropdownMenuContent align="end">
+                    <DropdownMenuLabel>Export as</DropdownMenuLabel>
+                    {PLAYLIST_EXPORT_FORMATS.map(format => (
+                      <DropdownMenuItem key={format.value} onSelect={() => handleExport(format.value)}>
+                        {format.label}
+                      </DropdownMenuItem>
+                    ))}
+                  </DropdownMenuContent>
+                </DropdownMenu>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={clearQueue}
+                  className="text-white/60 hover:text-white hover:bg-white/10"
+                >
+                  Clear
+                </Button>
+              </div>
+            )}
+          </div>
+
+          <CollapsibleContent>
+            {queue.length === 0 ? (
+              <p className="text-white/60 text-sm text-center py-4">
+                Use &quot;Play next&quot; or &quot;Add to queue&quot; on a track to line it up here
+              </p>
+            ) : (
+              <div className="max-h-64 overflow-y-auto mt-3">
+                {queue.map((track, index) => (
+                  <div
+                    key={`${track.id}-${index}`}
+                    draggable
+                    onDragStart={() => setDragIndex(index)}
+                    onDragOver={(e) => e.preventDefault()}
+                    onDrop={(e) => handleDrop(e, index)}
+                    onDragEnd={() => setDragIndex(null)}
+                    className={`flex items-center gap-2 p-2 rounded-lg mb-1 bg-white/5 hover:bg-white/10 ${
+                      dragIndex === index ? 'opacity-50' : ''
+                    }`}
+                  >
+                    <span className="w-5 text-right text-white/40 text-xs">{index + 1}</span>
+                    <div className="min-w-0 flex-1">
+                      <p className="text-white text-sm truncate">{track.title}</p>
+                      <p className="text-white/50 text-xs truncate">{track.artist}</p>
+                    </div>
+                    <span className="text-white/40 text-xs">{formatDuration(track.duration)}</span>
+
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-7 w-7 text-white/60 hover:text-white hover:bg-white/10"
+                      disabled={index === 0}
+                      onClick={() => moveInQueue(index, index - 1)}
+                    >
+                      <ArrowUp className="h-4 w-4" />
+                      <span className="sr-only">Move up</span>
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-7 w-7 text-white/60 hover:text-white hover:bg-white/10"
+                      disabled={index === queue.length - 1}
+                      onClick={() => moveInQueue(index, index + 1)}
+                    >
+                      <ArrowDown className="h-4 w-4" />
+                      <span className="sr-only">Move down</span>
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-7 w-7 text-white/60 hover:text-red-400 hover:bg-white/10"
+                      onClick={() => removeFromQueue(index)}
+                    >
+                      <X className="h-4 w-4" />
+                      <span className="sr-only">Remove from queue</span>
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </CollapsibleContent>
+        </CardContent>
+      </Collapsible>
+    </Card>
+  );
+};
+
+export default QueuePanel;
@@ -0,0 +1,99 @@
+import { useState } from 'react';
+import { Button } from './ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import { SHORTCUT_ACTIONS, formatKey, getEventKey } from '../utils/shortcuts';
+
+const ShortcutsDialog = ({ open, onOpenChange, keymap, onBind, onReset }) => {
+  // Action waiting for its new key
+  const [editingId, setEditingId] = useState(null);
+
+  const handleOpenChange = (isOpen) => {
+    setEditingId(null);
+    onOpenChange(isOpen);
+  };
+
+  const captureKey = (e) => {
+    if (!editingId) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.key === 'Backspace' || e.key === 'Delete') {
+      onBind(editingId, null);
+      setEditingId(null);
+      return;
+    }
+
+    const key = getEventKey(e);
+    if (key && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      onBind(editingId, key);
+      setEditingId(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent
+        className="max-w-md"
+        onEscapeKeyDown={(e) => {
+          // Escape cancels the rebinding before it closes the dialog
+          if (editingId) {
+            e.preventDefault();
+            setEditingId(null);
+          }
+        }}
+      >
+        <DialogHeader>
+          <DialogTitle>Keyboard shortcuts</DialogTitle>
+          <DialogDescription>
+            Click a key to change it and press the new one. Backspace removes it.
+          </DialogDescription>
+        </DialogHeader>
+
+        <ul className="max-h-[60vh] overflow-y-auto divide-y">
+          {SHORTCUT_ACTIONS.map(action => {
+            const isEditing = editingId === action.id;
+            return (
+              <li key={action.id} className="flex items-center justify-between py-2 text-sm">
+                <span>{action.label}</span>
+                <button
+                  className={`min-w-16 px-2 py-1 rounded border font-mono text-xs transition-colors ${
+                    isEditing ? 'border-primary bg-primary text-primary-foreground' : 'bg-muted hover:bg-accent'
+                  } ${keymap[action.id] ? '' : 'text-muted-foreground'}`}
+                  onClick={() => setEditingId(isEditing ? null : action.id)}
+                  onKeyDown={isEditing ? captureKey : undefined}
+                  onBlur={() => isEditing && setEditingId(null)}
+                >
+                  {isEditing ? 'Press a key…' : formatKey(keymap[action.id])}
+                </button>
+              </li>
+            );
+          })}
+          <li className="flex items-center justify-between py-2 text-sm">
+            <span>Command palette</span>
+            <span className="min-w-16 px-2 py-1 rounded border bg-muted font-mono text-xs text-center">
+              Ctrl / ⌘ K
+            </span>
+          </li>
+        </ul>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onReset}>
+            Reset to defaults
+          </Button>
+          <Button onClick={() => handleOpenChange(false)}>
+            Done
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ShortcutsDialog;
@@ -0,0 +1,93 @@
+import { motion } from 'framer-motion';
+import { Moon } from 'lucide-react';
+import { toast } from 'sonner';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Button } from './ui/button';
+import { useAudioContext } from '../hooks/useAudioContext';
+import { formatDuration } from '../utils/audioUtils';
+
+// Minutes offered as one-click timers
+const SLEEP_TIMER_PRESETS = [15, 30, 45, 60, 90];
+
+const SleepTimerPopover = ({ open, onOpenChange }) => {
+  const { sleepTimer, sleepTimerRemaining, setSleepTimer, cancelSleepTimer } = useAudioContext();
+
+  const startTimer = (mode, minutes) => {
+    setSleepTimer(mode, minutes);
+    const messages = {
+      minutes: `Sleep timer set for ${minutes} minutes`,
+      track: 'Playback will stop at the end of this track',
+      queue: 'Playback will stop at the end of the queue'
+    };
+    toast.success(messages[mode]);
+  };
+
+  const cancelTimer = () => {
+    cancelSleepTimer();
+    toast('Sleep timer cancelled');
+  };
+
+  return (
+    <Popover open={open} onOpenChange={onOpenChange}>
+      <PopoverTrigger asChild>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          title="Sleep timer"
+          className={`flex items-center gap-1 p-2 rounded-full text-xs tabular-nums transition-colors ${
+            sleepTimer ? 'bg-purple-500 text-white' : 'hover:bg-white/10 text-white/70'
+          }`}
+        >
+          <Moon className="w-4 h-4" />
+          {sleepTimerRemaining !== null && <span>{formatDuration(sleepTimerRemaining)}</span>}
+        </motion.button>
+      </PopoverTrigger>
+      <PopoverContent className="space-y-4">
+        <div className="flex items-center justify-between text-sm">
+          <span className="font-medium">Sleep timer</span>
+          <span className="text-muted-foreground tabular-nums">
+            {sleepTimerRemaining !== null ? `${formatDuration(sleepTimerRemaining)} left` : 'Off'}
+          </span>
+        </div>
+        <div className="grid grid-cols-5 gap-2">
+          {SLEEP_TIMER_PRESETS.map(minutes => (
+            <Button
+              key={minutes}
+              variant={sleepTimer?.minutes === minutes ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => startTimer('minutes', minutes)}
+            >
+              {minutes}m
+            </Button>
+          ))}
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <Button
+            variant={sleepTimer?.mode === 'track' ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => startTimer('track')}
+          >
+            End of track
+          </Button>
+          <Button
+            variant={sleepTimer?.mode === 'queue' ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => startTimer('queue')}
+          >
+            End of queue
+          </Button>
+        </div>
+        {sleepTimer && (
+          <Button variant="ghost" size="sm" className="w-full" onClick={cancelTimer}>
+            Cancel timer
+          </Button>
+        )}
+        <p className="text-xs text-muted-foreground">
+          The volume fades out over the last 30 seconds.
+        </p>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default SleepTimerPopover;
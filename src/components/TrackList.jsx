@@ -0,0 +1,177 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { MoreHorizontal, ListPlus, ListStart, ListEnd, ArrowUp, ArrowDown, Trash2, Plus } from 'lucide-react';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuSub,
+  DropdownMenuSubContent,
+  DropdownMenuSubTrigger,
+  DropdownMenuTrigger
+} from './ui/dropdown-menu';
+import { Button } from './ui/button';
+import { TRACK_DRAG_TYPE } from './PlaylistSidebar';
+import { formatDuration } from '../utils/audioUtils';
+
+const TrackList = ({
+  tracks,
+  currentTrackId,
+  playlists = [],
+  emptyMessage = 'No tracks uploaded yet',
+  removeLabel = 'Remove',
+  onPlay,
+  onRemove,
+  onMove,
+  onPlayNext,
+  onAddToQueue,
+  onAddToPlaylist,
+  onCreatePlaylist
+}) => {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  if (tracks.length === 0) {
+    return (
+      <p className="text-white/60 text-center py-8">
+        {emptyMessage}
+      </p>
+    );
+  }
+
+  const handleDragStart = (e, track, index) => {
+    e.dataTransfer.effectAllowed = onMove ? 'copyMove' : 'copy';
+    e.dataTransfer.setData(TRACK_DRAG_TYPE, JSON.stringify([track.id]));
+    setDragIndex(index);
+  };
+
+  const handleDragOver = (e, index) => {
+    // Only reorder rows dragged from this list
+    if (!onMove || dragIndex === null) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropIndex(index);
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (onMove && dragIndex !== null && dragIndex !== index) {
+      onMove(dragIndex, index);
+    }
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  const handleDragEnd = () => {
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  return tracks.map((track, index) => (
+    <motion.div
+      key={track.id}
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      draggable
+      onDragStart={(e) => handleDragStart(e, track, index)}
+      onDragOver={(e) => handleDragOver(e, index)}
+      onDrop={(e) => handleDrop(e, index)}
+      onDragEnd={handleDragEnd}
+      className={`p-3 rounded-lg mb-2 cursor-pointer transition-all ${
+        currentTrackId === track.id
+          ? 'bg-white/20 border border-white/30'
+          : 'bg-white/5 hover:bg-white/10'
+      } ${dropIndex === index && dragIndex !== index ? 'ring-2 ring-white/40' : ''}`}
+      onClick={() => onPlay?.(track, index)}
+    >
+      <div className="flex items-center justify-between gap-2">
+        <div className="min-w-0">
+          <p className="text-white text-sm truncate">{track.title}</p>
+          <p className="text-white/50 text-xs truncate">
+            {track.artist} · {formatDuration(track.duration)}
+          </p>
+        </div>
+
+        <div className="flex items-center" onClick={(e) => e.stopPropagation()}>
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="ghost" size="sm" className="text-white/60 hover:text-white">
+                <MoreHorizontal className="h-4 w-4" />
+                <span className="sr-only">Track actions</span>
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              {onPlayNext && (
+                <DropdownMenuItem onSelect={() => onPlayNext(track)}>
+                  <ListStart className="mr-2 h-4 w-4" />
+                  Play next
+                </DropdownMenuItem>
+              )}
+              {onAddToQueue && (
+                <DropdownMenuItem onSelect={() => onAddToQueue(track)}>
+                  <ListEnd className="mr-2 h-4 w-4" />
+                  Add to queue
+                </DropdownMenuItem>
+              )}
+              {(onPlayNext || onAddToQueue) && onAddToPlaylist && <DropdownMenuSeparator />}
+
+              {onAddToPlaylist && (
+                <DropdownMenuSub>
+                  <DropdownMenuSubTrigger>
+                    <ListPlus className="mr-2 h-4 w-4" />
+                    Add to playlist
+                  </DropdownMenuSubTrigger>
+                  <DropdownMenuSubContent>
+                    {playlists.map((playlist) => (
+                      <DropdownMenuItem
+                        key={playlist.id}
+                        disabled={playlist.trackIds.includes(track.id)}
+                        onSelect={() => onAddToPlaylist(playlist.id, [track.id])}
+                      >
+                        {playlist.name}
+                      </DropdownMenuItem>
+                    ))}
+                    {playlists.length > 0 && <DropdownMenuSeparator />}
+                    <DropdownMenuItem onSelect={() => onCreatePlaylist?.([track.id])}>
+                      <Plus className="mr-2 h-4 w-4" />
+                      New playlist
+                    </DropdownMenuItem>
+                  </DropdownMenuSubContent>
+                </DropdownMenuSub>
+              )}
+
+              {onMove && (
+                <>
+                  <DropdownMenuItem disabled={index === 0} onSelect={() => onMove(index, index - 1)}>
+                    <ArrowUp className="mr-2 h-4 w-4" />
+                    Move up
+                  </DropdownMenuItem>
+                  <DropdownMenuItem disabled={index === tracks.length - 1} onSelect={() => onMove(index, index + 1)}>
+                    <ArrowDown className="mr-2 h-4 w-4" />
+                    Move down
+                  </DropdownMenuItem>
+                </>
+              )}
+
+              {onRemove && (
+                <>
+                  <DropdownMenuSeparator />
+                  <DropdownMenuItem
+                    className="text-red-500 focus:text-red-500"
+                    onSelect={() => onRemove(track, index)}
+                  >
+                    <Trash2 className="mr-2 h-4 w-4" />
+                    {removeLabel}
+                  </DropdownMenuItem>
+                </>
+              )}
+            </DropdownMenuContent>
+          </DropdownMenu>
+        </div>
+      </div>
+    </motion.div>
+  ));
+};
+
+export default TrackList;
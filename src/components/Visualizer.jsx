@@ -1,43 +1,21 @@
-import React, { useRef, useEffect, useState, useCallback } from 'react';
+import { useRef, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
+import { useAudioContext } from '../hooks/useAudioContext';
+import { VISUALIZER_TYPES } from '../utils/audioUtils';
 
-const Visualizer = ({ audioElement, isPlaying, className = '' }) => {
+const Visualizer = ({ visualizerType = 'bars', onVisualizerTypeChange, className = '' }) => {
+  const { analyser, isPlaying } = useAudioContext();
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
-  const audioContextRef = useRef(null);
   const analyserRef = useRef(null);
-  const sourceRef = useRef(null);
   const dataArrayRef = useRef(null);
-  const [isInitialized, setIsInitialized] = useState(false);
-  const [visualizerType, setVisualizerType] = useState('bars');
+  const isInitialized = Boolean(analyser);
 
-  const initializeAudioContext = useCallback(async () => {
-    if (!audioElement || isInitialized) return;
-
-    try {
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      const analyser = audioContext.createAnalyser();
-      
-      analyser.fftSize = 256;
-      analyser.smoothingTimeConstant = 0.8;
-      
-      const source = audioContext.createMediaElementSource(audioElement);
-      source.connect(analyser);
-      analyser.connect(audioContext.destination);
-      
-      const bufferLength = analyser.frequencyBinCount;
-      const dataArray = new Uint8Array(bufferLength);
-      
-      audioContextRef.current = audioContext;
-      analyserRef.current = analyser;
-      sourceRef.current = source;
-      dataArrayRef.current = dataArray;
-      
-      setIsInitialized(true);
-    } catch (error) {
-      console.error('Error initializing audio context:', error);
-    }
-  }, [audioElement, isInitialized]);
+  // The analyser belongs to the shared engine; only the buffer is ours
+  useEffect(() => {
+    analyserRef.current = analyser;
+    dataArrayRef.current = analyser ? new Uint8Array(analyser.frequencyBinCount) : null;
+  }, [analyser]);
 
   const drawBarsVisualizer = useCallback((canvas, ctx, dataArray, bufferLength) => {
     const width = canvas.width;
@@ -163,17 +141,8 @@ const Visualizer = ({ audioElement, isPlaying, className = '' }) => {
     canvas.height = container.clientHeight;
   }, []);
 
-  useEffect(() => {
-    if (audioElement && !isInitialized) {
-      initializeAudioContext();
-    }
-  }, [audioElement, initializeAudioContext, isInitialized]);
-
   useEffect(() => {
     if (isPlaying && isInitialized) {
-      if (audioContextRef.current?.state === 'suspended') {
-        audioContextRef.current.resume();
-      }
       animate();
     } else {
       if (animationRef.current) {
@@ -197,17 +166,6 @@ const Visualizer = ({ audioElement, isPlaying, className = '' }) => {
     };
   }, [resizeCanvas]);
 
-  useEffect(() => {
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
-      if (audioContextRef.current) {
-        audioContextRef.current.close();
-      }
-    };
-  }, []);
-
   return (
     <motion.div
       className={`relative w-full h-full overflow-hidden rounded-xl backdrop-blur-md bg-white/5 border border-white/10 ${className}`}
@@ -218,14 +176,14 @@ const Visualizer = ({ audioElement, isPlaying, className = '' }) => {
       <div className="absolute top-4 right-4 z-10">
         <motion.select
           value={visualizerType}
-          onChange={(e) => setVisualizerType(e.target.value)}
+          onChange={(e) => onVisualizerTypeChange(e.target.value)}
           className="bg-black/20 backdrop-blur-sm border border-white/20 rounded-lg px-3 py-1 text-white text-sm focus:outline-none focus:ring-2 focus:ring-purple-500/50"
           whileHover={{ scale: 1.05 }}
           whileTap={{ scale: 0.95 }}
         >
-          <option value="bars" className="bg-gray-900">Bars</option>
-          <option value="wave" className="bg-gray-900">Wave</option>
-          <option value="circular" className="bg-gray-900">Circular</option>
+          {VISUALIZER_TYPES.map(type => (
+            <option key={type.value} value={type.value} className="bg-gray-900">{type.label}</option>
+          ))}
         </motion.select>
       </div>
       
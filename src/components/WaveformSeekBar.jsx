@@ -0,0 +1,202 @@
+import { useState, useRef, useEffect, useMemo } from 'react';
+import { formatDuration } from '../utils/audioUtils';
+import { resampleWaveform } from '../utils/waveform';
+
+// Width of one bar and the gap after it, in CSS pixels
+const BAR_WIDTH = 2;
+const BAR_GAP = 1;
+
+// Peak drawn while a track has no waveform yet, and the smallest visible bar
+const FLAT_PEAK = 0.08;
+const MIN_PEAK = 0.02;
+
+// Seconds the arrow keys move the position
+const SEEK_STEP = 5;
+
+const COLORS = {
+  playedFrom: 'rgb(168, 85, 247)',
+  playedTo: 'rgb(59, 130, 246)',
+  hovered: 'rgba(255, 255, 255, 0.5)',
+  unplayed: 'rgba(255, 255, 255, 0.25)'
+};
+
+const WaveformSeekBar = ({
+  peaks,
+  currentTime,
+  duration,
+  loopStart = null,
+  loopRange = null,
+  bookmarks = [],
+  onSeek,
+  className = ""
+}) => {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [width, setWidth] = useState(0);
+  const [hoverX, setHoverX] = useState(null);
+  const [scrubTime, setScrubTime] = useState(null);
+
+  // Redraw at the size the bar is laid out at
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const bars = useMemo(() => {
+    const count = Math.floor(width / (BAR_WIDTH + BAR_GAP));
+    return peaks?.length
+      ? resampleWaveform(peaks, count)
+      : Array.from({ length: count }, () => ({ min: -FLAT_PEAK, max: FLAT_PEAK }));
+  }, [peaks, width]);
+
+  const position = scrubTime ?? currentTime;
+  const progress = duration > 0 ? Math.min(1, position / duration) : 0;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !width) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const height = canvas.clientHeight;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const played = ctx.createLinearGradient(0, 0, width, 0);
+    played.addColorStop(0, COLORS.playedFrom);
+    played.addColorStop(1, COLORS.playedTo);
+
+    const progressX = progress * width;
+    const middle = height / 2;
+
+    bars.forEach(({ min, max }, index) => {
+      const x = index * (BAR_WIDTH + BAR_GAP);
+      const top = middle - Math.max(max, MIN_PEAK) * middle;
+      const bottom = middle - Math.min(min, -MIN_PEAK) * middle;
+
+      if (x < progressX) {
+        ctx.fillStyle = played;
+      } else if (hoverX !== null && x < hoverX) {
+        ctx.fillStyle = COLORS.hovered;
+      } else {
+        ctx.fillStyle = COLORS.unplayed;
+      }
+      ctx.fillRect(x, top, BAR_WIDTH, bottom - top);
+    });
+  }, [bars, width, progress, hoverX]);
+
+  const getOffset = (clientX) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return Math.max(0, Math.min(rect.width, clientX - rect.left));
+  };
+
+  const getTimeAt = (clientX) => {
+    return width > 0 ? (getOffset(clientX) / width) * duration : 0;
+  };
+
+  const handlePointerDown = (e) => {
+    if (!duration) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setScrubTime(getTimeAt(e.clientX));
+  };
+
+  const handlePointerMove = (e) => {
+    setHoverX(getOffset(e.clientX));
+    if (scrubTime !== null) {
+      setScrubTime(getTimeAt(e.clientX));
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    if (scrubTime === null) return;
+    onSeek(getTimeAt(e.clientX));
+    setScrubTime(null);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!duration) return;
+
+    const targets = {
+      ArrowLeft: currentTime - SEEK_STEP,
+      ArrowRight: currentTime + SEEK_STEP,
+      Home: 0,
+      End: duration
+    };
+    if (e.key in targets) {
+      e.preventDefault();
+      onSeek(Math.max(0, Math.min(duration, targets[e.key])));
+    }
+  };
+
+  // Position of a time along the bar, as a CSS percentage
+  const toPercent = (time) => `${duration > 0 ? Math.min(100, (time / duration) * 100) : 0}%`;
+
+  const tooltipX = scrubTime !== null && duration > 0 ? (scrubTime / duration) * width : hoverX;
+  const tooltipTime = scrubTime ?? (hoverX !== null && width > 0 ? (hoverX / width) * duration : 0);
+
+  return (
+    <div
+      ref={containerRef}
+      role="slider"
+      tabIndex={0}
+      aria-label="Seek"
+      aria-valuemin={0}
+      aria-valuemax={Math.floor(duration || 0)}
+      aria-valuenow={Math.floor(position || 0)}
+      aria-valuetext={`${formatDuration(position)} of ${formatDuration(duration)}`}
+      className={`relative h-12 cursor-pointer touch-none select-none rounded focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-white/50 ${className}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={() => setScrubTime(null)}
+      onPointerLeave={() => setHoverX(null)}
+      onKeyDown={handleKeyDown}
+    >
+      <canvas ref={canvasRef} className="w-full h-full" />
+
+      {loopRange && (
+        <div
+          className="absolute inset-y-0 bg-purple-400/20 border-x-2 border-purple-300 pointer-events-none"
+          style={{ left: toPercent(loopRange.start), width: `calc(${toPercent(loopRange.end)} - ${toPercent(loopRange.start)})` }}
+        />
+      )}
+      {loopStart !== null && (
+        <div
+          className="absolute inset-y-0 w-0.5 bg-purple-300 pointer-events-none"
+          style={{ left: toPercent(loopStart) }}
+        />
+      )}
+
+      {bookmarks.map(bookmark => (
+        <button
+          key={bookmark.id}
+          title={`${bookmark.name} (${formatDuration(bookmark.time)})`}
+          className="absolute -top-1 w-2.5 h-2.5 -translate-x-1/2 rotate-45 rounded-sm bg-amber-400 hover:bg-amber-300"
+          style={{ left: toPercent(bookmark.time) }}
+          onPointerDown={(e) => e.stopPropagation()}
+          onClick={() => onSeek(bookmark.time)}
+        >
+          <span className="sr-only">Go to {bookmark.name}</span>
+        </button>
+      ))}
+
+      {tooltipX !== null && duration > 0 && (
+        <div
+          className="absolute -top-7 -translate-x-1/2 px-1.5 py-0.5 rounded bg-black/80 text-white text-xs tabular-nums pointer-events-none"
+          style={{ left: tooltipX }}
+        >
+          {formatDuration(tooltipTime)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WaveformSeekBar;
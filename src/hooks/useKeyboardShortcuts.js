@@ -0,0 +1,72 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  DEFAULT_KEYMAP,
+  findActionForKey,
+  getEventKey,
+  getKeymap,
+  isFocusedTarget,
+  saveKeymap
+} from '../utils/shortcuts';
+
+/**
+ * Runs actions from global key presses according to the stored keymap
+ * @param {Object} handlers - Handler by action id
+ * @param {Object} options - `enabled: false` ignores key presses, e.g. while the keymap is edited
+ * @returns {Object} - The keymap and functions to change it
+ */
+export const useKeyboardShortcuts = (handlers, { enabled = true } = {}) => {
+  const [keymap, setKeymap] = useState(() => getKeymap());
+
+  // Handlers change every render; the listener reads the latest ones
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    saveKeymap(keymap);
+  }, [keymap]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (e) => {
+      // Modified keys are left to the browser
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isFocusedTarget(e)) return;
+
+      const key = getEventKey(e);
+      const actionId = key && findActionForKey(keymap, key);
+      const handler = actionId && handlersRef.current[actionId];
+      if (handler) {
+        e.preventDefault();
+        handler();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [keymap, enabled]);
+
+  // Binding a key takes it away from the action that had it
+  const setBinding = useCallback((actionId, key) => {
+    setKeymap(prev => {
+      const next = { ...prev };
+      const previousAction = key && findActionForKey(prev, key);
+      if (previousAction && previousAction !== actionId) {
+        next[previousAction] = null;
+      }
+      next[actionId] = key;
+      return next;
+    });
+  }, []);
+
+  const resetKeymap = useCallback(() => {
+    setKeymap({ ...DEFAULT_KEYMAP });
+  }, []);
+
+  return {
+    keymap,
+    setBinding,
+    resetKeymap
+  };
+};
+
+export default useKeyboardShortcuts;
@@ -0,0 +1,123 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  processAudioFiles,
+  getTracks,
+  updateTrack as updateStoredTrack,
+  deleteTrack,
+  clearAllTracks,
+  migrateLegacyTracks,
+  analyzeTrack,
+  needsAnalysis
+} from '../utils/audioUtils';
+
+export const useLibrary = () => {
+  const [tracks, setTracks] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Load the library from IndexedDB, migrating any old localStorage data first
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadLibrary = async () => {
+      try {
+        await migrateLegacyTracks();
+        const storedTracks = await getTracks();
+        if (!cancelled) {
+          setTracks(storedTracks);
+        }
+        return storedTracks;
+      } catch (err) {
+        console.error('Error loading library:', err);
+        if (!cancelled) {
+          setError(err.message);
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    // Analyze tracks imported before loudness and waveform analysis, one at a time
+    const analyzeLibrary = async (storedTracks = []) => {
+      const pending = storedTracks.filter(needsAnalysis);
+
+      for (const track of pending) {
+        if (cancelled) return;
+
+        const updates = await analyzeTrack(track);
+        if (updates && !cancelled) {
+          setTracks(prev => prev.map(item => (
+            item.id === track.id ? { ...item, ...updates } : item
+          )));
+        }
+      }
+    };
+
+    loadLibrary().then(analyzeLibrary);
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Process, store and append new files
+  const addFiles = useCallback(async (files) => {
+    const addedTracks = await processAudioFiles(files);
+    setTracks(prev => [...prev, ...addedTracks]);
+    return addedTracks;
+  }, []);
+
+  // Append tracks that were already stored (e.g. by FileUpload)
+  const addTracks = useCallback((addedTracks) => {
+    setTracks(prev => [...prev, ...addedTracks]);
+  }, []);
+
+  const updateTrack = useCallback(async (trackId, updates) => {
+    const success = await updateStoredTrack(trackId, updates);
+    if (success) {
+      setTracks(prev => prev.map(track => (
+        track.id === trackId ? { ...track, ...updates } : track
+      )));
+    }
+    return success;
+  }, []);
+
+  const removeTrack = useCallback(async (trackId) => {
+    const success = await deleteTrack(trackId);
+    if (success) {
+      setTracks(prev => prev.filter(track => track.id !== trackId));
+    }
+    return success;
+  }, []);
+
+  // Re-read the library after it was changed in the database directly (e.g. by a restore)
+  const reloadLibrary = useCallback(async () => {
+    const storedTracks = await getTracks();
+    setTracks(storedTracks);
+    return storedTracks;
+  }, []);
+
+  const clearLibrary = useCallback(async () => {
+    const success = await clearAllTracks();
+    if (success) {
+      setTracks([]);
+    }
+    return success;
+  }, []);
+
+  return {
+    tracks,
+    isLoading,
+    error,
+    addFiles,
+    addTracks,
+    updateTrack,
+    removeTrack,
+    reloadLibrary,
+    clearLibrary
+  };
+};
+
+export default useLibrary;
@@ -0,0 +1,98 @@
+import { useEffect, useRef } from 'react';
+import { useAudioContext } from './useAudioContext';
+
+// Seconds skipped by seek backward/forward when the OS doesn't say
+const DEFAULT_SEEK_OFFSET = 10;
+
+const isSupported = () => typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+
+/**
+ * Mirrors the player into the Media Session API so hardware media keys,
+ * lock screens and OS media overlays show and control the current track
+ */
+export const useMediaSession = () => {
+  const {
+    currentTrack,
+    isPlaying,
+    currentTime,
+    duration,
+    playbackRate,
+    play,
+    pause,
+    previous,
+    next,
+    seek
+  } = useAudioContext();
+
+  // Seek handlers are registered once per action set and read the position here
+  const positionRef = useRef(0);
+  positionRef.current = currentTime;
+
+  useEffect(() => {
+    if (!isSupported()) return;
+
+    navigator.mediaSession.metadata = currentTrack
+      ? new MediaMetadata({
+          title: currentTrack.title,
+          artist: currentTrack.artist,
+          album: currentTrack.album,
+          artwork: currentTrack.artwork
+            ? [{ src: currentTrack.artwork, type: currentTrack.picture?.type || undefined }]
+            : []
+        })
+      : null;
+  }, [currentTrack]);
+
+  useEffect(() => {
+    if (!isSupported()) return;
+    navigator.mediaSession.playbackState = currentTrack ? (isPlaying ? 'playing' : 'paused') : 'none';
+  }, [currentTrack, isPlaying]);
+
+  // currentTime follows the element's timeupdate events (or the gapless player's position)
+  useEffect(() => {
+    if (!isSupported() || !navigator.mediaSession.setPositionState) return;
+
+    try {
+      if (currentTrack && Number.isFinite(duration) && duration > 0) {
+        navigator.mediaSession.setPositionState({
+          duration,
+          playbackRate,
+          position: Math.min(Math.max(0, currentTime), duration)
+        });
+      } else {
+        navigator.mediaSession.setPositionState();
+      }
+    } catch (error) {
+      console.error('Error updating media session position:', error);
+    }
+  }, [currentTrack, currentTime, duration, playbackRate]);
+
+  useEffect(() => {
+    if (!isSupported()) return;
+
+    const handlers = {
+      play: () => play(),
+      pause: () => pause(),
+      previoustrack: () => previous(),
+      nexttrack: () => next(),
+      seekbackward: (details) => seek(positionRef.current - (details.seekOffset || DEFAULT_SEEK_OFFSET)),
+      seekforward: (details) => seek(positionRef.current + (details.seekOffset || DEFAULT_SEEK_OFFSET)),
+      seekto: (details) => seek(details.seekTime)
+    };
+
+    const setHandlers = (getHandler) => {
+      Object.keys(handlers).forEach((action) => {
+        try {
+          navigator.mediaSession.setActionHandler(action, getHandler(action));
+        } catch {
+          // The browser doesn't support this action
+        }
+      });
+    };
+
+    setHandlers(action => handlers[action]);
+    return () => setHandlers(() => null);
+  }, [play, pause, previous, next, seek]);
+};
+
+export default useMediaSession;
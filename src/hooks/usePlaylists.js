@@ -0,0 +1,117 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getPlaylists, savePlaylists, generatePlaylistId } from '../utils/audioUtils';
+import { moveItem } from '../lib/utils';
+
+// View id of the whole library, next to the playlist ids
+export const LIBRARY_VIEW = 'library';
+
+export const usePlaylists = () => {
+  const [playlists, setPlaylists] = useState(() => getPlaylists());
+
+  useEffect(() => {
+    savePlaylists(playlists);
+  }, [playlists]);
+
+  // Applies an update to one playlist and bumps its modification time
+  const updatePlaylist = useCallback((playlistId, update) => {
+    setPlaylists(prev => prev.map(playlist => (
+      playlist.id === playlistId
+        ? { ...playlist, ...update(playlist), updatedAt: new Date().toISOString() }
+        : playlist
+    )));
+  }, []);
+
+  const createPlaylist = useCallback((name, trackIds = []) => {
+    const now = new Date().toISOString();
+    const playlist = {
+      id: generatePlaylistId(),
+      name: name.trim() || 'New playlist',
+      trackIds: [...new Set(trackIds)],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    setPlaylists(prev => [...prev, playlist]);
+    return playlist;
+  }, []);
+
+  const renamePlaylist = useCallback((playlistId, name) => {
+    if (!name.trim()) return;
+    updatePlaylist(playlistId, () => ({ name: name.trim() }));
+  }, [updatePlaylist]);
+
+  const duplicatePlaylist = useCallback((playlistId) => {
+    const source = playlists.find(playlist => playlist.id === playlistId);
+    if (!source) return null;
+
+    const now = new Date().toISOString();
+    const copy = {
+      ...source,
+      id: generatePlaylistId(),
+      name: `${source.name} (copy)`,
+      trackIds: [...source.trackIds],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    setPlaylists(prev => {
+      const index = prev.findIndex(playlist => playlist.id === playlistId);
+      const updated = [...prev];
+      updated.splice(index + 1, 0, copy);
+      return updated;
+    });
+    return copy;
+  }, [playlists]);
+
+  const deletePlaylist = useCallback((playlistId) => {
+    setPlaylists(prev => prev.filter(playlist => playlist.id !== playlistId));
+  }, []);
+
+  // A track appears at most once per playlist
+  const addTracksToPlaylist = useCallback((playlistId, trackIds) => {
+    updatePlaylist(playlistId, playlist => ({
+      trackIds: [...new Set([...playlist.trackIds, ...trackIds])]
+    }));
+  }, [updatePlaylist]);
+
+  const removeTrackFromPlaylist = useCallback((playlistId, trackId) => {
+    updatePlaylist(playlistId, playlist => ({
+      trackIds: playlist.trackIds.filter(id => id !== trackId)
+    }));
+  }, [updatePlaylist]);
+
+  const moveTrackInPlaylist = useCallback((playlistId, fromIndex, toIndex) => {
+    updatePlaylist(playlistId, playlist => ({
+      trackIds: moveItem(playlist.trackIds, fromIndex, toIndex)
+    }));
+  }, [updatePlaylist]);
+
+  // Called when a track leaves the library
+  const removeTrackFromAllPlaylists = useCallback((trackId) => {
+    setPlaylists(prev => prev.map(playlist => (
+      playlist.trackIds.includes(trackId)
+        ? { ...playlist, trackIds: playlist.trackIds.filter(id => id !== trackId) }
+        : playlist
+    )));
+  }, []);
+
+  // Swaps in a whole new set of playlists, e.g. from a restored backup
+  const replacePlaylists = useCallback((nextPlaylists) => {
+    setPlaylists(nextPlaylists);
+  }, []);
+
+  return {
+    playlists,
+    createPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    deletePlaylist,
+    addTracksToPlaylist,
+    removeTrackFromPlaylist,
+    moveTrackInPlaylist,
+    removeTrackFromAllPlaylists,
+    replacePlaylists
+  };
+};
+
+export default usePlaylists;
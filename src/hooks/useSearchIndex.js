@@ -0,0 +1,46 @@
+import { useState, useEffect, useRef } from 'react';
+import { createSearchIndex } from '../utils/searchIndex';
+
+/**
+ * Keeps a search index in step with the library. Only tracks that were
+ * added, changed or removed since the last render are re-indexed.
+ * @param {Array} tracks - Library tracks
+ * @returns {Function} - Searches the library
+ */
+export const useSearchIndex = (tracks) => {
+  const [index] = useState(() => createSearchIndex());
+  // A new function after every change, so memoized results recompute
+  const [search, setSearch] = useState(() => index.search);
+
+  // Track record last indexed for each id
+  const indexedRef = useRef(new Map());
+
+  useEffect(() => {
+    const indexed = indexedRef.current;
+    const trackIds = new Set();
+    let changed = false;
+
+    tracks.forEach(track => {
+      trackIds.add(track.id);
+      if (indexed.get(track.id) !== track) {
+        index.add(track);
+        indexed.set(track.id, track);
+        changed = true;
+      }
+    });
+
+    indexed.forEach((_, trackId) => {
+      if (!trackIds.has(trackId)) {
+        index.remove(trackId);
+        indexed.delete(trackId);
+        changed = true;
+      }
+    });
+
+    if (changed) setSearch(() => (query) => index.search(query));
+  }, [tracks, index]);
+
+  return search;
+};
+
+export default useSearchIndex;
@@ -3,4 +3,24 @@ import { twMerge } from "tailwind-merge"
 
 export function cn(...inputs) {
   return twMerge(clsx(inputs))
-} 
\ No newline at end of file
+}
+
+// Returns a copy of items with one item moved to a new index
+export function moveItem(items, fromIndex, toIndex) {
+  if (fromIndex === toIndex || fromIndex < 0 || fromIndex >= items.length) return items
+
+  const updated = [...items]
+  const [item] = updated.splice(fromIndex, 1)
+  updated.splice(Math.max(0, Math.min(toIndex, updated.length)), 0, item)
+  return updated
+}
+
+// Returns a shuffled copy of items (Fisher–Yates)
+export function shuffle(items) {
+  const shuffled = [...items]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    ;[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+  }
+  return shuffled
+}
@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
 import { ThemeProvider } from 'next-themes'
 import App from './App.jsx'
+import PlayerEngineProvider from './components/PlayerEngine.jsx'
 import './index.css'
 
 // Error boundary component for production-ready error handling
@@ -120,7 +121,9 @@ const initializeApp = () => {
             disableTransitionOnChange={false}
             storageKey="music-player-theme"
           >
-            <App />
+            <PlayerEngineProvider>
+              <App />
+            </PlayerEngineProvider>
           </ThemeProvider>
         </BrowserRouter>
       </ErrorBoundary>
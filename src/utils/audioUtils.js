@@ -1,18 +1,59 @@
 /**
  * Audio processing and storage utilities for the MP3 player
- * Handles file processing, metadata extraction, local storage operations,
+ * Handles file processing, metadata extraction, library storage operations,
  * and audio analysis for visualizations
  */
 
+import {
+  addTrackRecord,
+  getAllTrackRecords,
+  updateTrackRecord,
+  deleteTrackRecord,
+  clearLibraryDB,
+  getArtworkUrl,
+  getTrackBlob
+} from './libraryDB';
+import { readAudioTags } from './tagReader';
+import { analyzeLoudness, needsLoudnessAnalysis } from './loudness';
+import { computeWaveform } from './waveform';
+import { decodeTrack } from './gapless';
+import { createEqualizerFilters } from './equalizer';
+
 // Storage keys for localStorage
 const STORAGE_KEYS = {
   TRACKS: 'mp3_player_tracks',
   SETTINGS: 'mp3_player_settings',
   PLAYLISTS: 'mp3_player_playlists',
+  QUEUE: 'mp3_player_queue',
   CURRENT_TRACK: 'mp3_player_current_track',
-  PLAYBACK_STATE: 'mp3_player_playback_state'
+  PLAYBACK_STATE: 'mp3_player_playback_state',
+  PLAYBACK_RATES: 'mp3_player_playback_rates'
 };
 
+// Playback speed range; the media element keeps the pitch within it
+export const MIN_PLAYBACK_RATE = 0.5;
+export const MAX_PLAYBACK_RATE = 3;
+
+// Styles the visualizer can draw in
+export const VISUALIZER_TYPES = [
+  { value: 'bars', label: 'Bars' },
+  { value: 'wave', label: 'Wave' },
+  { value: 'circular', label: 'Circular' }
+];
+
+// localStorage keys that held base64 track libraries before IndexedDB
+const LEGACY_TRACK_KEYS = [STORAGE_KEYS.TRACKS, 'mp3-player-tracks'];
+
+// Sample rate tracks are decoded at for analysis
+const ANALYSIS_SAMPLE_RATE = 48000;
+
+// Longer tracks are not analyzed: decoding them whole would take gigabytes
+// (20 minutes of stereo at 48 kHz is already about 460 MB)
+const MAX_ANALYSIS_DURATION = 20 * 60;
+
+// How long a download's object URL stays valid
+const DOWNLOAD_URL_LIFETIME = 60 * 1000;
+
 // Supported audio formats
 const SUPPORTED_FORMATS = [
   'audio/mpeg',
@@ -20,7 +61,12 @@ const SUPPORTED_FORMATS = [
   'audio/wav',
   'audio/ogg',
   'audio/aac',
-  'audio/m4a'
+  'audio/m4a',
+  'audio/x-m4a',
+  'audio/mp4',
+  'audio/flac',
+  'audio/x-flac',
+  'audio/opus'
 ];
 
 /**
@@ -32,50 +78,30 @@ export const isValidAudioFile = (file) => {
   if (!file) return false;
   
   const isValidType = SUPPORTED_FORMATS.includes(file.type) || 
-                     file.name.match(/\.(mp3|wav|ogg|aac|m4a)$/i);
+                     file.name.match(/\.(mp3|wav|ogg|oga|opus|aac|m4a|mp4|flac)$/i);
   const isValidSize = file.size > 0 && file.size <= 100 * 1024 * 1024; // 100MB limit
   
   return isValidType && isValidSize;
 };
 
 /**
- * Extracts metadata from an audio file
+ * Reads the duration of an audio file through a media element
  * @param {File} file - The audio file
- * @returns {Promise<Object>} - Metadata object
+ * @returns {Promise<number>} - Duration in seconds, 0 if it cannot be read
  */
-export const extractMetadata = async (file) => {
+const readDuration = (file) => {
   return new Promise((resolve) => {
     const audio = new Audio();
     const url = URL.createObjectURL(file);
     
     audio.addEventListener('loadedmetadata', () => {
-      const metadata = {
-        title: file.name.replace(/\.[^/.]+$/, ''),
-        artist: 'Unknown Artist',
-        album: 'Unknown Album',
-        duration: audio.duration,
-        size: file.size,
-        type: file.type,
-        lastModified: file.lastModified,
-        url: url
-      };
-      
       URL.revokeObjectURL(url);
-      resolve(metadata);
+      resolve(Number.isFinite(audio.duration) ? audio.duration : 0);
     });
     
     audio.addEventListener('error', () => {
       URL.revokeObjectURL(url);
-      resolve({
-        title: file.name.replace(/\.[^/.]+$/, ''),
-        artist: 'Unknown Artist',
-        album: 'Unknown Album',
-        duration: 0,
-        size: file.size,
-        type: file.type,
-        lastModified: file.lastModified,
-        url: null
-      });
+      resolve(0);
     });
     
     audio.src = url;
@@ -83,54 +109,116 @@ export const extractMetadata = async (file) => {
 };
 
 /**
- * Converts a file to base64 for storage
- * @param {File} file - The file to convert
- * @returns {Promise<string>} - Base64 string
+ * Reads embedded tags from an audio file
+ * @param {File} file - The audio file
+ * @returns {Promise<Object|null>} - Parsed tags or null
  */
-export const fileToBase64 = (file) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = (error) => reject(error);
-    
-    reader.readAsDataURL(file);
-  });
+const readTags = async (file) => {
+  try {
+    return await readAudioTags(file);
+  } catch (error) {
+    console.warn(`Could not read tags from ${file.name}:`, error);
+    return null;
+  }
 };
 
 /**
- * Creates a blob URL from base64 data
- * @param {string} base64Data - Base64 encoded data
- * @returns {string} - Blob URL
+ * Extracts metadata from an audio file
+ * Embedded tags win over the filename-based defaults; the embedded cover,
+ * if any, is returned as a Blob in `picture`.
+ * @param {File} file - The audio file
+ * @returns {Promise<Object>} - Metadata object
  */
-export const base64ToBlob = (base64Data) => {
+export const extractMetadata = async (file) => {
+  const [duration, tags] = await Promise.all([readDuration(file), readTags(file)]);
+  const { picture, ...textTags } = tags || {};
+  
+  return {
+    title: file.name.replace(/\.[^/.]+$/, ''),
+    artist: 'Unknown Artist',
+    album: 'Unknown Album',
+    ...textTags,
+    picture: picture ? new Blob([picture.data], { type: picture.mimeType }) : null,
+    duration,
+    size: file.size,
+    type: file.type,
+    lastModified: file.lastModified
+  };
+};
+
+/**
+ * Whether a track is missing its loudness measurement (unless ReplayGain
+ * tags provide one) or its waveform overview
+ * @param {Object} track - Track record or extracted metadata
+ * @returns {boolean}
+ */
+export const needsAnalysis = (track) => {
+  return needsLoudnessAnalysis(track) || track.waveform === undefined;
+};
+
+/**
+ * Decodes a track once and runs the analyses it still needs.
+ * A failed or skipped analysis is stored as null so it is not retried on
+ * every load.
+ * @param {Blob} blob - Audio data
+ * @param {Object} track - Track record or extracted metadata
+ * @returns {Promise<Object>} - Fields to store: `loudness`, `truePeak` and `waveform`
+ */
+const analyzeAudio = async (blob, track) => {
+  const measureLoudness = needsLoudnessAnalysis(track);
+  const drawWaveform = track.waveform === undefined;
+  if (!measureLoudness && !drawWaveform) return {};
+
+  const notAnalyzed = {
+    ...(measureLoudness ? { loudness: null, truePeak: null } : {}),
+    ...(drawWaveform ? { waveform: null } : {})
+  };
+  if (track.duration > MAX_ANALYSIS_DURATION) {
+    console.warn(`Skipping analysis of a ${Math.round(track.duration / 60)} minute track`);
+    return notAnalyzed;
+  }
+
   try {
-    const byteCharacters = atob(base64Data.split(',')[1]);
-    const byteNumbers = new Array(byteCharacters.length);
-    
-    for (let i = 0; i < byteCharacters.length; i++) {
-      byteNumbers[i] = byteCharacters.charCodeAt(i);
-    }
-    
-    const byteArray = new Uint8Array(byteNumbers);
-    const blob = new Blob([byteArray], { type: 'audio/mpeg' });
-    
-    return URL.createObjectURL(blob);
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const buffer = await decodeTrack(new OfflineContext(1, 1, ANALYSIS_SAMPLE_RATE), blob);
+
+    return {
+      ...(measureLoudness ? await analyzeLoudness(buffer) : {}),
+      ...(drawWaveform ? { waveform: computeWaveform(buffer) } : {})
+    };
   } catch (error) {
-    console.error('Error converting base64 to blob:', error);
-    return null;
+    console.error('Error analyzing audio:', error);
+    return notAnalyzed;
   }
 };
 
 /**
- * Processes uploaded audio files
+ * Attaches a displayable artwork URL to a stored track record
+ * @param {Object} track - Track record
+ * @returns {Object} - Track with `artwork` set to an object URL or null
+ */
+const withArtwork = (track) => ({
+  ...track,
+  artwork: getArtworkUrl(track)
+});
+
+/**
+ * Processes uploaded audio files and stores them in the library database.
+ * The audio data is kept as a Blob; use getTrackUrl to play a track.
  * @param {FileList} files - Files to process
- * @returns {Promise<Array>} - Array of processed track objects
+ * @param {Object} options
+ * @param {Map<File, string>} options.paths - Paths of files imported from a folder
+ * @param {File} options.cover - Folder cover for tracks without an embedded picture
+ * @param {Function} options.onProgress - Called with (done, total) after each file
+ * @returns {Promise<Array>} - Array of stored track records
  */
-export const processAudioFiles = async (files) => {
+export const processAudioFiles = async (files, { paths, cover = null, onProgress } = {}) => {
   const processedTracks = [];
+  const fileList = Array.from(files);
   
-  for (const file of Array.from(files)) {
+  for (const [index, file] of fileList.entries()) {
+    onProgress?.(index, fileList.length);
+
     if (!isValidAudioFile(file)) {
       console.warn(`Skipping invalid file: ${file.name}`);
       continue;
@@ -138,23 +226,28 @@ export const processAudioFiles = async (files) => {
     
     try {
       const metadata = await extractMetadata(file);
-      const base64Data = await fileToBase64(file);
       
       const track = {
         id: generateTrackId(),
         ...metadata,
-        data: base64Data,
+        picture: metadata.picture || (cover ? new Blob([cover], { type: cover.type }) : null),
+        ...(await analyzeAudio(file, metadata)),
+        fileName: file.name,
+        // Folder imports keep the path below the chosen folder
+        filePath: paths?.get(file) || file.webkitRelativePath || file.name,
         addedAt: new Date().toISOString(),
         playCount: 0,
         favorite: false
       };
       
-      processedTracks.push(track);
+      await addTrackRecord(track, file);
+      processedTracks.push(withArtwork(track));
     } catch (error) {
       console.error(`Error processing file ${file.name}:`, error);
     }
   }
   
+  onProgress?.(fileList.length, fileList.length);
   return processedTracks;
 };
 
@@ -167,88 +260,273 @@ export const generateTrackId = () => {
 };
 
 /**
- * Saves tracks to localStorage
- * @param {Array} tracks - Array of track objects
- * @returns {boolean} - Success status
+ * Generates a unique bookmark ID
+ * @returns {string} - Unique ID
+ */
+export const generateBookmarkId = () => {
+  return `bookmark_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+};
+
+/**
+ * Retrieves all tracks from the library database
+ * @returns {Promise<Array>} - Array of track objects
  */
-export const saveTracks = (tracks) => {
+export const getTracks = async () => {
   try {
-    const existingTracks = getTracks();
-    const updatedTracks = [...existingTracks, ...tracks];
-    
-    localStorage.setItem(STORAGE_KEYS.TRACKS, JSON.stringify(updatedTracks));
+    const tracks = await getAllTrackRecords();
+    return tracks.map(withArtwork);
+  } catch (error) {
+    console.error('Error retrieving tracks from the library:', error);
+    return [];
+  }
+};
+
+/**
+ * Updates a specific track in the library database
+ * @param {string} trackId - ID of track to update
+ * @param {Object} updates - Updates to apply
+ * @returns {Promise<boolean>} - Success status
+ */
+export const updateTrack = async (trackId, updates) => {
+  try {
+    const updated = await updateTrackRecord(trackId, updates);
+    return updated !== null;
+  } catch (error) {
+    console.error('Error updating track:', error);
+    return false;
+  }
+};
+
+/**
+ * Runs the analyses a track was imported without (see needsAnalysis)
+ * @param {Object} track - Track record
+ * @returns {Promise<Object|null>} - The stored fields, or null on failure
+ */
+export const analyzeTrack = async (track) => {
+  try {
+    const blob = await getTrackBlob(track.id);
+    if (!blob) return null;
+
+    const updates = await analyzeAudio(blob, track);
+    await updateTrackRecord(track.id, updates);
+    return updates;
+  } catch (error) {
+    console.error('Error analyzing track:', error);
+    return null;
+  }
+};
+
+/**
+ * Deletes a track and its audio data from the library database
+ * @param {string} trackId - ID of track to delete
+ * @returns {Promise<boolean>} - Success status
+ */
+export const deleteTrack = async (trackId) => {
+  try {
+    await deleteTrackRecord(trackId);
     return true;
   } catch (error) {
-    console.error('Error saving tracks to localStorage:', error);
+    console.error('Error deleting track:', error);
     return false;
   }
 };
 
 /**
- * Retrieves tracks from localStorage
- * @returns {Array} - Array of track objects
+ * Clears all tracks from the library database
+ * @returns {Promise<boolean>} - Success status
  */
-export const getTracks = () => {
+export const clearAllTracks = async () => {
   try {
-    const tracks = localStorage.getItem(STORAGE_KEYS.TRACKS);
-    return tracks ? JSON.parse(tracks) : [];
+    await clearLibraryDB();
+    return true;
   } catch (error) {
-    console.error('Error retrieving tracks from localStorage:', error);
+    console.error('Error clearing tracks:', error);
+    return false;
+  }
+};
+
+let legacyMigration = null;
+
+/**
+ * Moves tracks saved as base64 data URLs in localStorage into the library
+ * database and removes the entries that were stored; failed ones are kept
+ * and retried by the next call. Safe to call more than once.
+ * @returns {Promise<number>} - Number of migrated tracks
+ */
+export const migrateLegacyTracks = () => {
+  if (legacyMigration) return legacyMigration;
+
+  legacyMigration = (async () => {
+    let migrated = 0;
+    let failed = 0;
+
+    for (const key of LEGACY_TRACK_KEYS) {
+      let legacyTracks;
+      try {
+        legacyTracks = JSON.parse(localStorage.getItem(key) || '[]');
+      } catch (error) {
+        console.error(`Error reading legacy tracks from ${key}:`, error);
+        continue;
+      }
+
+      // Entries that could not be stored stay behind for the next attempt
+      const remaining = [];
+
+      for (const legacy of legacyTracks) {
+        const dataUrl = legacy.data || legacy.url;
+        if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) continue;
+
+        try {
+          const blob = await (await fetch(dataUrl)).blob();
+          const title = legacy.title || legacy.name || 'Untitled';
+
+          await addTrackRecord({
+            id: generateTrackId(),
+            title,
+            artist: legacy.artist || 'Unknown Artist',
+            album: legacy.album || 'Unknown Album',
+            duration: legacy.duration || 0,
+            size: blob.size,
+            type: blob.type,
+            lastModified: legacy.lastModified || Date.now(),
+            fileName: title,
+            addedAt: legacy.addedAt || new Date().toISOString(),
+            playCount: legacy.playCount || 0,
+            favorite: legacy.favorite || false
+          }, blob);
+          migrated++;
+        } catch (error) {
+          console.error(`Error migrating legacy track ${legacy.name || legacy.title}:`, error);
+          remaining.push(legacy);
+        }
+      }
+
+      if (remaining.length) {
+        failed += remaining.length;
+        try {
+          localStorage.setItem(key, JSON.stringify(remaining));
+        } catch (error) {
+          console.error(`Error keeping unmigrated tracks in ${key}:`, error);
+        }
+      } else {
+        localStorage.removeItem(key);
+      }
+    }
+
+    // Let a later call retry what failed
+    if (failed) legacyMigration = null;
+    return migrated;
+  })();
+
+  return legacyMigration;
+};
+
+/**
+ * Generates a unique playlist ID
+ * @returns {string} - Unique ID
+ */
+export const generatePlaylistId = () => {
+  return `playlist_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+};
+
+/**
+ * Retrieves named playlists from localStorage
+ * Playlists only reference tracks by id; the audio stays in the library.
+ * @returns {Array} - Array of playlist objects
+ */
+export const getPlaylists = () => {
+  try {
+    const playlists = localStorage.getItem(STORAGE_KEYS.PLAYLISTS);
+    return playlists ? JSON.parse(playlists) : [];
+  } catch (error) {
+    console.error('Error retrieving playlists:', error);
     return [];
   }
 };
 
 /**
- * Updates a specific track in localStorage
- * @param {string} trackId - ID of track to update
- * @param {Object} updates - Updates to apply
+ * Saves named playlists to localStorage
+ * @param {Array} playlists - Array of playlist objects
  * @returns {boolean} - Success status
  */
-export const updateTrack = (trackId, updates) => {
+export const savePlaylists = (playlists) => {
   try {
-    const tracks = getTracks();
-    const trackIndex = tracks.findIndex(track => track.id === trackId);
-    
-    if (trackIndex === -1) return false;
-    
-    tracks[trackIndex] = { ...tracks[trackIndex], ...updates };
-    localStorage.setItem(STORAGE_KEYS.TRACKS, JSON.stringify(tracks));
-    
+    localStorage.setItem(STORAGE_KEYS.PLAYLISTS, JSON.stringify(playlists));
     return true;
   } catch (error) {
-    console.error('Error updating track:', error);
+    console.error('Error saving playlists:', error);
     return false;
   }
 };
 
 /**
- * Deletes a track from localStorage
- * @param {string} trackId - ID of track to delete
+ * Resolves the track ids of a playlist against the library,
+ * skipping ids whose track no longer exists
+ * @param {Object} playlist - Playlist object
+ * @param {Array} tracks - Library tracks
+ * @returns {Array} - Track objects in playlist order
+ */
+export const resolvePlaylistTracks = (playlist, tracks) => {
+  if (!playlist) return [];
+  
+  const tracksById = new Map(tracks.map(track => [track.id, track]));
+  return playlist.trackIds.map(id => tracksById.get(id)).filter(Boolean);
+};
+
+/**
+ * Retrieves app settings
+ * @returns {Object} - Settings object
+ */
+export const getSettings = () => {
+  try {
+    const settings = localStorage.getItem(STORAGE_KEYS.SETTINGS);
+    return settings ? JSON.parse(settings) : {};
+  } catch (error) {
+    console.error('Error retrieving settings:', error);
+    return {};
+  }
+};
+
+/**
+ * Merges updates into the stored settings
+ * @param {Object} updates - Settings to change
  * @returns {boolean} - Success status
  */
-export const deleteTrack = (trackId) => {
+export const updateSettings = (updates) => {
   try {
-    const tracks = getTracks();
-    const filteredTracks = tracks.filter(track => track.id !== trackId);
-    
-    localStorage.setItem(STORAGE_KEYS.TRACKS, JSON.stringify(filteredTracks));
+    localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify({ ...getSettings(), ...updates }));
     return true;
   } catch (error) {
-    console.error('Error deleting track:', error);
+    console.error('Error saving settings:', error);
     return false;
   }
 };
 
 /**
- * Clears all tracks from localStorage
+ * Retrieves the track ids of the play queue
+ * @returns {Array} - Array of track ids in play order
+ */
+export const getQueue = () => {
+  try {
+    const queue = localStorage.getItem(STORAGE_KEYS.QUEUE);
+    return queue ? JSON.parse(queue) : [];
+  } catch (error) {
+    console.error('Error retrieving queue:', error);
+    return [];
+  }
+};
+
+/**
+ * Saves the track ids of the play queue
+ * @param {Array} trackIds - Array of track ids in play order
  * @returns {boolean} - Success status
  */
-export const clearAllTracks = () => {
+export const saveQueue = (trackIds) => {
   try {
-    localStorage.removeItem(STORAGE_KEYS.TRACKS);
+    localStorage.setItem(STORAGE_KEYS.QUEUE, JSON.stringify(trackIds));
     return true;
   } catch (error) {
-    console.error('Error clearing tracks:', error);
+    console.error('Error saving queue:', error);
     return false;
   }
 };
@@ -282,6 +560,36 @@ export const getPlaybackState = () => {
   }
 };
 
+/**
+ * Retrieves the remembered playback speeds
+ * @returns {{ tracks: Object<string, number>, playlists: Object<string, number> }} -
+ *   Speeds by track id and by playlist source
+ */
+export const getPlaybackRates = () => {
+  try {
+    const rates = JSON.parse(localStorage.getItem(STORAGE_KEYS.PLAYBACK_RATES) || '{}');
+    return { tracks: rates.tracks || {}, playlists: rates.playlists || {} };
+  } catch (error) {
+    console.error('Error retrieving playback rates:', error);
+    return { tracks: {}, playlists: {} };
+  }
+};
+
+/**
+ * Saves the remembered playback speeds
+ * @param {Object} rates - Speeds by track id and by playlist source
+ * @returns {boolean} - Success status
+ */
+export const savePlaybackRates = (rates) => {
+  try {
+    localStorage.setItem(STORAGE_KEYS.PLAYBACK_RATES, JSON.stringify(rates));
+    return true;
+  } catch (error) {
+    console.error('Error saving playback rates:', error);
+    return false;
+  }
+};
+
 /**
  * Formats duration in seconds to MM:SS format
  * @param {number} duration - Duration in seconds
@@ -311,24 +619,32 @@ export const formatFileSize = (bytes) => {
 };
 
 /**
- * Creates an audio context for visualizations
+ * Creates the audio context and node graph for a media element:
+ * source -> gain (volume) -> equalizer bands -> analyser (visualizations) -> destination
+ * A media element can only ever be connected to one source node, so this
+ * must be called once per element.
  * @param {HTMLAudioElement} audioElement - Audio element
- * @returns {Object} - Audio context and analyzer
+ * @returns {Object|null} - Audio context, source, gain node, equalizer filters and analyzer
  */
 export const createAudioContext = (audioElement) => {
   try {
     const AudioContext = window.AudioContext || window.webkitAudioContext;
     const audioContext = new AudioContext();
     const analyzer = audioContext.createAnalyser();
+    const gainNode = audioContext.createGain();
     const source = audioContext.createMediaElementSource(audioElement);
     
     analyzer.fftSize = 256;
     analyzer.smoothingTimeConstant = 0.8;
     
-    source.connect(analyzer);
+    const eqFilters = createEqualizerFilters(audioContext);
+    
+    source.connect(gainNode);
+    gainNode.connect(eqFilters[0]);
+    eqFilters[eqFilters.length - 1].connect(analyzer);
     analyzer.connect(audioContext.destination);
     
-    return { audioContext, analyzer, source };
+    return { audioContext, analyzer, source, gainNode, eqFilters };
   } catch (error) {
     console.error('Error creating audio context:', error);
     return null;
@@ -350,25 +666,70 @@ export const getFrequencyData = (analyzer) => {
   return dataArray;
 };
 
+/**
+ * Gets time domain (waveform) data for visualizations
+ * @param {AnalyserNode} analyzer - Web Audio API analyzer
+ * @returns {Uint8Array} - Time domain data
+ */
+export const getTimeDomainData = (analyzer) => {
+  if (!analyzer) return new Uint8Array(0);
+  
+  const dataArray = new Uint8Array(analyzer.fftSize);
+  analyzer.getByteTimeDomainData(dataArray);
+  
+  return dataArray;
+};
+
+/**
+ * Averages frequency data into bass, mid and treble levels
+ * @param {Uint8Array} frequencyData - Frequency data
+ * @returns {Object} - Levels between 0 and 1
+ */
+export const getFrequencyBins = (frequencyData) => {
+  if (!frequencyData || frequencyData.length === 0) {
+    return { bass: 0, mid: 0, treble: 0 };
+  }
+
+  const dataLength = frequencyData.length;
+  const bassEnd = Math.max(1, Math.floor(dataLength * 0.1));
+  const midEnd = Math.floor(dataLength * 0.4);
+  
+  const average = (start, end) => {
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+      sum += frequencyData[i];
+    }
+    return end > start ? sum / (end - start) / 255 : 0;
+  };
+  
+  return {
+    bass: average(0, bassEnd),
+    mid: average(bassEnd, midEnd),
+    treble: average(midEnd, dataLength)
+  };
+};
+
 /**
  * Calculates storage usage
- * @returns {Object} - Storage usage information
+ * @returns {Promise<Object>} - Storage usage information
  */
-export const getStorageInfo = () => {
+export const getStorageInfo = async () => {
   try {
-    const tracks = getTracks();
+    const tracks = await getTracks();
     const totalTracks = tracks.length;
     const totalSize = tracks.reduce((sum, track) => sum + (track.size || 0), 0);
     
-    // Estimate localStorage usage (rough calculation)
-    const storageUsed = JSON.stringify(tracks).length;
-    const storageLimit = 5 * 1024 * 1024; // 5MB typical limit
-    const storagePercentage = (storageUsed / storageLimit) * 100;
+    // The browser reports usage and quota for the whole origin
+    const { usage = totalSize, quota = 0 } = navigator.storage?.estimate
+      ? await navigator.storage.estimate()
+      : {};
+    const storagePercentage = quota ? (usage / quota) * 100 : 0;
     
     return {
       totalTracks,
       totalSize: formatFileSize(totalSize),
-      storageUsed: formatFileSize(storageUsed),
+      storageUsed: formatFileSize(usage),
+      storageQuota: formatFileSize(quota),
       storagePercentage: Math.min(storagePercentage, 100)
     };
   } catch (error) {
@@ -377,7 +738,26 @@ export const getStorageInfo = () => {
       totalTracks: 0,
       totalSize: '0 B',
       storageUsed: '0 B',
+      storageQuota: '0 B',
       storagePercentage: 0
     };
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Saves a Blob through the browser's download
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName.replace(/[\\/:*?"<>|]+/g, '_');
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers keep reading the Blob after click() returns, which takes
+  // a while for a library backup; revoking early would cancel the download
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME);
+};
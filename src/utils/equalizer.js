@@ -0,0 +1,93 @@
+/**
+ * Graphic equalizer for the audio graph
+ * Ten BiquadFilterNodes in series: a low shelf, eight peaking bands and a
+ * high shelf, plus the built-in presets.
+ */
+
+// Center frequencies of the bands in Hz
+export const EQ_FREQUENCIES = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+// Gain range of a band in dB
+export const EQ_MAX_GAIN = 12;
+
+// One octave per band
+const BAND_Q = 1.41;
+
+export const FLAT_GAINS = EQ_FREQUENCIES.map(() => 0);
+
+export const BUILT_IN_PRESETS = [
+  { name: 'Flat', gains: FLAT_GAINS },
+  { name: 'Bass Boost', gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+  { name: 'Vocal', gains: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1] },
+  { name: 'Podcast', gains: [-6, -4, -1, 1, 3, 4, 3, 1, -1, -3] }
+];
+
+/**
+ * Formats a band frequency for labels
+ * @param {number} frequency - Frequency in Hz
+ * @returns {string} - e.g. '125' or '2k'
+ */
+export const formatFrequency = (frequency) => {
+  return frequency >= 1000 ? `${frequency / 1000}k` : String(frequency);
+};
+
+/**
+ * Clamps band gains to the supported range, filling missing bands with 0 dB
+ * @param {Array<number>} gains - Gains in dB
+ * @returns {Array<number>}
+ */
+export const normalizeGains = (gains) => {
+  return EQ_FREQUENCIES.map((_, index) => {
+    const gain = Number(gains?.[index]) || 0;
+    return Math.max(-EQ_MAX_GAIN, Math.min(EQ_MAX_GAIN, gain));
+  });
+};
+
+/**
+ * Finds the preset whose gains match exactly
+ * @param {Array<Object>} presets - Presets to search
+ * @param {Array<number>} gains - Current gains
+ * @returns {Object|undefined}
+ */
+export const findPreset = (presets, gains) => {
+  return presets.find(preset => preset.gains.every((gain, index) => gain === gains[index]));
+};
+
+/**
+ * Creates the filter chain, connected band to band
+ * @param {AudioContext} audioContext - The audio context
+ * @returns {Array<BiquadFilterNode>} - Filters from lowest to highest band
+ */
+export const createEqualizerFilters = (audioContext) => {
+  const filters = EQ_FREQUENCIES.map((frequency, index) => {
+    const filter = audioContext.createBiquadFilter();
+    if (index === 0) {
+      filter.type = 'lowshelf';
+    } else if (index === EQ_FREQUENCIES.length - 1) {
+      filter.type = 'highshelf';
+    } else {
+      filter.type = 'peaking';
+      filter.Q.value = BAND_Q;
+    }
+    filter.frequency.value = frequency;
+    filter.gain.value = 0;
+    return filter;
+  });
+
+  filters.slice(1).forEach((filter, index) => filters[index].connect(filter));
+  return filters;
+};
+
+/**
+ * Sets the band gains; a bypassed equalizer sits at 0 dB, where shelf and
+ * peaking filters pass the signal through unchanged
+ * @param {Array<BiquadFilterNode>} filters - The filter chain
+ * @param {Array<number>} gains - Gains in dB
+ * @param {boolean} bypassed - Whether the equalizer is off
+ */
+export const applyEqualizerGains = (filters, gains, bypassed) => {
+  filters.forEach((filter, index) => {
+    const gain = bypassed ? 0 : gains[index] || 0;
+    filter.gain.setTargetAtTime(gain, filter.context.currentTime, 0.015);
+  });
+};
@@ -0,0 +1,147 @@
+/**
+ * Folder imports
+ * Dropped folders are walked recursively, through the File System Access
+ * handles where the browser has them and the older entries API otherwise.
+ * Every file keeps its path below the dropped or chosen folder, and the
+ * files are grouped by folder with the folder's cover image, if any.
+ */
+
+// Cover image names, most specific first
+const COVER_NAMES = ['cover', 'folder', 'front', 'album'];
+const COVER_PATTERN = /^(cover|folder|front|album)\.(jpe?g|png|webp)$/i;
+
+/**
+ * Lists a directory entry's children; readEntries returns them in batches
+ * @param {FileSystemDirectoryEntry} directory - Directory to read
+ * @returns {Promise<Array<FileSystemEntry>>}
+ */
+const readAllEntries = async (directory) => {
+  const reader = directory.createReader();
+  const entries = [];
+
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!batch.length) return entries;
+    entries.push(...batch);
+  }
+};
+
+/**
+ * Collects the files below an entry of the entries API
+ * @param {FileSystemEntry} entry - File or directory entry
+ * @param {string} path - Path of the entry
+ * @returns {Promise<Array<{ file: File, path: string }>>}
+ */
+const walkEntry = async (entry, path) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, path }];
+  }
+
+  const children = await readAllEntries(entry);
+  const nested = await Promise.all(children.map(child => walkEntry(child, `${path}/${child.name}`)));
+  return nested.flat();
+};
+
+/**
+ * Collects the files below a File System Access handle
+ * @param {FileSystemHandle} handle - File or directory handle
+ * @param {string} path - Path of the handle
+ * @returns {Promise<Array<{ file: File, path: string }>>}
+ */
+const walkHandle = async (handle, path) => {
+  if (handle.kind === 'file') {
+    return [{ file: await handle.getFile(), path }];
+  }
+
+  const files = [];
+  for await (const child of handle.values()) {
+    files.push(...(await walkHandle(child, `${path}/${child.name}`)));
+  }
+  return files;
+};
+
+/**
+ * Collects the files of a drop, walking into dropped folders.
+ * The drop's items are only readable during the event, so this must be
+ * called from the drop handler itself, before anything is awaited.
+ * @param {DataTransfer} dataTransfer - The drop's data
+ * @returns {Promise<Array<{ file: File, path: string }>>} - Files with their paths
+ */
+export const collectDroppedFiles = (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+  if (!items.length) {
+    return Promise.resolve(Array.from(dataTransfer.files).map(file => ({ file, path: file.name })));
+  }
+
+  // Start every lookup now; handles and entries are resolved afterwards
+  const pending = items.map(item => {
+    if (item.getAsFileSystemHandle) {
+      const entry = item.webkitGetAsEntry?.();
+      return item.getAsFileSystemHandle()
+        .then(handle => (handle ? walkHandle(handle, handle.name) : []))
+        .catch(error => {
+          console.warn('Falling back to the entries API:', error);
+          return entry ? walkEntry(entry, entry.name) : [];
+        });
+    }
+
+    const entry = item.webkitGetAsEntry?.();
+    if (entry) return walkEntry(entry, entry.name);
+
+    const file = item.getAsFile();
+    return Promise.resolve(file ? [{ file, path: file.name }] : []);
+  });
+
+  return Promise.all(pending).then(results => results.flat());
+};
+
+/**
+ * Pairs the files of an <input webkitdirectory> with their paths
+ * @param {FileList|Array<File>} files - Chosen files
+ * @returns {Array<{ file: File, path: string }>}
+ */
+export const fromFileList = (files) => (
+  Array.from(files).map(file => ({ file, path: file.webkitRelativePath || file.name }))
+);
+
+/**
+ * Whether a file is a folder's cover image
+ * @param {File} file - File to check
+ * @returns {boolean}
+ */
+export const isCoverImage = (file) => COVER_PATTERN.test(file.name);
+
+const getFolder = (path) => path.slice(0, Math.max(0, path.lastIndexOf('/')));
+
+/**
+ * Groups files by their folder and finds each folder's cover image
+ * @param {Array<{ file: File, path: string }>} items - Files with their paths
+ * @returns {Array<{ folder: string, items: Array<{ file: File, path: string }>, cover: File|null }>} -
+ *   Folders in path order; loose files are in the folder ''
+ */
+export const groupByFolder = (items) => {
+  const folders = new Map();
+  const covers = new Map();
+
+  items.forEach(item => {
+    const folder = getFolder(item.path);
+    if (isCoverImage(item.file)) {
+      if (!covers.has(folder)) covers.set(folder, []);
+      covers.get(folder).push(item.file);
+      return;
+    }
+    if (!folders.has(folder)) folders.set(folder, []);
+    folders.get(folder).push(item);
+  });
+
+  const coverRank = (file) => COVER_NAMES.indexOf(file.name.split('.')[0].toLowerCase());
+
+  return [...folders]
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(([folder, folderItems]) => ({
+      folder,
+      items: folderItems.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true })),
+      cover: (covers.get(folder) || []).sort((a, b) => coverRank(a) - coverRank(b))[0] || null
+    }));
+};
@@ -0,0 +1,500 @@
+/**
+ * Gapless playback and crossfade helpers
+ * Decodes tracks into AudioBuffers with the encoder delay and padding
+ * trimmed, and plays them back to back on one AudioContext so that the
+ * next track starts on the exact sample the current one ends, or overlaps
+ * it with a crossfade.
+ */
+
+import { getID3v2Size } from './id3Tags';
+import { detectContainer, readAudioTags } from './tagReader';
+import { decodeText, readUint32BE } from './tagUtils';
+
+// Samples every MP3 decoder outputs before the encoder delay
+const MP3_DECODER_DELAY = 529;
+
+// How far into the file the first MPEG frame is looked for
+const FRAME_SEARCH_BYTES = 64 * 1024;
+
+// MPEG sample rates by version bits (MPEG1, MPEG2, MPEG2.5)
+const MPEG_SAMPLE_RATES = {
+  3: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  0: [11025, 12000, 8000]
+};
+
+// Points in the gain curve of a crossfade
+const FADE_CURVE_POINTS = 64;
+
+// Candidates when a container doesn't tell the sample rate
+const STANDARD_SAMPLE_RATES = [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000, 88200, 96000];
+
+/**
+ * Parses an iTunSMPB value (" 00000000 00000840 000001CA 00000000003F31F6 ...")
+ * @param {string} value - Raw tag value
+ * @returns {Object|null} - Gap info in samples or null
+ */
+export const parseITunSMPB = (value) => {
+  const fields = String(value || '').trim().split(/\s+/).map(field => parseInt(field, 16));
+  if (fields.length < 4 || fields.slice(1, 4).some(field => !Number.isFinite(field))) return null;
+
+  const [, startSamples, endSamples, validSamples] = fields;
+  if (validSamples <= 0) return null;
+
+  return { startSamples, endSamples, validSamples, sampleRate: null };
+};
+
+/**
+ * Finds the first MPEG audio frame header
+ * @param {Uint8Array} bytes - Bytes to search
+ * @returns {number} - Offset of the frame or -1
+ */
+const findFrameSync = (bytes) => {
+  for (let offset = 0; offset + 4 <= bytes.length; offset++) {
+    if (bytes[offset] === 0xff && (bytes[offset + 1] & 0xe0) === 0xe0) {
+      const version = (bytes[offset + 1] >> 3) & 0x03;
+      const layer = (bytes[offset + 1] >> 1) & 0x03;
+      const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+      if (version !== 1 && layer === 1 && sampleRateIndex !== 3) return offset;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Reads the encoder delay and padding from the LAME tag of an MP3's
+ * Xing/Info frame
+ * @param {Uint8Array} bytes - Bytes starting at the audio stream
+ * @returns {Object|null} - Gap info in samples or null
+ */
+export const parseLameTag = (bytes) => {
+  const frame = findFrameSync(bytes);
+  if (frame < 0) return null;
+
+  const version = (bytes[frame + 1] >> 3) & 0x03;
+  const sampleRate = MPEG_SAMPLE_RATES[version][(bytes[frame + 2] >> 2) & 0x03];
+  const isMono = ((bytes[frame + 3] >> 6) & 0x03) === 3;
+  const samplesPerFrame = version === 3 ? 1152 : 576;
+  const sideInfoSize = version === 3 ? (isMono ? 17 : 32) : (isMono ? 9 : 17);
+
+  const xing = frame + 4 + sideInfoSize;
+  const marker = decodeText(bytes.subarray(xing, xing + 4), 'latin1');
+  if (marker !== 'Xing' && marker !== 'Info') return null;
+
+  const flags = readUint32BE(bytes, xing + 4);
+  if (!(flags & 0x01)) return null;
+
+  const frameCount = readUint32BE(bytes, xing + 8);
+  // Skip the frame count, byte count, seek table and quality fields
+  let lame = xing + 12;
+  if (flags & 0x02) lame += 4;
+  if (flags & 0x04) lame += 100;
+  if (flags & 0x08) lame += 4;
+
+  if (lame + 24 > bytes.length) return null;
+
+  // 12 bits of delay and 12 bits of padding
+  const delay = (bytes[lame + 21] << 4) | (bytes[lame + 22] >> 4);
+  const padding = ((bytes[lame + 22] & 0x0f) << 8) | bytes[lame + 23];
+  const totalSamples = frameCount * samplesPerFrame;
+
+  if (delay === 0 && padding === 0) return null;
+  if (totalSamples <= delay + padding) return null;
+
+  return {
+    startSamples: delay + MP3_DECODER_DELAY,
+    endSamples: Math.max(0, padding - MP3_DECODER_DELAY),
+    validSamples: totalSamples - delay - padding,
+    sampleRate,
+    samplesPerFrame,
+    totalSamples
+  };
+};
+
+/**
+ * Reads the encoder delay and padding a file declares
+ * MP4/AAC files use iTunSMPB; MP3 files use iTunSMPB or the LAME tag.
+ * @param {Blob} file - The audio file
+ * @returns {Promise<Object|null>} - Gap info in samples or null
+ */
+export const readEncoderGaps = async (file) => {
+  try {
+    const container = await detectContainer(file);
+    if (container !== 'mp4' && container !== 'mpeg') return null;
+
+    const tags = await readAudioTags(file);
+    const smpb = parseITunSMPB(tags?.iTunSMPB);
+    if (smpb || container === 'mp4') return smpb;
+
+    const header = new Uint8Array(await file.slice(0, 10).arrayBuffer());
+    const streamStart = getID3v2Size(header);
+    const stream = new Uint8Array(await file.slice(streamStart, streamStart + FRAME_SEARCH_BYTES).arrayBuffer());
+    return parseLameTag(stream);
+  } catch (error) {
+    console.warn('Could not read encoder delay:', error);
+    return null;
+  }
+};
+
+/**
+ * Picks the sample rate that best explains a decoded duration
+ * @param {Object} gaps - Gap info in samples
+ * @param {number} duration - Decoded duration in seconds
+ * @returns {number} - Sample rate
+ */
+const guessSampleRate = (gaps, duration) => {
+  const paddedSamples = gaps.startSamples + gaps.validSamples + gaps.endSamples;
+  const error = (rate) => Math.min(
+    Math.abs(gaps.validSamples / rate - duration),
+    Math.abs(paddedSamples / rate - duration)
+  );
+
+  return STANDARD_SAMPLE_RATES.reduce((best, rate) => (error(rate) < error(best) ? rate : best));
+};
+
+/**
+ * Trims encoder delay and padding off a decoded buffer
+ * Some browsers already trim while decoding; those buffers are returned as-is.
+ * @param {AudioContext} audioContext - Context that decoded the buffer
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @param {Object} gaps - Gap info in samples of the file's sample rate
+ * @returns {AudioBuffer} - Buffer holding only the valid samples
+ */
+export const trimEncoderGaps = (audioContext, buffer, gaps) => {
+  const fileRate = gaps.sampleRate || guessSampleRate(gaps, buffer.duration);
+  const ratio = buffer.sampleRate / fileRate;
+  const decodedSamples = buffer.length / ratio;
+
+  // Closer to the valid length than to the padded one: already trimmed
+  if (decodedSamples <= gaps.validSamples + (gaps.startSamples + gaps.endSamples) / 2) {
+    return buffer;
+  }
+
+  // Decoders that don't know the Xing frame output it as a frame of silence
+  let startSamples = gaps.startSamples;
+  if (gaps.samplesPerFrame && decodedSamples - gaps.totalSamples >= gaps.samplesPerFrame / 2) {
+    startSamples += gaps.samplesPerFrame;
+  }
+
+  const start = Math.round(startSamples * ratio);
+  const end = Math.min(buffer.length, start + Math.round(gaps.validSamples * ratio));
+  if (end <= start) return buffer;
+
+  const trimmed = audioContext.createBuffer(buffer.numberOfChannels, end - start, buffer.sampleRate);
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    trimmed.copyToChannel(buffer.getChannelData(channel).subarray(start, end), channel);
+  }
+  return trimmed;
+};
+
+/**
+ * Decodes a track for gapless playback
+ * @param {AudioContext} audioContext - Context to decode with
+ * @param {Blob} blob - The audio file
+ * @returns {Promise<AudioBuffer>} - Decoded, trimmed audio
+ */
+export const decodeTrack = async (audioContext, blob) => {
+  const [arrayBuffer, gaps] = await Promise.all([blob.arrayBuffer(), readEncoderGaps(blob)]);
+  const buffer = await audioContext.decodeAudioData(arrayBuffer);
+  return gaps ? trimEncoderGaps(audioContext, buffer, gaps) : buffer;
+};
+
+/**
+ * Builds the gain curve of a fade
+ * Equal-power curves keep the summed loudness constant through a crossfade;
+ * linear ones dip in the middle.
+ * @param {string} curve - 'equal-power' or 'linear'
+ * @param {boolean} fadeIn - Rising instead of falling
+ * @returns {Float32Array} - Gain values from start to end of the fade
+ */
+export const createFadeCurve = (curve, fadeIn) => {
+  const values = new Float32Array(FADE_CURVE_POINTS);
+
+  for (let i = 0; i < FADE_CURVE_POINTS; i++) {
+    const progress = i / (FADE_CURVE_POINTS - 1);
+    const level = fadeIn ? progress : 1 - progress;
+    values[i] = curve === 'linear' ? level : Math.sin(level * Math.PI / 2);
+  }
+
+  return values;
+};
+
+/**
+ * Creates a player that chains decoded tracks sample-accurately
+ * The next track is scheduled on the context clock at the exact time the
+ * current one ends, or earlier by the crossfade length with both tracks'
+ * gains ramped, so no event handler sits in between.
+ * @param {AudioContext} audioContext - The shared context
+ * @param {AudioNode} destination - Node the tracks play into
+ * @param {Object} callbacks - { onAdvance(track), onEnded(), getTransition(fromTrack, toTrack) }
+ *   where getTransition returns { duration, curve } (duration 0 for a gapless cut)
+ * @returns {Object} - Player controls
+ */
+export const createGaplessPlayer = (audioContext, destination, { onAdvance, onEnded, getTransition } = {}) => {
+  // { track, buffer, source, gain, startedAt } where startedAt is the
+  // context time at which the buffer's first sample plays
+  let current = null;
+  let upcoming = null;
+  // Tracks still fading out after the next one took over
+  let fading = [];
+  let offset = 0;
+  let playing = false;
+  let advanceTimer = null;
+  // { start, end } in seconds while a region of the current track repeats
+  let loop = null;
+
+  // Buffer sources loop sample-accurately on their own
+  const applyLoop = (source) => {
+    source.loop = Boolean(loop);
+    if (loop) {
+      source.loopStart = loop.start;
+      source.loopEnd = loop.end;
+    }
+  };
+
+  const startSource = (entry, when, position) => {
+    entry.gain = audioContext.createGain();
+    entry.gain.connect(destination);
+    entry.source = audioContext.createBufferSource();
+    entry.source.buffer = entry.buffer;
+    entry.source.connect(entry.gain);
+    entry.source.start(when, position);
+    entry.startedAt = when - position;
+  };
+
+  const releaseSource = (entry) => {
+    if (!entry?.source) return;
+    entry.source.onended = null;
+    entry.source.stop();
+    entry.source.disconnect();
+    entry.gain.disconnect();
+    entry.source = null;
+    entry.gain = null;
+  };
+
+  const fade = (entry, when, length, curve, fadeIn) => {
+    entry.gain.gain.cancelScheduledValues(when);
+    entry.gain.gain.setValueCurveAtTime(createFadeCurve(curve, fadeIn), when, length);
+  };
+
+  const clearAdvanceTimer = () => {
+    clearTimeout(advanceTimer);
+    advanceTimer = null;
+  };
+
+  // Let a track play out its fade, then drop it
+  const retire = (entry) => {
+    fading.push(entry);
+    entry.source.onended = () => {
+      entry.source?.disconnect();
+      entry.gain?.disconnect();
+      fading = fading.filter(item => item !== entry);
+    };
+  };
+
+  const getPosition = () => {
+    if (!current) return 0;
+    if (!playing) return offset;
+
+    const elapsed = audioContext.currentTime - current.startedAt;
+    if (loop && elapsed >= loop.end) {
+      return loop.start + (elapsed - loop.start) % (loop.end - loop.start);
+    }
+    return Math.max(0, Math.min(current.buffer.duration, elapsed));
+  };
+
+  // The upcoming track has started: it becomes the current one
+  const advance = () => {
+    clearAdvanceTimer();
+    if (!upcoming?.source) return;
+
+    if (current.source) {
+      retire(current);
+    }
+    current = upcoming;
+    upcoming = null;
+    current.source.onended = handleCurrentEnded;
+    onAdvance?.(current.track);
+  };
+
+  const handleCurrentEnded = () => {
+    current.source?.disconnect();
+    current.gain?.disconnect();
+    current.source = null;
+    current.gain = null;
+
+    if (upcoming?.source) {
+      advance();
+      return;
+    }
+
+    playing = false;
+    offset = current.buffer.duration;
+    onEnded?.();
+  };
+
+  // Queue the next track to start where the current one ends, or to
+  // overlap it by the crossfade length
+  const scheduleUpcoming = () => {
+    // A looping track never ends
+    if (!playing || !current || !upcoming || upcoming.source || loop) return;
+
+    const now = audioContext.currentTime;
+    const endsAt = current.startedAt + current.buffer.duration;
+    // Too late to join seamlessly; onEnded lets the engine start it normally
+    if (endsAt <= now) return;
+
+    const { duration = 0, curve = 'equal-power' } = getTransition?.(current.track, upcoming.track) || {};
+    const fadeLength = Math.min(duration, current.buffer.duration, upcoming.buffer.duration);
+    const startAt = Math.max(endsAt - fadeLength, now);
+
+    startSource(upcoming, startAt, 0);
+    if (endsAt - startAt > 0) {
+      fade(upcoming, startAt, endsAt - startAt, curve, true);
+      fade(current, startAt, endsAt - startAt, curve, false);
+      advanceTimer = setTimeout(advance, (startAt - now) * 1000);
+    }
+  };
+
+  // Undo a planned transition, keeping the upcoming track for later
+  const unscheduleUpcoming = () => {
+    if (upcoming?.source && current?.gain) {
+      clearAdvanceTimer();
+      current.gain.gain.cancelScheduledValues(0);
+      current.gain.gain.value = 1;
+    }
+    releaseSource(upcoming);
+  };
+
+  const releaseAll = () => {
+    clearAdvanceTimer();
+    releaseSource(current);
+    releaseSource(upcoming);
+    fading.forEach(releaseSource);
+    fading = [];
+  };
+
+  const load = (track, buffer, position = 0) => {
+    releaseAll();
+    current = { track, buffer, source: null, gain: null, startedAt: 0 };
+    upcoming = null;
+    loop = null;
+    offset = Math.max(0, Math.min(position, buffer.duration));
+    playing = false;
+  };
+
+  const play = () => {
+    if (!current || playing) return;
+    if (offset >= current.buffer.duration) offset = 0;
+    if (loop && offset >= loop.end) offset = loop.start;
+
+    playing = true;
+    startSource(current, audioContext.currentTime, offset);
+    applyLoop(current.source);
+    current.source.onended = handleCurrentEnded;
+    scheduleUpcoming();
+  };
+
+  const pause = () => {
+    if (!playing) return;
+    offset = getPosition();
+    playing = false;
+    releaseAll();
+  };
+
+  const seek = (position) => {
+    if (!current) return;
+    const wasPlaying = playing;
+    pause();
+    offset = Math.max(0, Math.min(position, current.buffer.duration));
+    if (wasPlaying) play();
+  };
+
+  /**
+   * Switches to another track right away, fading the playing one out
+   * while the new one fades in (a manual skip)
+   */
+  const crossfadeTo = (track, buffer, position, { duration = 0, curve = 'equal-power' } = {}) => {
+    if (!playing || !current?.source || duration <= 0) {
+      load(track, buffer, position);
+      play();
+      return;
+    }
+
+    clearAdvanceTimer();
+    releaseSource(upcoming);
+    upcoming = null;
+    loop = null;
+
+    const now = audioContext.currentTime;
+    const outgoing = current;
+    fade(outgoing, now, duration, curve, false);
+    outgoing.source.stop(now + duration);
+    retire(outgoing);
+
+    current = { track, buffer, source: null, gain: null, startedAt: 0 };
+    offset = Math.max(0, Math.min(position, buffer.duration));
+    startSource(current, now, offset);
+    current.source.onended = handleCurrentEnded;
+    fade(current, now, duration, curve, true);
+  };
+
+  const setUpcoming = (track, buffer) => {
+    unscheduleUpcoming();
+    upcoming = track ? { track, buffer, source: null, gain: null, startedAt: 0 } : null;
+    scheduleUpcoming();
+  };
+
+  // Plans the upcoming transition again, e.g. after the crossfade settings changed
+  const reschedule = () => {
+    if (upcoming) {
+      setUpcoming(upcoming.track, upcoming.buffer);
+    }
+  };
+
+  /**
+   * Repeats a region of the current track, or plays on when range is null.
+   * The playing source keeps going; only its loop points change.
+   */
+  const setLoop = (range) => {
+    const position = getPosition();
+    loop = range && current ? { start: range.start, end: Math.min(range.end, current.buffer.duration) } : null;
+
+    if (playing && current?.source) {
+      // Count from here so positions stay right whether or not the source wraps
+      current.startedAt = audioContext.currentTime - position;
+      applyLoop(current.source);
+    }
+
+    if (loop) {
+      unscheduleUpcoming();
+    } else {
+      scheduleUpcoming();
+    }
+  };
+
+  const stop = () => {
+    releaseAll();
+    current = null;
+    upcoming = null;
+    offset = 0;
+    playing = false;
+  };
+
+  return {
+    load,
+    play,
+    pause,
+    seek,
+    stop,
+    crossfadeTo,
+    setUpcoming,
+    reschedule,
+    setLoop,
+    getPosition,
+    getDuration: () => current?.buffer.duration || 0,
+    getCurrentTrack: () => current?.track || null,
+    getUpcomingTrack: () => upcoming?.track || null,
+    isPlaying: () => playing
+  };
+};
@@ -0,0 +1,471 @@
+/**
+ * ID3 tag parser for MP3 files
+ * Reads ID3v2.2, v2.3 and v2.4 tags at the start of the file and falls back
+ * to an ID3v1/v1.1 tag in the last 128 bytes when no v2 tag is present.
+ */
+
+import {
+  decodeText,
+  readUint32BE,
+  parseNumberPair,
+  parseYear,
+  pickPicture,
+  compactTags,
+  parseReplayGain,
+  REPLAYGAIN_FIELDS
+} from './tagUtils';
+
+// ID3v1 genre table, including the Winamp extensions
+export const ID3V1_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+  'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock',
+  'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack',
+  'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+  'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+  'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic',
+  'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta',
+  'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret',
+  'New Wave', 'Psychadelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi', 'Tribal',
+  'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock',
+  'Folk', 'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebob', 'Latin',
+  'Revival', 'Celtic', 'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock',
+  'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus',
+  'Easy Listening', 'Acoustic', 'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music',
+  'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam',
+  'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul',
+  'Freestyle', 'Duet', 'Punk Rock', 'Drum Solo', 'A capella', 'Euro-House', 'Dance Hall',
+  'Goa', 'Drum & Bass', 'Club-House', 'Hardcore', 'Terror', 'Indie', 'BritPop',
+  'Afro-Punk', 'Polsk Punk', 'Beat', 'Christian Gangsta Rap', 'Heavy Metal',
+  'Black Metal', 'Crossover', 'Contemporary Christian', 'Christian Rock', 'Merengue',
+  'Salsa', 'Thrash Metal', 'Anime', 'JPop', 'Synthpop'
+];
+
+// ID3v2.2 uses three character frame ids
+const V22_FRAME_IDS = {
+  TT2: 'TIT2',
+  TP1: 'TPE1',
+  TP2: 'TPE2',
+  TAL: 'TALB',
+  TXX: 'TXXX',
+  TRK: 'TRCK',
+  TPA: 'TPOS',
+  TYE: 'TYER',
+  TCO: 'TCON',
+  COM: 'COMM',
+  PIC: 'APIC'
+};
+
+// Text frames mapped onto metadata fields
+const TEXT_FRAMES = {
+  TIT2: 'title',
+  TPE1: 'artist',
+  TPE2: 'albumArtist',
+  TALB: 'album'
+};
+
+// Text encodings used by the first byte of text frames
+const TEXT_ENCODINGS = ['latin1', 'utf-16', 'utf-16be', 'utf-8'];
+
+const HEADER_SIZE = 10;
+const ID3V1_SIZE = 128;
+
+/**
+ * Decodes a 28-bit syncsafe integer
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Offset of the first byte
+ * @returns {number}
+ */
+const readSyncsafe = (bytes, offset) => {
+  return (bytes[offset] & 0x7f) << 21 |
+    (bytes[offset + 1] & 0x7f) << 14 |
+    (bytes[offset + 2] & 0x7f) << 7 |
+    (bytes[offset + 3] & 0x7f);
+};
+
+/**
+ * Reverses the unsynchronisation scheme (0xFF 0x00 -> 0xFF)
+ * @param {Uint8Array} bytes - Unsynchronised bytes
+ * @returns {Uint8Array}
+ */
+const removeUnsynchronisation = (bytes) => {
+  const output = new Uint8Array(bytes.length);
+  let length = 0;
+
+  for (let i = 0; i < bytes.length; i++) {
+    output[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) {
+      i++;
+    }
+  }
+
+  return output.subarray(0, length);
+};
+
+/**
+ * Finds the end of a null-terminated string in the given encoding
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start of the string
+ * @param {number} encoding - ID3 text encoding byte
+ * @returns {number} - Offset of the terminator, or bytes.length
+ */
+const findTerminator = (bytes, offset, encoding) => {
+  const wide = encoding === 1 || encoding === 2;
+
+  for (let i = offset; i < bytes.length; i += wide ? 2 : 1) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) {
+      return i;
+    }
+  }
+
+  return bytes.length;
+};
+
+/**
+ * Decodes ID3 text in the given encoding
+ * @param {Uint8Array} bytes - Encoded bytes
+ * @param {number} encoding - ID3 text encoding byte
+ * @returns {string}
+ */
+const decodeID3Text = (bytes, encoding) => {
+  let label = TEXT_ENCODINGS[encoding] || 'latin1';
+
+  // UTF-16 with BOM; TextDecoder only sniffs little-endian by default
+  if (encoding === 1 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+    label = 'utf-16be';
+    bytes = bytes.subarray(2);
+  } else if (encoding === 1) {
+    label = 'utf-16le';
+  }
+
+  return decodeText(bytes, label);
+};
+
+/**
+ * Reads a null-terminated string and returns it with the offset after it
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start of the string
+ * @param {number} encoding - ID3 text encoding byte
+ * @returns {{ value: string, next: number }}
+ */
+const readTerminatedString = (bytes, offset, encoding) => {
+  const end = findTerminator(bytes, offset, encoding);
+  const terminatorSize = encoding === 1 || encoding === 2 ? 2 : 1;
+
+  return {
+    value: decodeID3Text(bytes.subarray(offset, end), encoding),
+    next: Math.min(end + terminatorSize, bytes.length)
+  };
+};
+
+/**
+ * Decodes a text information frame into its values (v2.4 allows several)
+ * @param {Uint8Array} data - Frame data
+ * @returns {Array<string>}
+ */
+const parseTextFrame = (data) => {
+  return decodeID3Text(data.subarray(1), data[0])
+    .split('\0')
+    .map(value => value.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Resolves ID3 genre references like "(17)", "17" or "(17)Indie Rock"
+ * @param {string} value - Raw TCON value
+ * @returns {string}
+ */
+const resolveGenre = (value) => {
+  if (/^\d+$/.test(value)) {
+    return ID3V1_GENRES[parseInt(value, 10)] || value;
+  }
+
+  const match = value.match(/^((?:\((?:\d+|RX|CR)\))+)(.*)$/);
+  if (!match) return value.replace(/^\(\(/, '(');
+
+  const refinement = match[2].trim();
+  if (refinement) return refinement.replace(/^\(\(/, '(');
+
+  const [firstRef] = match[1].slice(1).split(')');
+  if (firstRef === 'RX') return 'Remix';
+  if (firstRef === 'CR') return 'Cover';
+  return ID3V1_GENRES[parseInt(firstRef, 10)] || value;
+};
+
+/**
+ * Parses a COMM frame
+ * @param {Uint8Array} data - Frame data
+ * @returns {{ description: string, text: string }}
+ */
+const parseCommentFrame = (data) => {
+  const encoding = data[0];
+  const description = readTerminatedString(data, 4, encoding);
+
+  return {
+    description: description.value,
+    text: decodeID3Text(data.subarray(description.next), encoding).trim()
+  };
+};
+
+/**
+ * Parses a TXXX (user defined text) frame
+ * @param {Uint8Array} data - Frame data
+ * @returns {{ description: string, value: string }}
+ */
+const parseUserTextFrame = (data) => {
+  const encoding = data[0];
+  const description = readTerminatedString(data, 1, encoding);
+
+  return {
+    description: description.value,
+    value: decodeID3Text(data.subarray(description.next), encoding).trim()
+  };
+};
+
+/**
+ * Parses an APIC (v2.3/v2.4) or PIC (v2.2) frame
+ * @param {Uint8Array} data - Frame data
+ * @param {number} majorVersion - ID3v2 major version
+ * @returns {Object} - Picture with mimeType, type, description and data
+ */
+const parsePictureFrame = (data, majorVersion) => {
+  const encoding = data[0];
+  let offset;
+  let mimeType;
+
+  if (majorVersion === 2) {
+    const format = decodeText(data.subarray(1, 4), 'latin1').toUpperCase();
+    mimeType = format === 'PNG' ? 'image/png' : 'image/jpeg';
+    offset = 4;
+  } else {
+    const mime = readTerminatedString(data, 1, 0);
+    mimeType = mime.value.toLowerCase() || 'image/jpeg';
+    if (!mimeType.includes('/')) {
+      mimeType = `image/${mimeType === 'jpg' ? 'jpeg' : mimeType}`;
+    }
+    offset = mime.next;
+  }
+
+  const type = data[offset];
+  const description = readTerminatedString(data, offset + 1, encoding);
+
+  return {
+    mimeType,
+    type,
+    description: description.value,
+    data: data.slice(description.next)
+  };
+};
+
+/**
+ * Iterates over the frames of an ID3v2 tag body
+ * @param {Uint8Array} body - Tag body after the header (and extended header)
+ * @param {number} majorVersion - ID3v2 major version
+ * @param {boolean} unsynchronised - Whether the whole tag is unsynchronised (v2.4)
+ * @returns {Array<{ id: string, data: Uint8Array }>}
+ */
+const readFrames = (body, majorVersion, unsynchronised) => {
+  const frames = [];
+  const idLength = majorVersion === 2 ? 3 : 4;
+  const frameHeaderSize = majorVersion === 2 ? 6 : 10;
+  let offset = 0;
+
+  while (offset + frameHeaderSize <= body.length) {
+    // Padding reached
+    if (body[offset] === 0) break;
+
+    let id = decodeText(body.subarray(offset, offset + idLength), 'latin1');
+    let size;
+    let formatFlags = 0;
+
+    if (majorVersion === 2) {
+      size = (body[offset + 3] << 16) | (body[offset + 4] << 8) | body[offset + 5];
+      id = V22_FRAME_IDS[id] || id;
+    } else if (majorVersion === 3) {
+      size = readUint32BE(body, offset + 4);
+      formatFlags = body[offset + 9];
+    } else {
+      size = readSyncsafe(body, offset + 4);
+      formatFlags = body[offset + 9];
+    }
+
+    const start = offset + frameHeaderSize;
+    const end = start + size;
+    if (size === 0 || end > body.length) break;
+
+    let data = body.subarray(start, end);
+    offset = end;
+
+    if (majorVersion === 3) {
+      // Compressed or encrypted frames cannot be read
+      if (formatFlags & 0xc0) continue;
+      if (formatFlags & 0x20) data = data.subarray(1);
+    } else if (majorVersion === 4) {
+      if (formatFlags & 0x0c) continue;
+      if (formatFlags & 0x40) data = data.subarray(1);
+      if (formatFlags & 0x01) data = data.subarray(4);
+      if (unsynchronised || formatFlags & 0x02) data = removeUnsynchronisation(data);
+    }
+
+    if (data.length > 0) {
+      frames.push({ id, data });
+    }
+  }
+
+  return frames;
+};
+
+/**
+ * Returns the total size of an ID3v2 tag from its header, or 0 if there is none
+ * @param {Uint8Array} header - At least the first 10 bytes of the file
+ * @returns {number} - Tag size in bytes including header and footer
+ */
+export const getID3v2Size = (header) => {
+  if (header.length < HEADER_SIZE || decodeText(header.subarray(0, 3), 'latin1') !== 'ID3') {
+    return 0;
+  }
+
+  const hasFooter = header[5] & 0x10;
+  return HEADER_SIZE + readSyncsafe(header, 6) + (hasFooter ? HEADER_SIZE : 0);
+};
+
+/**
+ * Parses an ID3v2 tag
+ * @param {Uint8Array} bytes - Bytes starting with the "ID3" header
+ * @returns {Object|null} - Parsed tags or null if there is no valid tag
+ */
+export const parseID3v2 = (bytes) => {
+  if (getID3v2Size(bytes) === 0) return null;
+
+  const majorVersion = bytes[3];
+  if (majorVersion < 2 || majorVersion > 4) return null;
+
+  const flags = bytes[5];
+  const size = readSyncsafe(bytes, 6);
+  let body = bytes.subarray(HEADER_SIZE, HEADER_SIZE + size);
+
+  // v2.2/v2.3 unsynchronise the whole tag, v2.4 does it per frame
+  if (flags & 0x80 && majorVersion < 4) {
+    body = removeUnsynchronisation(body);
+  }
+
+  if (flags & 0x40 && majorVersion === 3) {
+    body = body.subarray(4 + readUint32BE(body, 0));
+  } else if (flags & 0x40 && majorVersion === 4) {
+    body = body.subarray(readSyncsafe(body, 0));
+  }
+
+  const tags = {};
+  const pictures = [];
+  const comments = [];
+
+  readFrames(body, majorVersion, majorVersion === 4 && Boolean(flags & 0x80)).forEach(({ id, data }) => {
+    if (TEXT_FRAMES[id]) {
+      const [value] = parseTextFrame(data);
+      tags[TEXT_FRAMES[id]] = tags[TEXT_FRAMES[id]] || value;
+      return;
+    }
+
+    switch (id) {
+      case 'TRCK': {
+        const { number, total } = parseNumberPair(parseTextFrame(data)[0]);
+        tags.trackNumber = number;
+        tags.trackTotal = total;
+        break;
+      }
+      case 'TPOS': {
+        const { number, total } = parseNumberPair(parseTextFrame(data)[0]);
+        tags.discNumber = number;
+        tags.discTotal = total;
+        break;
+      }
+      case 'TYER':
+      case 'TDRC':
+      case 'TDOR':
+        tags.year = tags.year || parseYear(parseTextFrame(data)[0]);
+        break;
+      case 'TCON':
+        tags.genre = parseTextFrame(data).map(resolveGenre).join(', ');
+        break;
+      case 'TXXX': {
+        const { description, value } = parseUserTextFrame(data);
+        const field = REPLAYGAIN_FIELDS[description.toUpperCase()];
+        if (field) {
+          tags[field] = parseReplayGain(value);
+        }
+        break;
+      }
+      case 'COMM':
+        comments.push(parseCommentFrame(data));
+        break;
+      case 'APIC':
+        pictures.push(parsePictureFrame(data, majorVersion));
+        break;
+      default:
+        break;
+    }
+  });
+
+  // iTunes stores its own data (iTunNORM, iTunSMPB, ...) as comments
+  const comment = comments.find(entry => !entry.description && entry.text) ||
+    comments.find(entry => !entry.description.startsWith('iTun') && entry.text);
+
+  // Encoder delay and padding written by iTunes
+  const iTunSMPB = comments.find(entry => entry.description === 'iTunSMPB');
+
+  return compactTags({
+    ...tags,
+    comment: comment?.text,
+    iTunSMPB: iTunSMPB?.text,
+    picture: pickPicture(pictures)
+  });
+};
+
+/**
+ * Parses an ID3v1 or ID3v1.1 tag
+ * @param {Uint8Array} bytes - The last 128 bytes of the file
+ * @returns {Object|null} - Parsed tags or null if there is no tag
+ */
+export const parseID3v1 = (bytes) => {
+  if (bytes.length < ID3V1_SIZE || decodeText(bytes.subarray(0, 3), 'latin1') !== 'TAG') {
+    return null;
+  }
+
+  const readField = (start, length) => decodeText(bytes.subarray(start, start + length), 'latin1')
+    .replace(/\0.*$/, '')
+    .trim();
+
+  // ID3v1.1 stores the track number in the last byte of the comment
+  const isV11 = bytes[125] === 0 && bytes[126] !== 0;
+
+  return compactTags({
+    title: readField(3, 30),
+    artist: readField(33, 30),
+    album: readField(63, 30),
+    year: parseYear(readField(93, 4)),
+    comment: readField(97, isV11 ? 28 : 30),
+    trackNumber: isV11 ? bytes[126] : undefined,
+    genre: ID3V1_GENRES[bytes[127]]
+  });
+};
+
+/**
+ * Reads ID3 tags from an audio file, preferring ID3v2 and falling back to ID3v1
+ * @param {Blob} file - The audio file
+ * @returns {Promise<Object|null>} - Parsed tags or null if the file has none
+ */
+export const readID3Tags = async (file) => {
+  const header = new Uint8Array(await file.slice(0, HEADER_SIZE).arrayBuffer());
+  const tagSize = getID3v2Size(header);
+
+  if (tagSize > 0) {
+    const bytes = new Uint8Array(await file.slice(0, tagSize).arrayBuffer());
+    const tags = parseID3v2(bytes);
+    if (tags && Object.keys(tags).length > 0) return tags;
+  }
+
+  if (file.size < ID3V1_SIZE) return null;
+
+  const trailer = new Uint8Array(await file.slice(file.size - ID3V1_SIZE).arrayBuffer());
+  return parseID3v1(trailer);
+};
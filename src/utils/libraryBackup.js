@@ -0,0 +1,276 @@
+import {
+  addTrackRecord,
+  clearLibraryDB,
+  deleteTrackRecord,
+  getAllTrackRecords,
+  getTrackBlob
+} from './libraryDB';
+import {
+  downloadBlob,
+  generatePlaylistId,
+  generateTrackId,
+  getPlaylists,
+  getSettings,
+  updateSettings
+} from './audioUtils';
+import { createTar, readTar } from './tarArchive';
+
+/**
+ * Library backups
+ * A backup is a tar archive holding `manifest.json` plus the audio and
+ * embedded picture of every track:
+ *
+ *   manifest.json        { format, version, createdAt, tracks, playlists, settings }
+ *   audio/<track id>     audio data as imported
+ *   pictures/<track id>  embedded cover, if any
+ *
+ * Manifest tracks are the stored track records (tags, play count, rating,
+ * bookmarks, waveform, loudness, ...) without the picture Blob, plus
+ * `audioFile` and `pictureFile` paths and the `pictureType`.
+ */
+
+const BACKUP_FORMAT = 'music-player-backup';
+const BACKUP_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+
+// What to do with a backup item that is already in the library
+export const CONFLICT_RESOLUTIONS = [
+  { value: 'skip', label: 'Keep the library’s' },
+  { value: 'replace', label: 'Use the backup’s' },
+  { value: 'keepBoth', label: 'Keep both' }
+];
+
+/**
+ * Writes the whole library to a backup archive and downloads it
+ * @param {Function} onProgress - Called with (done, total) tracks
+ * @returns {Promise<number|null>} - Number of tracks backed up, or null on failure
+ */
+export const exportLibraryBackup = async (onProgress) => {
+  try {
+    const records = await getAllTrackRecords();
+    const files = [];
+    const tracks = [];
+
+    for (const [index, record] of records.entries()) {
+      const audio = await getTrackBlob(record.id);
+      if (!audio) {
+        console.warn(`Skipping track without audio data: ${record.fileName}`);
+        continue;
+      }
+
+      const { picture, ...fields } = record;
+      const audioFile = `audio/${record.id}`;
+      const pictureFile = picture ? `pictures/${record.id}` : null;
+
+      files.push({ name: audioFile, data: audio });
+      if (picture) files.push({ name: pictureFile, data: picture });
+      tracks.push({ ...fields, audioFile, pictureFile, pictureType: picture?.type || null });
+
+      onProgress?.(index + 1, records.length);
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      tracks,
+      playlists: getPlaylists(),
+      settings: getSettings()
+    };
+
+    const date = manifest.createdAt.slice(0, 10);
+    downloadBlob(
+      createTar([{ name: MANIFEST_FILE, data: JSON.stringify(manifest) }, ...files]),
+      `music-library-${date}.tar`
+    );
+    return tracks.length;
+  } catch (error) {
+    console.error('Error exporting the library:', error);
+    return null;
+  }
+};
+
+/**
+ * Opens a backup archive
+ * @param {File} file - Archive chosen by the user
+ * @returns {Promise<{ manifest: Object, files: Map<string, Blob> }|null>} - Null if it is no backup
+ */
+export const readLibraryBackup = async (file) => {
+  try {
+    const files = await readTar(file);
+    const manifestFile = files.get(MANIFEST_FILE);
+    if (!manifestFile) return null;
+
+    const manifest = JSON.parse(await manifestFile.text());
+    if (manifest.format !== BACKUP_FORMAT || manifest.version > BACKUP_VERSION) return null;
+
+    return {
+      manifest: {
+        ...manifest,
+        tracks: manifest.tracks || [],
+        playlists: manifest.playlists || [],
+        settings: manifest.settings || {}
+      },
+      files
+    };
+  } catch (error) {
+    console.error('Error reading the library backup:', error);
+    return null;
+  }
+};
+
+/**
+ * Finds the backup tracks and playlists a merge would collide with.
+ * Tracks collide by id or by the same file (name and size); playlists by
+ * id or name.
+ * @param {Object} manifest - Backup manifest
+ * @param {Array} tracks - Library tracks
+ * @param {Array} playlists - Library playlists
+ * @returns {{ tracks: Array<{ item: Object, existing: Object }>, playlists: Array<{ item: Object, existing: Object }> }}
+ */
+export const findBackupConflicts = (manifest, tracks, playlists) => {
+  const tracksById = new Map(tracks.map(track => [track.id, track]));
+  const tracksByFile = new Map(tracks.map(track => [`${track.fileName}|${track.size}`, track]));
+  const playlistsById = new Map(playlists.map(playlist => [playlist.id, playlist]));
+  const playlistsByName = new Map(playlists.map(playlist => [playlist.name.toLowerCase(), playlist]));
+
+  return {
+    tracks: manifest.tracks
+      .map(item => ({ item, existing: tracksById.get(item.id) || tracksByFile.get(`${item.fileName}|${item.size}`) }))
+      .filter(conflict => conflict.existing),
+    playlists: manifest.playlists
+      .map(item => ({ item, existing: playlistsById.get(item.id) || playlistsByName.get(item.name.toLowerCase()) }))
+      .filter(conflict => conflict.existing)
+  };
+};
+
+/**
+ * Lists the library tracks a restore deletes: all of them when replacing
+ * the library, else those the backup's copy replaces
+ * @param {Object} manifest - Backup manifest
+ * @param {Object} options - The restore options (see restoreLibraryBackup)
+ * @returns {Array<string>} - Library track ids
+ */
+export const getOverwrittenTrackIds = (manifest, { mode, tracks, playlists, resolutions = {} }) => {
+  if (mode === 'replace') return tracks.map(track => track.id);
+
+  return findBackupConflicts(manifest, tracks, playlists).tracks
+    .filter(({ item }) => resolutions[item.id] === 'replace')
+    .map(({ existing }) => existing.id);
+};
+
+/**
+ * Stores one backup track
+ * @param {Object} backup - Opened backup
+ * @param {Object} item - Manifest track
+ * @param {string} id - Id to store it under
+ */
+const restoreTrack = async ({ files }, item, id) => {
+  const { audioFile, pictureFile, pictureType, ...fields } = item;
+  const audio = files.get(audioFile);
+  if (!audio) throw new Error(`Missing audio for ${item.fileName}`);
+
+  const picture = pictureFile && files.get(pictureFile)
+    ? new Blob([files.get(pictureFile)], { type: pictureType || '' })
+    : null;
+
+  await addTrackRecord({ ...fields, id, picture }, new Blob([audio], { type: item.type || '' }));
+};
+
+/**
+ * Restores a backup into the library
+ * @param {Object} backup - Opened backup (see readLibraryBackup)
+ * @param {Object} options
+ * @param {'merge'|'replace'} options.mode - Merge into the library or replace it
+ * @param {Array} options.tracks - Library tracks
+ * @param {Array} options.playlists - Library playlists
+ * @param {Object} options.resolutions - For merges: CONFLICT_RESOLUTIONS value by backup track or playlist id
+ * @param {boolean} options.restoreSettings - Also restore the settings
+ * @param {Function} options.onProgress - Called with (done, total) tracks
+ * @returns {Promise<{ restored: number, skipped: number, failed: number, playlists: Array }|null>} -
+ *   Counts of tracks and the resulting playlists, or null on failure
+ */
+export const restoreLibraryBackup = async (backup, {
+  mode,
+  tracks,
+  playlists,
+  resolutions = {},
+  restoreSettings = false,
+  onProgress
+}) => {
+  try {
+    const { manifest } = backup;
+    const isReplace = mode === 'replace';
+    const conflicts = isReplace ? { tracks: [], playlists: [] } : findBackupConflicts(manifest, tracks, playlists);
+    const trackConflicts = new Map(conflicts.tracks.map(({ item, existing }) => [item.id, existing]));
+    const playlistConflicts = new Map(conflicts.playlists.map(({ item, existing }) => [item.id, existing]));
+
+    if (isReplace) await clearLibraryDB();
+
+    // Library id each backup track ends up as, for the playlists
+    const trackIds = new Map();
+    const counts = { restored: 0, skipped: 0, failed: 0 };
+
+    for (const [index, item] of manifest.tracks.entries()) {
+      const existing = trackConflicts.get(item.id);
+      const resolution = existing ? resolutions[item.id] || 'skip' : null;
+
+      try {
+        if (resolution === 'skip') {
+          trackIds.set(item.id, existing.id);
+          counts.skipped++;
+        } else if (resolution === 'replace') {
+          // The replacement takes over the library track's id and playlist places
+          await deleteTrackRecord(existing.id);
+          await restoreTrack(backup, item, existing.id);
+          trackIds.set(item.id, existing.id);
+          counts.restored++;
+        } else {
+          const id = resolution === 'keepBoth' ? generateTrackId() : item.id;
+          await restoreTrack(backup, item, id);
+          trackIds.set(item.id, id);
+          counts.restored++;
+        }
+      } catch (error) {
+        console.error(`Error restoring ${item.fileName}:`, error);
+        counts.failed++;
+      }
+
+      onProgress?.(index + 1, manifest.tracks.length);
+    }
+
+    const remapPlaylist = (playlist) => ({
+      ...playlist,
+      trackIds: [...new Set(playlist.trackIds.map(id => trackIds.get(id)).filter(Boolean))]
+    });
+
+    let restoredPlaylists;
+    if (isReplace) {
+      restoredPlaylists = manifest.playlists.map(remapPlaylist);
+    } else {
+      restoredPlaylists = [...playlists];
+      manifest.playlists.forEach(playlist => {
+        const existing = playlistConflicts.get(playlist.id);
+        const resolution = existing ? resolutions[playlist.id] || 'skip' : null;
+
+        if (resolution === 'skip') return;
+        if (resolution === 'replace') {
+          restoredPlaylists = restoredPlaylists.map(item => (
+            item.id === existing.id ? { ...remapPlaylist(playlist), id: existing.id } : item
+          ));
+        } else if (resolution === 'keepBoth') {
+          restoredPlaylists.push({ ...remapPlaylist(playlist), id: generatePlaylistId(), name: `${playlist.name} (restored)` });
+        } else {
+          restoredPlaylists.push(remapPlaylist(playlist));
+        }
+      });
+    }
+
+    if (restoreSettings) updateSettings(manifest.settings);
+
+    return { ...counts, playlists: restoredPlaylists };
+  } catch (error) {
+    console.error('Error restoring the library backup:', error);
+    return null;
+  }
+};
@@ -0,0 +1,262 @@
+/**
+ * IndexedDB persistence layer for the track library
+ * Audio bytes are stored as Blobs in their own object store, keyed by track id,
+ * while track metadata lives in a separate indexed store so the library can be
+ * listed without loading any audio. Playback goes through cached object URLs.
+ */
+
+const DB_NAME = 'mp3_player_library';
+const DB_VERSION = 1;
+
+// Object store names
+export const STORES = {
+  TRACKS: 'tracks',
+  AUDIO: 'audio'
+};
+
+let dbPromise = null;
+
+// Object URLs handed out for playback and artwork, keyed by track id
+const objectUrls = new Map();
+const artworkUrls = new Map();
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wrap
+ * @returns {Promise<*>} - The request result
+ */
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Resolves once a transaction has committed
+ * @param {IDBTransaction} transaction - The transaction to wait for
+ * @returns {Promise<void>}
+ */
+const transactionDone = (transaction) => {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+};
+
+/**
+ * Creates or upgrades the object stores
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {number} oldVersion - Version the database is upgrading from
+ */
+const upgradeDatabase = (db, oldVersion) => {
+  if (oldVersion < 1) {
+    const tracks = db.createObjectStore(STORES.TRACKS, { keyPath: 'id' });
+    tracks.createIndex('title', 'title');
+    tracks.createIndex('artist', 'artist');
+    tracks.createIndex('album', 'album');
+    tracks.createIndex('addedAt', 'addedAt');
+
+    db.createObjectStore(STORES.AUDIO);
+  }
+};
+
+/**
+ * Opens (and lazily creates) the library database
+ * @returns {Promise<IDBDatabase>} - The open database
+ */
+export const openLibraryDB = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not supported in this browser'));
+      return;
+    }
+
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      upgradeDatabase(request.result, event.oldVersion);
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+
+      // Let a newer tab upgrade the schema instead of blocking it
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+
+      resolve(db);
+    };
+
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn('Library database upgrade is blocked by another tab');
+  }).catch((error) => {
+    dbPromise = null;
+    throw error;
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Stores a track record together with its audio data
+ * @param {Object} track - Track metadata, must contain an `id`
+ * @param {Blob} blob - Audio data
+ * @returns {Promise<Object>} - The stored track record
+ */
+export const addTrackRecord = async (track, blob) => {
+  const db = await openLibraryDB();
+  const transaction = db.transaction([STORES.TRACKS, STORES.AUDIO], 'readwrite');
+
+  transaction.objectStore(STORES.TRACKS).put(track);
+  transaction.objectStore(STORES.AUDIO).put(blob, track.id);
+
+  await transactionDone(transaction);
+  return track;
+};
+
+/**
+ * Lists every track record in the order they were added
+ * @returns {Promise<Array>} - Array of track records
+ */
+export const getAllTrackRecords = async () => {
+  const db = await openLibraryDB();
+  const transaction = db.transaction(STORES.TRACKS, 'readonly');
+  const index = transaction.objectStore(STORES.TRACKS).index('addedAt');
+
+  return promisifyRequest(index.getAll());
+};
+
+/**
+ * Retrieves a single track record
+ * @param {string} trackId - ID of the track
+ * @returns {Promise<Object|null>} - Track record or null
+ */
+export const getTrackRecord = async (trackId) => {
+  const db = await openLibraryDB();
+  const transaction = db.transaction(STORES.TRACKS, 'readonly');
+  const track = await promisifyRequest(transaction.objectStore(STORES.TRACKS).get(trackId));
+
+  return track || null;
+};
+
+/**
+ * Merges updates into a stored track record
+ * @param {string} trackId - ID of the track
+ * @param {Object} updates - Fields to merge
+ * @returns {Promise<Object|null>} - Updated record, or null if it does not exist
+ */
+export const updateTrackRecord = async (trackId, updates) => {
+  const db = await openLibraryDB();
+  const transaction = db.transaction(STORES.TRACKS, 'readwrite');
+  const store = transaction.objectStore(STORES.TRACKS);
+  const existing = await promisifyRequest(store.get(trackId));
+
+  if (!existing) return null;
+
+  const updated = { ...existing, ...updates, id: trackId };
+  store.put(updated);
+
+  await transactionDone(transaction);
+  return updated;
+};
+
+/**
+ * Deletes a track record and its audio data
+ * @param {string} trackId - ID of the track
+ * @returns {Promise<void>}
+ */
+export const deleteTrackRecord = async (trackId) => {
+  const db = await openLibraryDB();
+  const transaction = db.transaction([STORES.TRACKS, STORES.AUDIO], 'readwrite');
+
+  transaction.objectStore(STORES.TRACKS).delete(trackId);
+  transaction.objectStore(STORES.AUDIO).delete(trackId);
+
+  await transactionDone(transaction);
+  revokeTrackUrl(trackId);
+};
+
+/**
+ * Removes every track and all audio data
+ * @returns {Promise<void>}
+ */
+export const clearLibraryDB = async () => {
+  const db = await openLibraryDB();
+  const transaction = db.transaction([STORES.TRACKS, STORES.AUDIO], 'readwrite');
+
+  transaction.objectStore(STORES.TRACKS).clear();
+  transaction.objectStore(STORES.AUDIO).clear();
+
+  await transactionDone(transaction);
+
+  objectUrls.forEach((url) => URL.revokeObjectURL(url));
+  objectUrls.clear();
+  artworkUrls.forEach((url) => URL.revokeObjectURL(url));
+  artworkUrls.clear();
+};
+
+/**
+ * Retrieves the audio data of a track
+ * @param {string} trackId - ID of the track
+ * @returns {Promise<Blob|null>} - Audio blob or null
+ */
+export const getTrackBlob = async (trackId) => {
+  const db = await openLibraryDB();
+  const transaction = db.transaction(STORES.AUDIO, 'readonly');
+  const blob = await promisifyRequest(transaction.objectStore(STORES.AUDIO).get(trackId));
+
+  return blob || null;
+};
+
+/**
+ * Returns a playable object URL for a track, creating it on first use
+ * @param {string} trackId - ID of the track
+ * @returns {Promise<string|null>} - Object URL or null if the audio is missing
+ */
+export const getTrackUrl = async (trackId) => {
+  if (objectUrls.has(trackId)) return objectUrls.get(trackId);
+
+  const blob = await getTrackBlob(trackId);
+  if (!blob) return null;
+
+  // Another caller may have raced us while the blob was loading
+  if (objectUrls.has(trackId)) return objectUrls.get(trackId);
+
+  const url = URL.createObjectURL(blob);
+  objectUrls.set(trackId, url);
+  return url;
+};
+
+/**
+ * Returns an object URL for the embedded picture of a track record
+ * @param {Object} track - Track record with an optional `picture` Blob
+ * @returns {string|null} - Object URL or null if the track has no picture
+ */
+export const getArtworkUrl = (track) => {
+  if (!track?.picture) return null;
+  if (artworkUrls.has(track.id)) return artworkUrls.get(track.id);
+
+  const url = URL.createObjectURL(track.picture);
+  artworkUrls.set(track.id, url);
+  return url;
+};
+
+/**
+ * Releases the object URLs of a track
+ * @param {string} trackId - ID of the track
+ */
+export const revokeTrackUrl = (trackId) => {
+  [objectUrls, artworkUrls].forEach((urls) => {
+    const url = urls.get(trackId);
+    if (url) {
+      URL.revokeObjectURL(url);
+      urls.delete(trackId);
+    }
+  });
+};
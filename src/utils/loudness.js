@@ -0,0 +1,332 @@
+/**
+ * Loudness analysis and normalization gain
+ * Measures integrated loudness (EBU R128 / ITU-R BS.1770, in LUFS) and true
+ * peak of a decoded track, and turns stored measurements or ReplayGain tags
+ * into the gain applied at playback.
+ */
+
+// ReplayGain 2.0 gains are relative to this level
+export const REPLAYGAIN_REFERENCE = -18;
+
+export const NORMALIZATION_MODES = {
+  OFF: 'off',
+  TRACK: 'track',
+  ALBUM: 'album'
+};
+
+export const DEFAULT_TARGET_LEVEL = -18;
+export const MIN_TARGET_LEVEL = -24;
+export const MAX_TARGET_LEVEL = -10;
+
+// Gating blocks of 400ms with 75% overlap, built from 100ms steps
+const STEP_SECONDS = 0.1;
+const STEPS_PER_BLOCK = 4;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// Steps (five seconds of audio) measured between yields to the main thread
+const STEPS_PER_YIELD = 50;
+
+// Channel weights for L, R, C, LFE, Ls, Rs; the LFE channel is ignored
+const CHANNEL_WEIGHTS = [1, 1, 1, 0, 1.41, 1.41];
+
+// BS.1770 annex 2 four times oversampling filter, one row per phase
+const TRUE_PEAK_PHASES = [
+  [0.0017089843750, 0.0109863281250, -0.0196533203125, 0.0332031250000, -0.0594482421875, 0.1373291015625,
+    0.9721679687500, -0.1022949218750, 0.0476074218750, -0.0266113281250, 0.0148925781250, -0.0083007812500],
+  [-0.0291748046875, 0.0292968750000, -0.0517578125000, 0.0891113281250, -0.1665039062500, 0.4650878906250,
+    0.7797851562500, -0.2003173828125, 0.1015625000000, -0.0582275390625, 0.0330810546875, -0.0189208984375],
+  [-0.0189208984375, 0.0330810546875, -0.0582275390625, 0.1015625000000, -0.2003173828125, 0.7797851562500,
+    0.4650878906250, -0.1665039062500, 0.0891113281250, -0.0517578125000, 0.0292968750000, -0.0291748046875],
+  [-0.0083007812500, 0.0148925781250, -0.0266113281250, 0.0476074218750, -0.1022949218750, 0.9721679687500,
+    0.1373291015625, -0.0594482421875, 0.0332031250000, -0.0196533203125, 0.0109863281250, 0.0017089843750]
+];
+
+// Largest output of any phase for a full scale input window
+const TRUE_PEAK_MAX_GAIN = Math.max(...TRUE_PEAK_PHASES.map(
+  coefficients => coefficients.reduce((sum, value) => sum + Math.abs(value), 0)
+));
+
+const toDecibels = (value) => 20 * Math.log10(value);
+const fromDecibels = (value) => Math.pow(10, value / 20);
+const energyToLoudness = (energy) => -0.691 + 10 * Math.log10(energy);
+
+/**
+ * Derives the two K-weighting biquads (high shelf, then high pass) for a sample rate
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<{ b: Array<number>, a: Array<number> }>}
+ */
+const createKWeighting = (sampleRate) => {
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+
+  const shelf = {
+    b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+
+  const highPass = {
+    b: [1, -2, 1],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  return [shelf, highPass];
+};
+
+/**
+ * Creates a stateful biquad (direct form I) that filters one sample per call
+ * @param {{ b: Array<number>, a: Array<number> }} filter - Coefficients, a0 normalized to 1
+ * @returns {function(number): number}
+ */
+const createBiquad = ({ b, a }) => {
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+
+  return (x) => {
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    return y;
+  };
+};
+
+/**
+ * Raises a running true peak with the samples in a range, oversampled four times
+ * @param {Float32Array} samples - Channel data
+ * @param {number} start - First sample
+ * @param {number} end - End of the range (exclusive)
+ * @param {number} peak - Peak so far
+ * @returns {number} - New linear peak
+ */
+const updateTruePeak = (samples, start, end, peak) => {
+  const taps = TRUE_PEAK_PHASES[0].length;
+
+  for (let n = start; n < end; n++) {
+    const sample = Math.abs(samples[n]);
+    if (sample > peak) peak = sample;
+    if (n < taps - 1) continue;
+
+    // Interpolating a window this quiet cannot exceed the current peak
+    let windowPeak = 0;
+    for (let k = 0; k < taps; k++) {
+      const value = Math.abs(samples[n - k]);
+      if (value > windowPeak) windowPeak = value;
+    }
+    if (windowPeak * TRUE_PEAK_MAX_GAIN <= peak) continue;
+
+    for (let phase = 0; phase < TRUE_PEAK_PHASES.length; phase++) {
+      const coefficients = TRUE_PEAK_PHASES[phase];
+      let value = 0;
+      for (let k = 0; k < taps; k++) {
+        value += coefficients[k] * samples[n - k];
+      }
+      if (Math.abs(value) > peak) peak = Math.abs(value);
+    }
+  }
+
+  return peak;
+};
+
+/**
+ * Applies the absolute and relative gates to the 100ms step energies
+ * @param {Float64Array} stepEnergy - Weighted mean square per step
+ * @returns {number|null} - Integrated loudness in LUFS, or null for silence
+ */
+const gateLoudness = (stepEnergy) => {
+  const blocks = [];
+  for (let step = 0; step + STEPS_PER_BLOCK <= stepEnergy.length; step++) {
+    let energy = 0;
+    for (let i = 0; i < STEPS_PER_BLOCK; i++) {
+      energy += stepEnergy[step + i];
+    }
+    blocks.push(energy / STEPS_PER_BLOCK);
+  }
+
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  const audible = blocks.filter(energy => energy > 0 && energyToLoudness(energy) > ABSOLUTE_GATE);
+  if (!audible.length) return null;
+
+  const threshold = energyToLoudness(mean(audible)) + RELATIVE_GATE;
+  const gated = audible.filter(energy => energyToLoudness(energy) > threshold);
+
+  return energyToLoudness(mean(gated));
+};
+
+const yieldToMain = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Measures integrated loudness and true peak of decoded audio, yielding to
+ * the main thread every few seconds of audio so the page stays responsive
+ * @param {Array<Float32Array>} channels - Channel data
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Promise<{ loudness: number|null, truePeak: number }>} - LUFS and linear peak
+ */
+export const measureLoudness = async (channels, sampleRate) => {
+  const kWeighting = createKWeighting(sampleRate);
+  const meters = channels.map((samples, channel) => ({
+    samples,
+    weight: channels.length > 2 ? CHANNEL_WEIGHTS[channel] ?? 1 : 1,
+    filters: kWeighting.map(createBiquad)
+  }));
+
+  const length = channels[0]?.length || 0;
+  const stepLength = Math.round(sampleRate * STEP_SECONDS);
+  const stepEnergy = new Float64Array(Math.floor(length / stepLength));
+  let truePeak = 0;
+
+  for (let step = 0; step < stepEnergy.length; step++) {
+    if (step > 0 && step % STEPS_PER_YIELD === 0) {
+      await yieldToMain();
+    }
+
+    const start = step * stepLength;
+    const end = start + stepLength;
+
+    meters.forEach(({ samples, weight, filters: [applyShelf, applyHighPass] }) => {
+      truePeak = updateTruePeak(samples, start, end, truePeak);
+      if (!weight) return;
+
+      let sum = 0;
+      for (let i = start; i < end; i++) {
+        const value = applyHighPass(applyShelf(samples[i]));
+        sum += value * value;
+      }
+      stepEnergy[step] += weight * sum / stepLength;
+    });
+  }
+
+  // Samples after the last full step still count towards the peak
+  meters.forEach(({ samples }) => {
+    truePeak = updateTruePeak(samples, stepEnergy.length * stepLength, length, truePeak);
+  });
+
+  return { loudness: gateLoudness(stepEnergy), truePeak };
+};
+
+/**
+ * Measures the loudness and true peak of a decoded track
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @returns {Promise<Object>} - { loudness, truePeak } in LUFS and dBTP, null when silent
+ */
+export const analyzeLoudness = async (buffer) => {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, index) => buffer.getChannelData(index));
+  const { loudness, truePeak } = await measureLoudness(channels, buffer.sampleRate);
+
+  return {
+    loudness,
+    truePeak: truePeak > 0 ? toDecibels(truePeak) : null
+  };
+};
+
+/**
+ * Whether a track still needs a loudness measurement
+ * @param {Object} track - Track record
+ * @returns {boolean}
+ */
+export const needsLoudnessAnalysis = (track) => {
+  return track.loudness === undefined && track.replayGainTrackGain === undefined;
+};
+
+/**
+ * Loudness and peak of a track, preferring its ReplayGain tags over the measurement
+ * @param {Object} track - Track record
+ * @returns {{ loudness: number|null, truePeak: number|null }} - LUFS and dBTP
+ */
+export const getTrackLoudness = (track) => {
+  if (track?.replayGainTrackGain !== undefined) {
+    return {
+      loudness: REPLAYGAIN_REFERENCE - track.replayGainTrackGain,
+      truePeak: track.replayGainTrackPeak > 0 ? toDecibels(track.replayGainTrackPeak) : null
+    };
+  }
+
+  return {
+    loudness: track?.loudness ?? null,
+    truePeak: track?.truePeak ?? null
+  };
+};
+
+/**
+ * Combines the measurements of an album's tracks, weighting each by its duration
+ * @param {Array<Object>} tracks - Tracks of one album
+ * @returns {{ loudness: number|null, truePeak: number|null }}
+ */
+export const getAlbumLoudness = (tracks) => {
+  let energy = 0;
+  let totalDuration = 0;
+  let truePeak = null;
+
+  tracks.forEach((track) => {
+    const { loudness, truePeak: trackPeak } = getTrackLoudness(track);
+    if (loudness === null) return;
+
+    const duration = track.duration || 1;
+    energy += duration * Math.pow(10, loudness / 10);
+    totalDuration += duration;
+    if (trackPeak !== null) truePeak = Math.max(truePeak ?? trackPeak, trackPeak);
+  });
+
+  return {
+    loudness: totalDuration ? 10 * Math.log10(energy / totalDuration) : null,
+    truePeak
+  };
+};
+
+/**
+ * Album loudness and peak of a track, preferring its ReplayGain album tags
+ * @param {Object} track - Track record
+ * @param {Array<Object>} albumTracks - Library tracks of the same album
+ * @returns {{ loudness: number|null, truePeak: number|null }} - LUFS and dBTP
+ */
+const getTrackAlbumLoudness = (track, albumTracks) => {
+  if (track.replayGainAlbumGain !== undefined) {
+    return {
+      loudness: REPLAYGAIN_REFERENCE - track.replayGainAlbumGain,
+      truePeak: track.replayGainAlbumPeak > 0 ? toDecibels(track.replayGainAlbumPeak) : null
+    };
+  }
+
+  return getAlbumLoudness(albumTracks);
+};
+
+/**
+ * Linear gain that brings a track to the target level without clipping
+ * @param {Object} track - Track record
+ * @param {Object} options
+ * @param {string} options.mode - One of NORMALIZATION_MODES
+ * @param {number} options.targetLevel - Target loudness in LUFS
+ * @param {Array<Object>} options.albumTracks - Library tracks of the same album, for album mode
+ * @returns {number} - Linear gain, 1 when the loudness is unknown
+ */
+export const getNormalizationGain = (track, { mode, targetLevel, albumTracks = [] }) => {
+  if (!track || mode === NORMALIZATION_MODES.OFF) return 1;
+
+  let measurement = mode === NORMALIZATION_MODES.ALBUM
+    ? getTrackAlbumLoudness(track, albumTracks.length ? albumTracks : [track])
+    : getTrackLoudness(track);
+
+  // Nothing on the album is measured yet; use the track gain instead
+  if (measurement.loudness === null) {
+    measurement = getTrackLoudness(track);
+  }
+  if (measurement.loudness === null) return 1;
+
+  let gain = targetLevel - measurement.loudness;
+  if (measurement.truePeak !== null) {
+    gain = Math.min(gain, -measurement.truePeak);
+  }
+
+  return fromDecibels(gain);
+};
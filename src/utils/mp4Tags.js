@@ -0,0 +1,289 @@
+/**
+ * iTunes-style metadata parser for MP4/M4A files
+ * Walks moov/udta/meta/ilst and reads the item atoms (©nam, ©ART, ©alb,
+ * trkn, covr, ...) into the shared metadata shape.
+ */
+
+import {
+  decodeText,
+  readUint32BE,
+  parseYear,
+  pickPicture,
+  compactTags,
+  parseReplayGain,
+  REPLAYGAIN_FIELDS
+} from './tagUtils';
+import { ID3V1_GENRES } from './id3Tags';
+
+// Well-known data types of an ilst 'data' atom
+const DATA_TYPES = {
+  UTF8: 1,
+  UTF16: 2,
+  JPEG: 13,
+  PNG: 14,
+  BMP: 27
+};
+
+// Text items mapped onto metadata fields
+const TEXT_ITEMS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  'aART': 'albumArtist',
+  '©alb': 'album',
+  '©gen': 'genre',
+  '©cmt': 'comment',
+  '©day': 'year'
+};
+
+// Freeform '----' items (by name) mapped onto metadata fields
+const FREEFORM_ITEMS = {
+  iTunSMPB: 'iTunSMPB'
+};
+
+// A moov atom beyond this size is not worth loading just for its tags
+const MAX_MOOV_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Lists the atoms contained in a byte range
+ * @param {Uint8Array} bytes - Buffer holding the atoms
+ * @param {number} start - Offset of the first atom
+ * @param {number} end - Offset after the last atom
+ * @returns {Array<{ type: string, start: number, end: number }>} - Atom
+ *   types with the range of their payload
+ */
+const readAtoms = (bytes, start, end) => {
+  const atoms = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = readUint32BE(bytes, offset);
+    const type = decodeText(bytes.subarray(offset + 4, offset + 8), 'latin1');
+    let headerSize = 8;
+
+    if (size === 1) {
+      // 64-bit size; anything past 2^53 is not a tag container anyway
+      size = readUint32BE(bytes, offset + 8) * 2 ** 32 + readUint32BE(bytes, offset + 12);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < headerSize || offset + size > end) break;
+
+    atoms.push({ type, start: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+
+  return atoms;
+};
+
+/**
+ * Tells where the children of a meta atom begin. In MP4 files meta is a
+ * full box whose children follow 4 bytes of version and flags; QuickTime
+ * files store moov/meta without them, starting right away with a child
+ * atom (usually hdlr).
+ * @param {Uint8Array} bytes - Buffer holding the atom
+ * @param {{ start: number, end: number }} meta - The meta atom
+ * @returns {number} - Offset of the first child
+ */
+const getMetaChildrenStart = (bytes, meta) => {
+  if (meta.end - meta.start < 8) return meta.start + 4;
+
+  const size = readUint32BE(bytes, meta.start);
+  const type = decodeText(bytes.subarray(meta.start + 4, meta.start + 8), 'latin1');
+  const startsWithAtom = size >= 8 && meta.start + size <= meta.end && /^[a-z0-9 ]{4}$/i.test(type);
+
+  return startsWithAtom ? meta.start : meta.start + 4;
+};
+
+/**
+ * Finds a child atom by path
+ * @param {Uint8Array} bytes - Buffer holding the atoms
+ * @param {{ start: number, end: number }} parent - Range to search in
+ * @param {Array<string>} path - Atom types to descend through
+ * @returns {{ type: string, start: number, end: number }|null}
+ */
+const findAtom = (bytes, parent, path) => {
+  let current = parent;
+
+  for (const type of path) {
+    const childrenStart = current.type === 'meta' ? getMetaChildrenStart(bytes, current) : current.start;
+    const child = readAtoms(bytes, childrenStart, current.end).find(atom => atom.type === type);
+    if (!child) return null;
+    current = child;
+  }
+
+  return current;
+};
+
+/**
+ * Reads the 'data' atoms of an ilst item
+ * @param {Uint8Array} bytes - Buffer holding the item
+ * @param {{ start: number, end: number }} item - The item atom
+ * @returns {Array<{ type: number, value: Uint8Array }>}
+ */
+const readItemData = (bytes, item) => {
+  return readAtoms(bytes, item.start, item.end)
+    .filter(atom => atom.type === 'data' && atom.end - atom.start >= 8)
+    .map(atom => ({
+      // The first byte is a version, the next three the data type
+      type: readUint32BE(bytes, atom.start) & 0xffffff,
+      value: bytes.subarray(atom.start + 8, atom.end)
+    }));
+};
+
+/**
+ * Decodes a text 'data' value
+ * @param {{ type: number, value: Uint8Array }} data - Item data
+ * @returns {string}
+ */
+const decodeItemText = ({ type, value }) => {
+  return decodeText(value, type === DATA_TYPES.UTF16 ? 'utf-16be' : 'utf-8').trim();
+};
+
+/**
+ * Decodes a trkn/disk value (reserved, number, total as 16-bit integers)
+ * @param {Uint8Array} value - Item value
+ * @returns {{ number: number|undefined, total: number|undefined }}
+ */
+const decodeNumberPair = (value) => {
+  if (value.length < 6) return { number: undefined, total: undefined };
+
+  const number = (value[2] << 8) | value[3];
+  const total = (value[4] << 8) | value[5];
+
+  return {
+    number: number || undefined,
+    total: total || undefined
+  };
+};
+
+/**
+ * Reads the name of a freeform '----' item
+ * @param {Uint8Array} bytes - Buffer holding the item
+ * @param {{ start: number, end: number }} item - The item atom
+ * @returns {string} - Name such as 'iTunSMPB', or an empty string
+ */
+const readFreeformName = (bytes, item) => {
+  const name = readAtoms(bytes, item.start, item.end).find(atom => atom.type === 'name');
+  // name is a full box: skip its version and flags
+  return name ? decodeText(bytes.subarray(name.start + 4, name.end), 'utf-8') : '';
+};
+
+/**
+ * Parses an ilst atom
+ * @param {Uint8Array} bytes - Buffer holding the atom
+ * @param {{ start: number, end: number }} ilst - The ilst atom
+ * @returns {Object} - Parsed tags
+ */
+export const parseIlst = (bytes, ilst) => {
+  const tags = {};
+  const pictures = [];
+
+  readAtoms(bytes, ilst.start, ilst.end).forEach((item) => {
+    const [data] = readItemData(bytes, item);
+    if (!data) return;
+
+    if (TEXT_ITEMS[item.type]) {
+      tags[TEXT_ITEMS[item.type]] = decodeItemText(data);
+      return;
+    }
+
+    switch (item.type) {
+      case 'trkn': {
+        const { number, total } = decodeNumberPair(data.value);
+        tags.trackNumber = number;
+        tags.trackTotal = total;
+        break;
+      }
+      case 'disk': {
+        const { number, total } = decodeNumberPair(data.value);
+        tags.discNumber = number;
+        tags.discTotal = total;
+        break;
+      }
+      case 'gnre': {
+        // ID3v1 genre index plus one
+        const index = data.value.length >= 2 ? ((data.value[0] << 8) | data.value[1]) - 1 : -1;
+        tags.genre = tags.genre || ID3V1_GENRES[index];
+        break;
+      }
+      case '----': {
+        const name = readFreeformName(bytes, item);
+        const replayGainField = REPLAYGAIN_FIELDS[name.toUpperCase()];
+        if (FREEFORM_ITEMS[name]) {
+          tags[FREEFORM_ITEMS[name]] = decodeItemText(data);
+        } else if (replayGainField) {
+          tags[replayGainField] = parseReplayGain(decodeItemText(data));
+        }
+        break;
+      }
+      case 'covr':
+        readItemData(bytes, item).forEach(({ type, value }) => {
+          pictures.push({
+            mimeType: type === DATA_TYPES.PNG ? 'image/png' : type === DATA_TYPES.BMP ? 'image/bmp' : 'image/jpeg',
+            type: 3,
+            description: '',
+            data: value.slice()
+          });
+        });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return compactTags({
+    ...tags,
+    year: parseYear(tags.year),
+    picture: pickPicture(pictures)
+  });
+};
+
+/**
+ * Locates the top-level moov atom without reading the media data
+ * @param {Blob} file - The MP4 file
+ * @returns {Promise<{ start: number, size: number, headerSize: number }|null>}
+ */
+const locateMoov = async (file) => {
+  let offset = 0;
+
+  while (offset + 8 <= file.size) {
+    const header = new Uint8Array(await file.slice(offset, offset + 16).arrayBuffer());
+    let size = readUint32BE(header, 0);
+    const type = decodeText(header.subarray(4, 8), 'latin1');
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = readUint32BE(header, 8) * 2 ** 32 + readUint32BE(header, 12);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = file.size - offset;
+    }
+
+    if (size < headerSize) return null;
+    if (type === 'moov') return { start: offset, size, headerSize };
+
+    offset += size;
+  }
+
+  return null;
+};
+
+/**
+ * Reads iTunes-style metadata from an MP4/M4A file
+ * @param {Blob} file - The MP4 file
+ * @returns {Promise<Object|null>} - Parsed tags or null
+ */
+export const readMP4Tags = async (file) => {
+  const moov = await locateMoov(file);
+  if (!moov || moov.size > MAX_MOOV_BYTES) return null;
+
+  const bytes = new Uint8Array(await file.slice(moov.start, moov.start + moov.size).arrayBuffer());
+  const root = { type: 'moov', start: moov.headerSize, end: bytes.length };
+
+  const ilst = findAtom(bytes, root, ['udta', 'meta', 'ilst']) ||
+    findAtom(bytes, root, ['meta', 'ilst']);
+
+  return ilst ? parseIlst(bytes, ilst) : null;
+};
@@ -0,0 +1,396 @@
+import { createSearchIndex } from './searchIndex';
+import { downloadBlob } from './audioUtils';
+
+/**
+ * Playlist files (M3U, M3U8, PLS, XSPF)
+ * Imported entries are matched to library tracks by relative path, then by
+ * file name, then by a fuzzy search of title and artist checked against the
+ * duration. Exports write M3U8, XSPF or JSON.
+ */
+
+const PLAYLIST_FILE_PATTERN = /\.(m3u8?|pls|xspf)$/i;
+
+// Seconds an entry's duration may differ from its fuzzy match
+const DURATION_TOLERANCE = 5;
+
+/**
+ * Whether a file is a playlist this app can import
+ * @param {File} file - File to check
+ * @returns {boolean}
+ */
+export const isPlaylistFile = (file) => Boolean(file?.name.match(PLAYLIST_FILE_PATTERN));
+
+const stripExtension = (name) => name.replace(/\.[^./]+$/, '');
+
+/**
+ * Turns a playlist location (path, file URL or URL) into a comparable path
+ * @param {string} location - Entry location
+ * @returns {string} - Lower-case path with forward slashes, without drive or scheme
+ */
+const normalizePath = (location) => {
+  let path = location.trim().replace(/\\/g, '/');
+  try {
+    path = decodeURIComponent(path);
+  } catch {
+    // Keep locations that are not valid URI encoding as they are
+  }
+  return path
+    .replace(/^file:\/+/i, '')
+    .replace(/^[a-z]:\//i, '')
+    .replace(/^(\.\.?\/)+/, '')
+    .toLowerCase();
+};
+
+const getBaseName = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+/**
+ * Splits an "Artist - Title" display name
+ * @param {string} name - Display name
+ * @returns {{ artist: string|null, title: string }}
+ */
+const splitDisplayName = (name) => {
+  const separator = name.indexOf(' - ');
+  if (separator === -1) return { artist: null, title: name.trim() };
+  return { artist: name.slice(0, separator).trim(), title: name.slice(separator + 3).trim() };
+};
+
+/**
+ * Parses an M3U or M3U8 playlist, with or without #EXTINF lines
+ * @param {string} text - File contents
+ * @returns {{ name: string|null, entries: Array }}
+ */
+const parseM3U = (text) => {
+  const entries = [];
+  let name = null;
+  let info = null;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#EXTINF:')) {
+      const [, length, displayName = ''] = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,?(.*)$/) || [];
+      const duration = Number(length);
+      info = { duration: duration > 0 ? duration : null, ...splitDisplayName(displayName) };
+    } else if (line.startsWith('#PLAYLIST:')) {
+      name = line.slice('#PLAYLIST:'.length).trim() || null;
+    } else if (!line.startsWith('#')) {
+      entries.push({ location: line, title: null, artist: null, duration: null, ...info });
+      info = null;
+    }
+  });
+
+  return { name, entries };
+};
+
+/**
+ * Parses a PLS playlist
+ * @param {string} text - File contents
+ * @returns {{ name: string|null, entries: Array }}
+ */
+const parsePLS = (text) => {
+  const byNumber = new Map();
+
+  text.split(/\r?\n/).forEach(line => {
+    const [, key, number, value] = line.trim().match(/^(File|Title|Length)(\d+)\s*=(.*)$/i) || [];
+    if (!key) return;
+    if (!byNumber.has(number)) byNumber.set(number, {});
+    byNumber.get(number)[key.toLowerCase()] = value.trim();
+  });
+
+  const entries = [...byNumber]
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .filter(([, entry]) => entry.file)
+    .map(([, entry]) => {
+      const duration = Number(entry.length);
+      return {
+        location: entry.file,
+        ...(entry.title ? splitDisplayName(entry.title) : { title: null, artist: null }),
+        duration: duration > 0 ? duration : null
+      };
+    });
+
+  return { name: null, entries };
+};
+
+/**
+ * Parses an XSPF playlist
+ * @param {string} text - File contents
+ * @returns {{ name: string|null, entries: Array }}
+ */
+const parseXSPF = (text) => {
+  const document = new DOMParser().parseFromString(text, 'application/xml');
+  if (document.querySelector('parsererror')) {
+    throw new Error('Invalid XSPF playlist');
+  }
+
+  // Direct children only, so a track's <title> is not taken for the playlist's
+  const childText = (element, tagName) => (
+    Array.from(element?.children || []).find(child => child.localName === tagName)?.textContent.trim() || null
+  );
+
+  const playlist = document.documentElement;
+  const trackList = Array.from(playlist.children).find(child => child.localName === 'trackList');
+  const entries = Array.from(trackList?.children || [])
+    .filter(track => track.localName === 'track')
+    .map(track => {
+      const duration = Number(childText(track, 'duration'));
+      return {
+        location: childText(track, 'location') || '',
+        title: childText(track, 'title'),
+        artist: childText(track, 'creator'),
+        duration: duration > 0 ? duration / 1000 : null
+      };
+    })
+    .filter(entry => entry.location || entry.title);
+
+  return { name: childText(playlist, 'title'), entries };
+};
+
+/**
+ * Reads a playlist file's text. Plain .m3u files are often Latin-1, so
+ * text that is not valid UTF-8 is read as Windows-1252.
+ * @param {File} file - Playlist file
+ * @returns {Promise<string>}
+ */
+const readPlaylistText = async (file) => {
+  const buffer = await file.arrayBuffer();
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+};
+
+/**
+ * Reads and parses a playlist file
+ * @param {File} file - M3U, M3U8, PLS or XSPF file
+ * @returns {Promise<{ name: string, entries: Array<{ location: string, title: string|null, artist: string|null, duration: number|null }> }|null>}
+ */
+export const parsePlaylistFile = async (file) => {
+  try {
+    const text = await readPlaylistText(file);
+    const extension = file.name.match(PLAYLIST_FILE_PATTERN)?.[1].toLowerCase();
+    const parsers = { m3u: parseM3U, m3u8: parseM3U, pls: parsePLS, xspf: parseXSPF };
+    const { name, entries } = parsers[extension](text);
+
+    return { name: name || stripExtension(file.name), entries };
+  } catch (error) {
+    console.error(`Error parsing playlist ${file.name}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Matches playlist entries to library tracks
+ * @param {Array} entries - Parsed playlist entries
+ * @param {Array} tracks - Library tracks
+ * @returns {Array<{ entry: Object, track: Object|null, matchedBy: 'path'|'fileName'|'fuzzy'|null }>} - In entry order
+ */
+export const matchPlaylistEntries = (entries, tracks) => {
+  const byPath = new Map();
+  const byFileName = new Map();
+  tracks.forEach(track => {
+    const path = normalizePath(track.filePath || track.fileName || '');
+    if (path.includes('/') && !byPath.has(path)) byPath.set(path, track);
+
+    const fileName = getBaseName(path);
+    if (fileName && !byFileName.has(fileName)) byFileName.set(fileName, track);
+  });
+
+  // Relative paths in a playlist usually end with the path the track was imported with
+  const findByPath = (path) => {
+    for (const [trackPath, track] of byPath) {
+      if (path === trackPath || path.endsWith(`/${trackPath}`) || trackPath.endsWith(`/${path}`)) {
+        return track;
+      }
+    }
+    return null;
+  };
+
+  let index = null;
+  const findFuzzy = (entry, path) => {
+    if (!index) {
+      index = createSearchIndex();
+      tracks.forEach(track => index.add(track));
+    }
+
+    const quote = (text) => `"${text.replace(/"/g, ' ')}"`;
+    // Without tags, the file name stands in, minus any leading track number
+    const query = entry.title
+      ? [`title:${quote(entry.title)}`, entry.artist && `artist:${quote(entry.artist)}`].filter(Boolean).join(' ')
+      : stripExtension(getBaseName(path)).replace(/^\d+[\s._-]*/, '').replace(/[_-]+/g, ' ');
+
+    const result = index.search(query).find(({ track }) => (
+      !entry.duration || !track.duration || Math.abs(entry.duration - track.duration) <= DURATION_TOLERANCE
+    ));
+    return result?.track || null;
+  };
+
+  return entries.map(entry => {
+    const path = normalizePath(entry.location);
+    const matches = [
+      ['path', () => (path.includes('/') ? findByPath(path) : null)],
+      ['fileName', () => byFileName.get(getBaseName(path)) || null],
+      ['fuzzy', () => findFuzzy(entry, path)]
+    ];
+
+    for (const [matchedBy, find] of matches) {
+      const track = find();
+      if (track) return { entry, track, matchedBy };
+    }
+    return { entry, track: null, matchedBy: null };
+  });
+};
+
+// Formats playlists export to
+export const PLAYLIST_EXPORT_FORMATS = [
+  { value: 'm3u8', label: 'M3U8', mimeType: 'audio/x-mpegurl' },
+  { value: 'xspf', label: 'XSPF', mimeType: 'application/xspf+xml' },
+  { value: 'json', label: 'JSON', mimeType: 'application/json' }
+];
+
+// Placeholders extractMetadata fills in for missing tags; not worth exporting
+const PLACEHOLDER_TAGS = {
+  artist: 'Unknown Artist',
+  album: 'Unknown Album'
+};
+
+/**
+ * Reads a tag of a track, skipping empty values and placeholders
+ * @param {Object} track - Track record
+ * @param {string} field - Tag name
+ * @returns {*} - The value, or undefined
+ */
+const getTag = (track, field) => {
+  const value = track[field];
+  if (value === null || value === undefined || value === '' || value === PLACEHOLDER_TAGS[field]) return undefined;
+  return value;
+};
+
+// The path a track was imported with; folder imports keep their folders
+const getTrackPath = (track) => track.filePath || track.fileName || '';
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Writes an extended M3U playlist (UTF-8)
+ * @param {string} name - Playlist name
+ * @param {Array} tracks - Tracks in order
+ * @returns {string}
+ */
+const writeM3U8 = (name, tracks) => {
+  const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+  tracks.forEach(track => {
+    const duration = track.duration ? Math.round(track.duration) : -1;
+    const artist = getTag(track, 'artist');
+    lines.push(`#EXTINF:${duration},${artist ? `${artist} - ` : ''}${track.title}`);
+    lines.push(getTrackPath(track));
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Writes an XSPF playlist; locations are relative URIs
+ * @param {string} name - Playlist name
+ * @param {Array} tracks - Tracks in order
+ * @returns {string}
+ */
+const writeXSPF = (name, tracks) => {
+  const element = (tagName, value) => (
+    value === undefined ? null : `      <${tagName}>${escapeXml(value)}</${tagName}>`
+  );
+
+  const trackElements = tracks.map(track => [
+    '    <track>',
+    element('location', getTrackPath(track).split('/').map(encodeURIComponent).join('/')),
+    element('title', getTag(track, 'title')),
+    element('creator', getTag(track, 'artist')),
+    element('album', getTag(track, 'album')),
+    element('trackNum', getTag(track, 'trackNumber')),
+    element('duration', track.duration ? Math.round(track.duration * 1000) : undefined),
+    '    </track>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(name)}</title>`,
+    `  <date>${new Date().toISOString()}</date>`,
+    '  <trackList>',
+    ...trackElements,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Writes a JSON playlist:
+ *
+ *   {
+ *     "format": "music-player-playlist",
+ *     "version": 1,
+ *     "name": "Road trip",
+ *     "exportedAt": "2024-05-01T12:00:00.000Z",
+ *     "tracks": [
+ *       {
+ *         "title": "Let It Be",        always present
+ *         "artist": "The Beatles",
+ *         "album": "Let It Be",
+ *         "albumArtist": "The Beatles",
+ *         "genre": "Rock",
+ *         "year": 1970,
+ *         "trackNumber": 6,
+ *         "discNumber": 1,
+ *         "duration": 243.02,          seconds
+ *         "fileName": "06 Let It Be.mp3",
+ *         "filePath": "Beatles/06 Let It Be.mp3"
+ *       }
+ *     ]
+ *   }
+ *
+ * Tags a track does not have are left out.
+ * @param {string} name - Playlist name
+ * @param {Array} tracks - Tracks in order
+ * @returns {string}
+ */
+const writeJSON = (name, tracks) => {
+  const fields = ['title', 'artist', 'album', 'albumArtist', 'genre', 'year', 'trackNumber', 'discNumber', 'duration', 'fileName'];
+
+  return JSON.stringify({
+    format: 'music-player-playlist',
+    version: 1,
+    name,
+    exportedAt: new Date().toISOString(),
+    tracks: tracks.map(track => ({
+      ...Object.fromEntries(fields.map(field => [field, getTag(track, field)])),
+      filePath: getTrackPath(track)
+    }))
+  }, null, 2);
+};
+
+/**
+ * Exports tracks as a playlist file and downloads it
+ * @param {string} name - Playlist name, also used for the file name
+ * @param {Array} tracks - Tracks in order
+ * @param {string} format - One of PLAYLIST_EXPORT_FORMATS
+ * @returns {boolean} - Success status
+ */
+export const exportPlaylist = (name, tracks, format) => {
+  try {
+    const writers = { m3u8: writeM3U8, xspf: writeXSPF, json: writeJSON };
+    const { mimeType } = PLAYLIST_EXPORT_FORMATS.find(item => item.value === format);
+    const content = writers[format](name, tracks);
+
+    downloadBlob(new Blob([content], { type: `${mimeType};charset=utf-8` }), `${name}.${format}`);
+    return true;
+  } catch (error) {
+    console.error(`Error exporting playlist ${name}:`, error);
+    return false;
+  }
+};
@@ -0,0 +1,339 @@
+/**
+ * Full-text search over the library
+ * An inverted index maps every word of a track's text fields to the tracks
+ * and fields it appears in. Query words match indexed words exactly, as a
+ * prefix or within a small edit distance, and a query can be narrowed with
+ * field prefixes:
+ *   artist:beatles  title:"let it be"  genre:jazz  year:>2010  year:1990..1999  rating:>=4
+ */
+
+// Searchable text fields and how much a match in each counts
+const TEXT_FIELDS = {
+  title: { weight: 3, getValue: track => track.title },
+  artist: { weight: 2.5, getValue: track => track.artist },
+  album: { weight: 2, getValue: track => track.album },
+  genre: { weight: 1.5, getValue: track => track.genre },
+  comment: { weight: 0.75, getValue: track => track.comment },
+  fileName: { weight: 1, getValue: track => track.fileName }
+};
+
+// Fields that can be compared with numbers in a query
+const NUMERIC_FIELDS = {
+  year: track => track.year,
+  rating: track => track.rating || 0,
+  plays: track => track.playCount || 0,
+  duration: track => track.duration
+};
+
+// Prefixes a query may use for the text fields
+const FIELD_PREFIXES = {
+  title: 'title',
+  artist: 'artist',
+  album: 'album',
+  genre: 'genre',
+  comment: 'comment',
+  file: 'fileName',
+  filename: 'fileName'
+};
+
+// How well a query word matches an indexed word
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.75,
+  fuzzy: 0.5
+};
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const QUERY_PATTERN = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+const NUMERIC_CONDITION = /^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/;
+const NUMERIC_RANGE = /^(\d+(?:\.\d+)?)\.\.(\d+(?:\.\d+)?)$/;
+
+/**
+ * Lower-cases a word and strips its accents
+ * @param {string} word - Word to normalize
+ * @returns {string}
+ */
+const normalizeWord = (word) => word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Splits text into normalized words, keeping where each one sits in the text
+ * @param {string} text - Text to split
+ * @returns {Array<{ word: string, start: number, end: number }>}
+ */
+const tokenize = (text) => {
+  return Array.from(String(text || '').matchAll(WORD_PATTERN), match => ({
+    word: normalizeWord(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+};
+
+/**
+ * Optimal string alignment distance (edits and swaps of neighbours),
+ * giving up once it exceeds a maximum
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} - The distance, or max + 1 when it is larger
+ */
+const editDistance = (a, b, max) => {
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow[j] = distance;
+      rowMin = Math.min(rowMin, distance);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+/**
+ * Typos allowed in a query word; short words must match exactly
+ * @param {string} word - Query word
+ * @returns {number}
+ */
+const allowedTypos = (word) => {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+};
+
+/**
+ * Reads a numeric condition such as ">2010", "<=3", "1990..1999" or "2004"
+ * @param {string} value - Condition text
+ * @returns {Function|null} - Test for a number, or null if the text is no condition
+ */
+const parseNumericCondition = (value) => {
+  const range = value.match(NUMERIC_RANGE);
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+    return number => number >= min && number <= max;
+  }
+
+  const condition = value.match(NUMERIC_CONDITION);
+  if (!condition) return null;
+
+  const target = Number(condition[2]);
+  const tests = {
+    '>': number => number > target,
+    '>=': number => number >= target,
+    '<': number => number < target,
+    '<=': number => number <= target,
+    '=': number => number === target
+  };
+  return tests[condition[1] || '='];
+};
+
+/**
+ * Splits a query into words (optionally tied to a field) and numeric filters
+ * @param {string} query - Search query
+ * @returns {{ terms: Array<{ word: string, field: string|null }>, filters: Array<Function> }}
+ */
+export const parseQuery = (query) => {
+  const terms = [];
+  const filters = [];
+  const addWords = (text, field = null) => {
+    tokenize(text).forEach(({ word }) => terms.push({ word, field }));
+  };
+
+  for (const match of String(query || '').matchAll(QUERY_PATTERN)) {
+    const [whole, prefix, quotedValue, value, quoted, plain] = match;
+    const fieldValue = quotedValue ?? value;
+    const name = prefix?.toLowerCase();
+
+    if (name && FIELD_PREFIXES[name]) {
+      addWords(fieldValue, FIELD_PREFIXES[name]);
+    } else if (name && NUMERIC_FIELDS[name] && parseNumericCondition(fieldValue)) {
+      const test = parseNumericCondition(fieldValue);
+      const getValue = NUMERIC_FIELDS[name];
+      filters.push(track => Number.isFinite(getValue(track)) && test(getValue(track)));
+    } else {
+      addWords(quoted ?? plain ?? whole);
+    }
+  }
+
+  return { terms, filters };
+};
+
+/**
+ * Splits text into plain and highlighted parts
+ * @param {string} text - Text to split
+ * @param {Array<[number, number]>} ranges - Highlighted [start, end) ranges, in order
+ * @returns {Array<{ text: string, isMatch: boolean }>}
+ */
+export const highlightText = (text, ranges = []) => {
+  const parts = [];
+  let position = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (start < position) return;
+    if (start > position) parts.push({ text: text.slice(position, start), isMatch: false });
+    parts.push({ text: text.slice(start, end), isMatch: true });
+    position = end;
+  });
+
+  if (position < text.length) parts.push({ text: text.slice(position), isMatch: false });
+  return parts;
+};
+
+/**
+ * Creates an empty search index. Tracks are added and removed one at a
+ * time so the index follows the library without being rebuilt.
+ * @returns {Object} - Index API
+ */
+export const createSearchIndex = () => {
+  // Indexed words of each track, by field
+  const documents = new Map();
+  // Word -> track id -> fields it appears in
+  const postings = new Map();
+
+  const remove = (trackId) => {
+    const document = documents.get(trackId);
+    if (!document) return;
+
+    Object.values(document.fields).forEach(tokens => {
+      tokens.forEach(({ word }) => {
+        const tracks = postings.get(word);
+        if (!tracks) return;
+        tracks.delete(trackId);
+        if (!tracks.size) postings.delete(word);
+      });
+    });
+    documents.delete(trackId);
+  };
+
+  // Adding a track that is already indexed replaces it
+  const add = (track) => {
+    remove(track.id);
+
+    const fields = {};
+    Object.entries(TEXT_FIELDS).forEach(([field, { getValue }]) => {
+      fields[field] = tokenize(getValue(track));
+      fields[field].forEach(({ word }) => {
+        if (!postings.has(word)) postings.set(word, new Map());
+        const tracks = postings.get(word);
+        if (!tracks.has(track.id)) tracks.set(track.id, new Set());
+        tracks.get(track.id).add(field);
+      });
+    });
+
+    documents.set(track.id, { track, fields });
+  };
+
+  // Indexed words a query word stands for, with how well each matches and
+  // how much of it to highlight (null for the whole word)
+  const expandWord = (queryWord) => {
+    const maxTypos = allowedTypos(queryWord);
+    const expansions = [];
+
+    postings.forEach((_, word) => {
+      if (word === queryWord) {
+        expansions.push({ word, quality: MATCH_QUALITY.exact, length: null });
+      } else if (word.startsWith(queryWord)) {
+        expansions.push({ word, quality: MATCH_QUALITY.prefix, length: queryWord.length });
+      } else if (maxTypos && Math.abs(word.length - queryWord.length) <= maxTypos) {
+        const distance = editDistance(queryWord, word, maxTypos);
+        if (distance <= maxTypos) {
+          expansions.push({ word, quality: MATCH_QUALITY.fuzzy / distance, length: null });
+        }
+      }
+    });
+
+    return expansions;
+  };
+
+  // Highlight ranges of the matched words in each field of a document
+  const getHighlights = (document, matchedWords) => {
+    const highlights = {};
+    Object.entries(matchedWords).forEach(([field, words]) => {
+      highlights[field] = document.fields[field]
+        .filter(({ word }) => words.has(word))
+        .map(({ word, start, end }) => [start, words.get(word) === null ? end : start + words.get(word)]);
+    });
+    return highlights;
+  };
+
+  /**
+   * Finds the tracks matching every word and filter of a query
+   * @param {string} query - Search query
+   * @returns {Array<{ track: Object, score: number, highlights: Object }>} - Best first;
+   *   highlights holds [start, end) ranges by field name
+   */
+  const search = (query) => {
+    const { terms, filters } = parseQuery(query);
+    if (!terms.length && !filters.length) return [];
+
+    const candidates = [...documents.values()].filter(({ track }) => filters.every(test => test(track)));
+    const results = new Map(candidates.map(document => [document.track.id, { document, score: 0, matchedWords: {} }]));
+
+    terms.forEach(({ word: queryWord, field: onlyField }) => {
+      const best = new Map();
+
+      expandWord(queryWord).forEach(({ word, quality, length }) => {
+        postings.get(word).forEach((fields, trackId) => {
+          if (!results.has(trackId)) return;
+
+          fields.forEach(field => {
+            if (onlyField && field !== onlyField) return;
+            const score = quality * TEXT_FIELDS[field].weight;
+            const entry = best.get(trackId) || { score: 0, words: [] };
+            entry.score = Math.max(entry.score, score);
+            entry.words.push({ field, word, length });
+            best.set(trackId, entry);
+          });
+        });
+      });
+
+      // Every word must match; tracks without this one drop out
+      results.forEach((result, trackId) => {
+        const entry = best.get(trackId);
+        if (!entry) {
+          results.delete(trackId);
+          return;
+        }
+
+        result.score += entry.score;
+        entry.words.forEach(({ field, word, length }) => {
+          result.matchedWords[field] = result.matchedWords[field] || new Map();
+          const known = result.matchedWords[field].get(word);
+          // A whole-word match highlights more than a prefix
+          result.matchedWords[field].set(word, known === null || length === null ? null : Math.max(known || 0, length));
+        });
+      });
+    });
+
+    return [...results.values()]
+      .sort((a, b) => b.score - a.score || String(a.document.track.title).localeCompare(String(b.document.track.title)))
+      .map(({ document, score, matchedWords }) => ({
+        track: document.track,
+        score,
+        highlights: getHighlights(document, matchedWords)
+      }));
+  };
+
+  return {
+    add,
+    remove,
+    search,
+    has: (trackId) => documents.has(trackId),
+    getTrack: (trackId) => documents.get(trackId)?.track || null,
+    get size() {
+      return documents.size;
+    }
+  };
+};
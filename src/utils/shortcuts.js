@@ -0,0 +1,119 @@
+/**
+ * Keyboard shortcuts
+ * Actions are bound to single keys, named the way KeyboardEvent.key names
+ * them (letters upper-cased, the space bar as "Space"). The user's keymap is
+ * stored in the settings and only lists the bindings that differ.
+ */
+
+import { getSettings, updateSettings } from './audioUtils';
+
+// Seconds the seek shortcuts move and the volume step of the volume shortcuts
+export const SHORTCUT_SEEK_STEP = 5;
+export const SHORTCUT_VOLUME_STEP = 0.05;
+
+// Every action that can be bound, in the order the shortcuts overlay lists them
+export const SHORTCUT_ACTIONS = [
+  { id: 'togglePlay', label: 'Play / pause', defaultKey: 'Space' },
+  { id: 'seekBackward', label: `Back ${SHORTCUT_SEEK_STEP} seconds`, defaultKey: 'ArrowLeft' },
+  { id: 'seekForward', label: `Forward ${SHORTCUT_SEEK_STEP} seconds`, defaultKey: 'ArrowRight' },
+  { id: 'volumeUp', label: 'Volume up', defaultKey: 'ArrowUp' },
+  { id: 'volumeDown', label: 'Volume down', defaultKey: 'ArrowDown' },
+  { id: 'next', label: 'Next track', defaultKey: 'N' },
+  { id: 'previous', label: 'Previous track', defaultKey: 'P' },
+  { id: 'toggleMute', label: 'Mute', defaultKey: 'M' },
+  { id: 'toggleShuffle', label: 'Shuffle', defaultKey: 'S' },
+  { id: 'cycleRepeat', label: 'Repeat mode', defaultKey: 'R' },
+  { id: 'toggleLike', label: 'Like', defaultKey: 'L' },
+  { id: 'slowDown', label: 'Slower', defaultKey: '<' },
+  { id: 'speedUp', label: 'Faster', defaultKey: '>' },
+  { id: 'showShortcuts', label: 'Show shortcuts', defaultKey: '?' }
+];
+
+export const DEFAULT_KEYMAP = Object.fromEntries(
+  SHORTCUT_ACTIONS.map(action => [action.id, action.defaultKey])
+);
+
+// Keys that only modify others and can't be bound on their own
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'AltGraph'];
+
+// Elements that act on the space bar themselves
+const ACTIVATABLE_ROLES = ['button', 'link', 'checkbox', 'switch', 'radio', 'tab', 'menuitem', 'option', 'slider'];
+
+const KEY_LABELS = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓'
+};
+
+/**
+ * Returns the binding name of a key press
+ * @param {KeyboardEvent} e - The key event
+ * @returns {string|null} - Key name, or null for a lone modifier
+ */
+export const getEventKey = (e) => {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+  if (e.key === ' ') return 'Space';
+  return e.key.length === 1 ? e.key.toUpperCase() : e.key;
+};
+
+/**
+ * Formats a key name for display
+ * @param {string|null} key - Key name
+ * @returns {string}
+ */
+export const formatKey = (key) => (key ? KEY_LABELS[key] || key : 'Unbound');
+
+/**
+ * Tells whether a key press belongs to the focused element rather than the player:
+ * typing in a text field, or the space bar on a button or slider
+ * @param {KeyboardEvent} e - The key event
+ * @returns {boolean}
+ */
+export const isFocusedTarget = (e) => {
+  const target = e.target;
+  if (!(target instanceof HTMLElement)) return false;
+  if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return true;
+
+  const role = target.getAttribute('role') || target.tagName.toLowerCase();
+  const isActivatable = ACTIVATABLE_ROLES.includes(role) || target.tagName === 'A';
+  return isActivatable && e.key === ' ';
+};
+
+/**
+ * Retrieves the keymap: the defaults with the user's bindings on top
+ * @returns {Object} - Key name (or null) by action id
+ */
+export const getKeymap = () => {
+  const saved = getSettings().keymap || {};
+  const keymap = { ...DEFAULT_KEYMAP };
+
+  Object.keys(DEFAULT_KEYMAP).forEach((actionId) => {
+    if (actionId in saved) keymap[actionId] = saved[actionId];
+  });
+
+  return keymap;
+};
+
+/**
+ * Saves the bindings that differ from the defaults
+ * @param {Object} keymap - Key name (or null) by action id
+ * @returns {boolean} - Success status
+ */
+export const saveKeymap = (keymap) => {
+  const changed = Object.fromEntries(
+    Object.entries(keymap).filter(([actionId, key]) => DEFAULT_KEYMAP[actionId] !== key)
+  );
+  return updateSettings({ keymap: changed });
+};
+
+/**
+ * Finds the action bound to a key
+ * @param {Object} keymap - Key name (or null) by action id
+ * @param {string} key - Key name
+ * @returns {string|null} - Action id
+ */
+export const findActionForKey = (keymap, key) => {
+  const entry = Object.entries(keymap).find(([, boundKey]) => boundKey === key);
+  return entry ? entry[0] : null;
+};
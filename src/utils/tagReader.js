@@ -0,0 +1,51 @@
+/**
+ * Container detection for embedded tags
+ * Sniffs the first bytes of an audio file and hands it to the matching
+ * parser. Every parser returns the same metadata shape.
+ */
+
+import { decodeText } from './tagUtils';
+import { readID3Tags, getID3v2Size } from './id3Tags';
+import { readFlacTags, readOggTags } from './vorbisTags';
+import { readMP4Tags } from './mp4Tags';
+
+/**
+ * Detects the container format of an audio file
+ * @param {Blob} file - The audio file
+ * @returns {Promise<string>} - 'flac', 'ogg', 'mp4' or 'mpeg'
+ */
+export const detectContainer = async (file) => {
+  const header = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+  const magic = decodeText(header.subarray(0, 4), 'latin1');
+
+  if (magic === 'fLaC') return 'flac';
+  if (magic === 'OggS') return 'ogg';
+  if (decodeText(header.subarray(4, 8), 'latin1') === 'ftyp') return 'mp4';
+
+  // FLAC files occasionally carry an ID3v2 tag in front of the stream marker
+  const id3Size = getID3v2Size(header);
+  if (id3Size > 0 && id3Size + 4 <= file.size) {
+    const marker = new Uint8Array(await file.slice(id3Size, id3Size + 4).arrayBuffer());
+    if (decodeText(marker, 'latin1') === 'fLaC') return 'flac';
+  }
+
+  return 'mpeg';
+};
+
+/**
+ * Reads embedded tags from any supported container
+ * @param {Blob} file - The audio file
+ * @returns {Promise<Object|null>} - Parsed tags or null
+ */
+export const readAudioTags = async (file) => {
+  switch (await detectContainer(file)) {
+    case 'flac':
+      return (await readFlacTags(file)) || readID3Tags(file);
+    case 'ogg':
+      return readOggTags(file);
+    case 'mp4':
+      return readMP4Tags(file);
+    default:
+      return readID3Tags(file);
+  }
+};
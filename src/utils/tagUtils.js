@@ -0,0 +1,114 @@
+/**
+ * Shared helpers for the audio tag parsers
+ * Text decoding, number parsing and picture selection used by every
+ * container format so they all produce the same metadata shape.
+ */
+
+// Picture type of a front cover (ID3 APIC / FLAC PICTURE)
+export const FRONT_COVER = 3;
+
+const decoders = {};
+
+/**
+ * Decodes a byte range into a string
+ * @param {Uint8Array} bytes - Bytes to decode
+ * @param {string} encoding - TextDecoder label, e.g. 'utf-8', 'utf-16le', 'latin1'
+ * @returns {string} - Decoded string with trailing nulls removed
+ */
+export const decodeText = (bytes, encoding = 'utf-8') => {
+  if (!decoders[encoding]) {
+    decoders[encoding] = new TextDecoder(encoding);
+  }
+  return decoders[encoding].decode(bytes).replace(/\0+$/, '');
+};
+
+/**
+ * Reads a 32-bit big-endian unsigned integer
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Offset of the first byte
+ * @returns {number}
+ */
+export const readUint32BE = (bytes, offset) => {
+  return ((bytes[offset] << 24) >>> 0) +
+    (bytes[offset + 1] << 16) +
+    (bytes[offset + 2] << 8) +
+    bytes[offset + 3];
+};
+
+/**
+ * Reads a 32-bit little-endian unsigned integer
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Offset of the first byte
+ * @returns {number}
+ */
+export const readUint32LE = (bytes, offset) => {
+  return bytes[offset] +
+    (bytes[offset + 1] << 8) +
+    (bytes[offset + 2] << 16) +
+    ((bytes[offset + 3] << 24) >>> 0);
+};
+
+/**
+ * Parses "3/12" style values into a number and a total
+ * @param {string} value - Raw tag value
+ * @returns {{ number: number|undefined, total: number|undefined }}
+ */
+export const parseNumberPair = (value) => {
+  const [number, total] = String(value || '').split('/').map(part => parseInt(part, 10));
+  return {
+    number: Number.isFinite(number) && number > 0 ? number : undefined,
+    total: Number.isFinite(total) && total > 0 ? total : undefined
+  };
+};
+
+/**
+ * Extracts a four digit year from a date-like tag value
+ * @param {string} value - Raw tag value, e.g. "2011" or "2011-04-02T10:00"
+ * @returns {number|undefined}
+ */
+export const parseYear = (value) => {
+  const match = String(value || '').match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : undefined;
+};
+
+/**
+ * Picks the best cover from a list of embedded pictures,
+ * preferring the front cover
+ * @param {Array<Object>} pictures - Parsed pictures
+ * @returns {Object|undefined}
+ */
+export const pickPicture = (pictures) => {
+  if (!pictures.length) return undefined;
+  return pictures.find(picture => picture.type === FRONT_COVER) || pictures[0];
+};
+
+/**
+ * Drops empty values so parsed tags can be spread over defaults
+ * @param {Object} tags - Parsed tags
+ * @returns {Object} - Tags without empty strings, nulls or undefined values
+ */
+export const compactTags = (tags) => {
+  return Object.fromEntries(
+    Object.entries(tags).filter(([, value]) => (
+      value !== undefined && value !== null && !(typeof value === 'string' && value.trim() === '')
+    ))
+  );
+};
+
+// ReplayGain fields as written by taggers (upper-cased), mapped onto metadata fields
+export const REPLAYGAIN_FIELDS = {
+  REPLAYGAIN_TRACK_GAIN: 'replayGainTrackGain',
+  REPLAYGAIN_TRACK_PEAK: 'replayGainTrackPeak',
+  REPLAYGAIN_ALBUM_GAIN: 'replayGainAlbumGain',
+  REPLAYGAIN_ALBUM_PEAK: 'replayGainAlbumPeak'
+};
+
+/**
+ * Parses a ReplayGain gain or peak value
+ * @param {string} value - Raw tag value, e.g. "-6.48 dB" or "0.988553"
+ * @returns {number|undefined}
+ */
+export const parseReplayGain = (value) => {
+  const number = parseFloat(String(value || '').trim().replace(',', '.'));
+  return Number.isFinite(number) ? number : undefined;
+};
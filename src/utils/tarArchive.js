@@ -0,0 +1,125 @@
+/**
+ * Minimal tar (ustar) archives
+ * Archives are assembled from Blobs without reading them into memory, so a
+ * library of several gigabytes can be written; reading slices the archive
+ * Blob the same way. Only regular files are supported.
+ */
+
+const BLOCK_SIZE = 512;
+const NAME_LENGTH = 100;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Writes a zero-padded octal number field, NUL terminated
+ * @param {Uint8Array} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length including the terminator
+ * @param {number} value - Number to write
+ */
+const writeOctal = (header, offset, length, value) => {
+  header.set(encoder.encode(value.toString(8).padStart(length - 1, '0')), offset);
+};
+
+/**
+ * Builds the header block of a file entry
+ * @param {string} name - Path inside the archive, at most 100 bytes
+ * @param {number} size - File size in bytes
+ * @param {number} modified - Modification time in milliseconds
+ * @returns {Uint8Array}
+ */
+const createHeader = (name, size, modified) => {
+  const nameBytes = encoder.encode(name);
+  if (nameBytes.length > NAME_LENGTH) {
+    throw new Error(`Archive path too long: ${name}`);
+  }
+
+  const header = new Uint8Array(BLOCK_SIZE);
+  header.set(nameBytes, 0);
+  writeOctal(header, 100, 8, 0o644);
+  writeOctal(header, 108, 8, 0);
+  writeOctal(header, 116, 8, 0);
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, Math.floor(modified / 1000));
+  header[156] = '0'.charCodeAt(0);
+  header.set(encoder.encode('ustar\u000000'), 257);
+
+  // The checksum is computed with its own field filled with spaces
+  header.fill(' '.charCodeAt(0), 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.set(encoder.encode(`${checksum.toString(8).padStart(6, '0')}\u0000 `), 148);
+
+  return header;
+};
+
+/**
+ * Creates a tar archive
+ * @param {Array<{ name: string, data: Blob|string }>} files - Files in archive order
+ * @returns {Blob}
+ */
+export const createTar = (files) => {
+  const parts = [];
+  const now = Date.now();
+
+  files.forEach(({ name, data }) => {
+    const blob = typeof data === 'string' ? new Blob([data]) : data;
+    parts.push(createHeader(name, blob.size, blob.lastModified || now), blob);
+
+    const padding = (BLOCK_SIZE - (blob.size % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding) parts.push(new Uint8Array(padding));
+  });
+
+  // Two empty blocks end the archive
+  parts.push(new Uint8Array(BLOCK_SIZE * 2));
+  return new Blob(parts, { type: 'application/x-tar' });
+};
+
+/**
+ * Reads a NUL-terminated text field
+ * @param {Uint8Array} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {string}
+ */
+const readString = (header, offset, length) => {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return decoder.decode(end === -1 ? field : field.subarray(0, end));
+};
+
+/**
+ * Lists the regular files of a tar archive
+ * @param {Blob} archive - Archive to read
+ * @returns {Promise<Map<string, Blob>>} - File contents by path; slices of the archive
+ */
+export const readTar = async (archive) => {
+  const files = new Map();
+  let offset = 0;
+
+  while (offset + BLOCK_SIZE <= archive.size) {
+    const header = new Uint8Array(await archive.slice(offset, offset + BLOCK_SIZE).arrayBuffer());
+    if (header.every(byte => byte === 0)) break;
+
+    const checksum = parseInt(readString(header, 148, 8).trim(), 8);
+    const sum = header.reduce((total, byte, index) => (
+      total + (index >= 148 && index < 156 ? 32 : byte)
+    ), 0);
+    if (checksum !== sum) {
+      throw new Error('Not a tar archive or the archive is damaged');
+    }
+
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const prefix = readString(header, 345, 155);
+    const name = prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100);
+    const type = String.fromCharCode(header[156]);
+    const dataStart = offset + BLOCK_SIZE;
+
+    if (type === '0' || type === '\u0000') {
+      files.set(name, archive.slice(dataStart, dataStart + size));
+    }
+    offset = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+
+  return files;
+};
@@ -0,0 +1,335 @@
+/**
+ * Vorbis comment parser for FLAC and Ogg (Vorbis, Opus) files
+ * Reads the comment block from FLAC METADATA_BLOCKs or from the comment
+ * header packet of an Ogg stream, including embedded cover pictures.
+ */
+
+import {
+  decodeText,
+  readUint32BE,
+  readUint32LE,
+  parseNumberPair,
+  parseYear,
+  pickPicture,
+  compactTags,
+  parseReplayGain,
+  REPLAYGAIN_FIELDS
+} from './tagUtils';
+import { getID3v2Size } from './id3Tags';
+
+// Opus R128 gains are Q7.8 dB relative to -23 LUFS, ReplayGain is relative to -18 LUFS
+const R128_TO_REPLAYGAIN = 5;
+
+// FLAC metadata block types
+const FLAC_BLOCK_TYPES = {
+  VORBIS_COMMENT: 4,
+  PICTURE: 6
+};
+
+// Stop reading headers past this point; real comment headers are far smaller
+const MAX_HEADER_BYTES = 16 * 1024 * 1024;
+const INITIAL_READ_BYTES = 64 * 1024;
+
+/**
+ * Decodes base64 into bytes
+ * @param {string} value - Base64 string
+ * @returns {Uint8Array}
+ */
+const base64ToBytes = (value) => {
+  const binary = atob(value.replace(/\s+/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Reads the start of a file
+ * @param {Blob} file - The file to read
+ * @param {number} length - Number of bytes to read
+ * @returns {Promise<Uint8Array>}
+ */
+const readHead = async (file, length) => {
+  return new Uint8Array(await file.slice(0, Math.min(length, file.size)).arrayBuffer());
+};
+
+/**
+ * Parses a FLAC PICTURE block (also used by METADATA_BLOCK_PICTURE)
+ * @param {Uint8Array} bytes - Picture block data
+ * @returns {Object|null} - Picture with mimeType, type, description and data
+ */
+export const parseFlacPicture = (bytes) => {
+  if (bytes.length < 32) return null;
+
+  let offset = 0;
+  const type = readUint32BE(bytes, offset);
+  const mimeLength = readUint32BE(bytes, offset + 4);
+  offset += 8;
+
+  const mimeType = decodeText(bytes.subarray(offset, offset + mimeLength), 'latin1') || 'image/jpeg';
+  offset += mimeLength;
+
+  const descriptionLength = readUint32BE(bytes, offset);
+  offset += 4;
+
+  const description = decodeText(bytes.subarray(offset, offset + descriptionLength));
+  // Skip description, width, height, colour depth and palette size
+  offset += descriptionLength + 16;
+
+  const dataLength = readUint32BE(bytes, offset);
+  offset += 4;
+
+  if (offset + dataLength > bytes.length) return null;
+
+  return {
+    mimeType,
+    type,
+    description,
+    data: bytes.slice(offset, offset + dataLength)
+  };
+};
+
+/**
+ * Parses a Vorbis comment block into upper-cased field lists
+ * @param {Uint8Array} bytes - Comment block, starting at the vendor length
+ * @returns {Object<string, Array<string>>} - Field name to values
+ */
+export const parseVorbisComment = (bytes) => {
+  const fields = {};
+  let offset = 0;
+
+  const vendorLength = readUint32LE(bytes, offset);
+  offset += 4 + vendorLength;
+  if (offset + 4 > bytes.length) return fields;
+
+  const count = readUint32LE(bytes, offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = readUint32LE(bytes, offset);
+    offset += 4;
+    if (offset + length > bytes.length) break;
+
+    const comment = decodeText(bytes.subarray(offset, offset + length));
+    offset += length;
+
+    const separator = comment.indexOf('=');
+    if (separator <= 0) continue;
+
+    const key = comment.slice(0, separator).toUpperCase();
+    fields[key] = [...(fields[key] || []), comment.slice(separator + 1)];
+  }
+
+  return fields;
+};
+
+/**
+ * Maps Vorbis comment fields onto the shared metadata shape
+ * @param {Object<string, Array<string>>} fields - Parsed comment fields
+ * @param {Array<Object>} pictures - Pictures found outside the comments (FLAC)
+ * @returns {Object} - Parsed tags
+ */
+export const vorbisFieldsToTags = (fields, pictures = []) => {
+  const first = (...keys) => {
+    const key = keys.find(name => fields[name]?.length);
+    return key ? fields[key][0].trim() : undefined;
+  };
+
+  const track = parseNumberPair(first('TRACKNUMBER'));
+  const disc = parseNumberPair(first('DISCNUMBER'));
+
+  const replayGain = Object.fromEntries(
+    Object.entries(REPLAYGAIN_FIELDS).map(([key, field]) => [field, parseReplayGain(first(key))])
+  );
+
+  // Opus taggers write R128 gains instead of ReplayGain
+  const r128TrackGain = parseInt(first('R128_TRACK_GAIN'), 10);
+  const r128AlbumGain = parseInt(first('R128_ALBUM_GAIN'), 10);
+  if (replayGain.replayGainTrackGain === undefined && Number.isFinite(r128TrackGain)) {
+    replayGain.replayGainTrackGain = r128TrackGain / 256 + R128_TO_REPLAYGAIN;
+  }
+  if (replayGain.replayGainAlbumGain === undefined && Number.isFinite(r128AlbumGain)) {
+    replayGain.replayGainAlbumGain = r128AlbumGain / 256 + R128_TO_REPLAYGAIN;
+  }
+
+  const embeddedPictures = [...pictures];
+  (fields.METADATA_BLOCK_PICTURE || []).forEach((value) => {
+    try {
+      const picture = parseFlacPicture(base64ToBytes(value));
+      if (picture) embeddedPictures.push(picture);
+    } catch (error) {
+      console.warn('Skipping invalid METADATA_BLOCK_PICTURE:', error);
+    }
+  });
+
+  // Legacy, unofficial cover art fields
+  if (!embeddedPictures.length && fields.COVERART) {
+    try {
+      embeddedPictures.push({
+        mimeType: first('COVERARTMIME') || 'image/jpeg',
+        type: 3,
+        description: '',
+        data: base64ToBytes(fields.COVERART[0])
+      });
+    } catch (error) {
+      console.warn('Skipping invalid COVERART:', error);
+    }
+  }
+
+  return compactTags({
+    title: first('TITLE'),
+    artist: fields.ARTIST?.map(value => value.trim()).filter(Boolean).join(', '),
+    album: first('ALBUM'),
+    albumArtist: first('ALBUMARTIST', 'ALBUM ARTIST'),
+    trackNumber: track.number,
+    trackTotal: track.total || parseNumberPair(first('TRACKTOTAL', 'TOTALTRACKS')).number,
+    discNumber: disc.number,
+    discTotal: disc.total || parseNumberPair(first('DISCTOTAL', 'TOTALDISCS')).number,
+    year: parseYear(first('DATE', 'YEAR', 'ORIGINALDATE')),
+    genre: fields.GENRE?.map(value => value.trim()).filter(Boolean).join(', '),
+    comment: first('COMMENT', 'DESCRIPTION'),
+    ...replayGain,
+    picture: pickPicture(embeddedPictures)
+  });
+};
+
+/**
+ * Reads Vorbis comments and pictures from a FLAC file
+ * @param {Blob} file - The FLAC file
+ * @returns {Promise<Object|null>} - Parsed tags or null
+ */
+export const readFlacTags = async (file) => {
+  let bytes = await readHead(file, INITIAL_READ_BYTES);
+
+  // Some taggers put an ID3v2 tag in front of the stream marker
+  const start = getID3v2Size(bytes);
+  if (decodeText(bytes.subarray(start, start + 4), 'latin1') !== 'fLaC') return null;
+
+  let fields = null;
+  const pictures = [];
+  let offset = start + 4;
+  let isLast = false;
+
+  while (!isLast) {
+    // Make sure the block header and body are in the buffer
+    if (offset + 4 > bytes.length) {
+      if (bytes.length >= file.size || offset + 4 > MAX_HEADER_BYTES) break;
+      bytes = await readHead(file, offset + INITIAL_READ_BYTES);
+      continue;
+    }
+
+    isLast = Boolean(bytes[offset] & 0x80);
+    const type = bytes[offset] & 0x7f;
+    const length = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const end = offset + 4 + length;
+
+    if (type === FLAC_BLOCK_TYPES.VORBIS_COMMENT || type === FLAC_BLOCK_TYPES.PICTURE) {
+      if (end > bytes.length) {
+        if (bytes.length >= file.size || end > MAX_HEADER_BYTES) break;
+        bytes = await readHead(file, end + 4);
+        isLast = false;
+        continue;
+      }
+
+      const block = bytes.subarray(offset + 4, end);
+      if (type === FLAC_BLOCK_TYPES.VORBIS_COMMENT) {
+        fields = parseVorbisComment(block);
+      } else {
+        const picture = parseFlacPicture(block);
+        if (picture) pictures.push(picture);
+      }
+    }
+
+    offset = end;
+  }
+
+  if (!fields && !pictures.length) return null;
+  return vorbisFieldsToTags(fields || {}, pictures);
+};
+
+/**
+ * Splits the pages of the first logical Ogg stream into packets
+ * @param {Uint8Array} bytes - Bytes from the start of the file
+ * @param {number} count - Number of complete packets wanted
+ * @returns {Array<Uint8Array>} - Complete packets, at most `count`
+ */
+const collectOggPackets = (bytes, count) => {
+  const packets = [];
+  let pending = [];
+  let serial = null;
+  let offset = 0;
+
+  while (offset + 27 <= bytes.length && packets.length < count) {
+    if (decodeText(bytes.subarray(offset, offset + 4), 'latin1') !== 'OggS') break;
+
+    const pageSerial = readUint32LE(bytes, offset + 14);
+    const segmentCount = bytes[offset + 26];
+    const tableEnd = offset + 27 + segmentCount;
+    if (tableEnd > bytes.length) break;
+
+    const segments = bytes.subarray(offset + 27, tableEnd);
+    const pageSize = segments.reduce((sum, size) => sum + size, 0);
+    if (tableEnd + pageSize > bytes.length) break;
+
+    if (serial === null) serial = pageSerial;
+
+    // Ignore pages from other multiplexed streams
+    if (pageSerial === serial) {
+      let position = tableEnd;
+      segments.forEach((size) => {
+        pending.push(bytes.subarray(position, position + size));
+        position += size;
+
+        // A segment shorter than 255 bytes ends the packet
+        if (size < 255) {
+          const length = pending.reduce((sum, part) => sum + part.length, 0);
+          const packet = new Uint8Array(length);
+          let packetOffset = 0;
+          pending.forEach((part) => {
+            packet.set(part, packetOffset);
+            packetOffset += part.length;
+          });
+          packets.push(packet);
+          pending = [];
+        }
+      });
+    }
+
+    offset = tableEnd + pageSize;
+  }
+
+  return packets.slice(0, count);
+};
+
+/**
+ * Reads Vorbis comments from an Ogg Vorbis or Ogg Opus file
+ * @param {Blob} file - The Ogg file
+ * @returns {Promise<Object|null>} - Parsed tags or null
+ */
+export const readOggTags = async (file) => {
+  let readLength = INITIAL_READ_BYTES;
+  let packets = [];
+
+  // The comment header is the second packet and may span many pages
+  for (;;) {
+    packets = collectOggPackets(await readHead(file, readLength), 2);
+    if (packets.length >= 2 || readLength >= file.size || readLength >= MAX_HEADER_BYTES) break;
+    readLength *= 4;
+  }
+
+  if (packets.length < 2) return null;
+
+  const [, commentPacket] = packets;
+  const signature = decodeText(commentPacket.subarray(0, 8), 'latin1');
+
+  if (signature === 'OpusTags') {
+    return vorbisFieldsToTags(parseVorbisComment(commentPacket.subarray(8)));
+  }
+
+  if (commentPacket[0] === 3 && signature.slice(1, 7) === 'vorbis') {
+    return vorbisFieldsToTags(parseVorbisComment(commentPacket.subarray(7)));
+  }
+
+  return null;
+};
@@ -0,0 +1,64 @@
+/**
+ * Waveform overviews for the seek bar
+ * A decoded track is reduced to a fixed number of min/max peak pairs that
+ * are stored with the track record and resampled to the width being drawn.
+ */
+
+// Peak pairs kept per track, enough for a full-width bar on a wide screen
+export const WAVEFORM_RESOLUTION = 1024;
+
+/**
+ * Reduces decoded audio to min/max peaks over all channels
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @param {number} resolution - Number of peak pairs
+ * @returns {Array<number>} - Interleaved [min, max, min, max, ...] between -1 and 1,
+ *   rounded to two decimals so records stay small
+ */
+export const computeWaveform = (buffer, resolution = WAVEFORM_RESOLUTION) => {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, index) => buffer.getChannelData(index));
+  const bucketSize = buffer.length / resolution;
+  const peaks = [];
+
+  for (let bucket = 0; bucket < resolution; bucket++) {
+    const start = Math.floor(bucket * bucketSize);
+    const end = Math.max(start + 1, Math.floor((bucket + 1) * bucketSize));
+    let min = 0;
+    let max = 0;
+
+    channels.forEach((samples) => {
+      for (let i = start; i < end && i < samples.length; i++) {
+        if (samples[i] < min) min = samples[i];
+        if (samples[i] > max) max = samples[i];
+      }
+    });
+
+    peaks.push(Math.round(min * 100) / 100, Math.round(max * 100) / 100);
+  }
+
+  return peaks;
+};
+
+/**
+ * Resamples stored peaks to the number of bars being drawn
+ * @param {Array<number>} peaks - Interleaved min/max pairs
+ * @param {number} bars - Number of bars
+ * @returns {Array<{ min: number, max: number }>}
+ */
+export const resampleWaveform = (peaks, bars) => {
+  const pairs = peaks.length / 2;
+  if (!pairs || bars <= 0) return [];
+
+  return Array.from({ length: bars }, (_, bar) => {
+    const start = Math.floor(bar * pairs / bars);
+    const end = Math.max(start + 1, Math.floor((bar + 1) * pairs / bars));
+    let min = 0;
+    let max = 0;
+
+    for (let pair = start; pair < end && pair < pairs; pair++) {
+      min = Math.min(min, peaks[pair * 2]);
+      max = Math.max(max, peaks[pair * 2 + 1]);
+    }
+
+    return { min, max };
+  });
+};